@@ -0,0 +1,86 @@
+/**
+ * Benchmark for the wikitext parsers of WPLib.
+ *
+ * Usage:
+ *   node bench/parser.js [baseline]
+ *
+ * 'baseline' is the path to another version of wplib.js, e.g. one checked out by 'git show <commit>:src/wplib.js > /tmp/wplib.js'. If it's
+ * specified, the parsers of both versions are run on the same input, and the script exits with code 1 if their results differ.
+ *
+ * The expected results of the parsers on fixed inputs are kept in test/fixtures/parser, and checked by 'npm test'.
+ */
+var path = require('path');
+
+// Older versions of the library (which may be given as the baseline) read the user groups on load
+// @ts-ignore
+global.mw = global.mw || {config: {get: function() { return []; }}};
+
+var load = function(file) {
+    var WPLib = require(path.resolve(file));
+    return new WPLib();
+};
+
+/**
+ * Create a noticeboard-like wikitext that contains nested templates, parameters, comments, tags, links and tables.
+ * @param {number} length The minimum length of the wikitext
+ * @returns {string}
+ */
+var createWikitext = function(length) {
+    var section = [
+        '== 利用者:Foo{{!}}Bar の件 ==',
+        '{{Vandal|Foo|type=<!-- user|ip -->user}} {{Talk quote|{{#if:{{{1|}}}|[[利用者:Foo|Foo]]|{{{2|}}}}}|noicon=yes}}',
+        '<div class="boilerplate" style="border:1px solid #aaa;">報告します。<ref name="a">{{Cite web|url=https://example.com/?a=1|title=Foo|date=2022-01-01}}</ref><br>',
+        '<nowiki>{{not|a|template}}</nowiki> <pre>{{also|not}}</pre> <span>{{Color|red|赤}}</span></div>',
+        '{| class="wikitable"',
+        '! 項目 !! 値',
+        '|-',
+        '| {{Flagicon|JPN}} || <small>{{Lang|en|text}}</small>',
+        '|}',
+        ':{{Done}} --[[利用者:Bar|Bar]]（[[利用者‐会話:Bar|会話]]） 2022年1月1日 (土) 00:00 (UTC)',
+        '<references />',
+        ''
+    ].join('\n');
+    var wikitext = '';
+    while (wikitext.length < length) {
+        wikitext += section;
+    }
+    return wikitext;
+};
+
+var time = function(fn) {
+    var start = Date.now();
+    var result = fn();
+    return {ms: Date.now() - start, result: result};
+};
+
+var benchmarks = {
+    parseTemplates: function(lib, wikitext) { return lib.parseTemplates(wikitext); },
+    parseHtml: function(lib, wikitext) { return lib.parseHtml(wikitext); }
+};
+
+var libs = [{label: 'current', lib: load(path.join(__dirname, '../src/wplib.js'))}];
+if (process.argv[2]) libs.push({label: 'baseline', lib: load(process.argv[2])});
+
+var failed = false;
+[10000, 100000, 300000].forEach(function(length) {
+    var wikitext = createWikitext(length);
+    Object.keys(benchmarks).forEach(function(name) {
+        var results = libs.map(function(obj) {
+            var res = time(function() { return benchmarks[name](obj.lib, wikitext); });
+            res.label = obj.label;
+            return res;
+        });
+        var line = name + ' (' + wikitext.length + ' chars) ' + results.map(function(res) {
+            return res.label + ': ' + res.ms + 'ms (' + res.result.length + ' items)';
+        }).join(', ');
+        if (results.length > 1) {
+            // Parent templates aren't compared because they're non-enumerable
+            var same = JSON.stringify(results[0].result) === JSON.stringify(results[1].result);
+            if (!same) failed = true;
+            line += same ? ' - same results' : ' - DIFFERENT RESULTS';
+        }
+        console.log(line);
+    });
+});
+
+if (failed) process.exit(1);
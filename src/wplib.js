@@ -1,17 +1,75 @@
-/* global mw */
+/* global mw, jQuery */
 //<nowiki>
 // =================================================================================================================
 
 /**
  * @constructor
+ * @param {WPLibConfig} [config]
+ * @typedef WPLibConfig
+ * @type {object}
+ * @property {string} [apiUrl] The URL of the API endpoint, which must be absolute outside the wiki (e.g. 'https://ja.wikipedia.org/w/api.php').
+ * The API of the current wiki by default.
+ * @property {Transport} [transport] How to send requests. {@link JQueryTransport} if jQuery is available, or else {@link FetchTransport}.
+ * @property {string} [userAgent] The User-Agent header for the default {@link FetchTransport}
+ * @property {RequestQueue} [queue] The queue to schedule requests with ({@link WPLib.requestQueue} by default)
+ * @property {ResponseCache} [cache] The cache of responses ({@link WPLib.responseCache} by default)
  */
-var WPLib = function() {
+var WPLib = function(config) {
 
     // For when the 'new' keyword is missing
     if (!(this instanceof WPLib)) {
-        return new WPLib();
+        return new WPLib(config);
     }
 
+    config = config || {};
+
+    /**
+     * The URL of the API endpoint.
+     * @type {string}
+     */
+    this.apiUrl = config.apiUrl || (typeof mw !== 'undefined' ? mw.config.get('wgScriptPath') + '/api.php' : this.defaultOptions.ajax.url);
+
+    /**
+     * @type {Transport}
+     */
+    this.transport = config.transport || (typeof jQuery !== 'undefined' ? new JQueryTransport() : new FetchTransport({userAgent: config.userAgent}));
+
+    /**
+     * @type {RequestQueue}
+     */
+    this.queue = config.queue || WPLib.requestQueue;
+
+    /**
+     * @type {ResponseCache}
+     */
+    this.cache = config.cache || WPLib.responseCache;
+
+    /**
+     * The name of the user that responses are cached for, which is part of the cache keys so that instances logged in as different users
+     * don't share responses. Updated by {@link WPLib#login}.
+     * @type {string}
+     * @private
+     */
+    this._cacheUser = typeof mw !== 'undefined' ? String(mw.config.get('wgUserName') || '') : '';
+
+    /**
+     * @type {JQueryPromise<UserInfo>|null}
+     * @private
+     */
+    this._userInfo = null;
+
+    /**
+     * Tokens fetched by {@link WPLib#getToken}, keyed by their types.
+     * @type {Object.<string, string>}
+     */
+    this.tokens = {};
+
+    /**
+     * Native Promise versions of the asynchronous methods, which reject with an {@link ApiError}.
+     * @type {AsyncApi}
+     */
+    this.promises = new AsyncApi(this);
+
 };
 
 WPLib.prototype = {
@@ -29,29 +87,118 @@ WPLib.prototype = {
             url: '/w/api.php',
             timeout: 30 * 1000, // 30 seconds
             dataType: 'json'
+        },
+        /** @type {RetryPolicy} */
+        retry: {
+            attempts: 3,
+            baseDelay: 1000,
+            maxDelay: 60 * 1000,
+            codes: ['maxlag', 'ratelimited', 'readonly'],
+            retryPost: false
         }
     },
 
     /**
-     * Whether the current user has the apihighlimits user right.
-     * @property {boolean}
+     * Whether the current user has the apihighlimits user right. This is updated by {@link WPLib#getUserInfo}, which {@link WPLib#massQuery}
+     * and {@link WPLib#login} call.
+     * @type {boolean}
+     */
+    apiHighLimits: false,
+
+    /**
+     * Namespaces of the Japanese Wikipedia, in the same format as the response of the siteinfo API (siprop=namespaces). This is used to
+     * interpret page titles without querying the API, and can be overwritten with the response of the API to work on other wikis.
+     * @type {Object.<string, NamespaceInfo>}
+     * @typedef NamespaceInfo
+     * @type {object}
+     * @property {number} id
+     * @property {string} case 'first-letter' or 'case-sensitive'
+     * @property {string} name The local name of the namespace
+     * @property {string} [canonical] The canonical (English) name of the namespace
+     * @property {boolean} subpages Whether the namespace has subpages enabled
+     */
+    namespaces: {
+        '-2': {id: -2, case: 'first-letter', name: 'メディア', canonical: 'Media', subpages: false},
+        '-1': {id: -1, case: 'first-letter', name: '特別', canonical: 'Special', subpages: false},
+        '0': {id: 0, case: 'first-letter', name: '', subpages: false},
+        '1': {id: 1, case: 'first-letter', name: 'ノート', canonical: 'Talk', subpages: true},
+        '2': {id: 2, case: 'first-letter', name: '利用者', canonical: 'User', subpages: true},
+        '3': {id: 3, case: 'first-letter', name: '利用者‐会話', canonical: 'User talk', subpages: true},
+        '4': {id: 4, case: 'first-letter', name: 'Wikipedia', canonical: 'Project', subpages: true},
+        '5': {id: 5, case: 'first-letter', name: 'Wikipedia‐ノート', canonical: 'Project talk', subpages: true},
+        '6': {id: 6, case: 'first-letter', name: 'ファイル', canonical: 'File', subpages: false},
+        '7': {id: 7, case: 'first-letter', name: 'ファイル‐ノート', canonical: 'File talk', subpages: true},
+        '8': {id: 8, case: 'first-letter', name: 'MediaWiki', canonical: 'MediaWiki', subpages: false},
+        '9': {id: 9, case: 'first-letter', name: 'MediaWiki‐ノート', canonical: 'MediaWiki talk', subpages: true},
+        '10': {id: 10, case: 'first-letter', name: 'Template', canonical: 'Template', subpages: true},
+        '11': {id: 11, case: 'first-letter', name: 'Template‐ノート', canonical: 'Template talk', subpages: true},
+        '12': {id: 12, case: 'first-letter', name: 'Help', canonical: 'Help', subpages: true},
+        '13': {id: 13, case: 'first-letter', name: 'Help‐ノート', canonical: 'Help talk', subpages: true},
+        '14': {id: 14, case: 'first-letter', name: 'Category', canonical: 'Category', subpages: false},
+        '15': {id: 15, case: 'first-letter', name: 'Category‐ノート', canonical: 'Category talk', subpages: true},
+        '100': {id: 100, case: 'first-letter', name: 'Portal', canonical: 'Portal', subpages: true},
+        '101': {id: 101, case: 'first-letter', name: 'Portal‐ノート', canonical: 'Portal talk', subpages: true},
+        '102': {id: 102, case: 'first-letter', name: 'プロジェクト', canonical: 'WikiProject', subpages: true},
+        '103': {id: 103, case: 'first-letter', name: 'プロジェクト‐ノート', canonical: 'WikiProject talk', subpages: true},
+        '828': {id: 828, case: 'first-letter', name: 'モジュール', canonical: 'Module', subpages: true},
+        '829': {id: 829, case: 'first-letter', name: 'モジュール‐ノート', canonical: 'Module talk', subpages: true},
+        '2300': {id: 2300, case: 'case-sensitive', name: 'Gadget', canonical: 'Gadget', subpages: false},
+        '2301': {id: 2301, case: 'case-sensitive', name: 'Gadget talk', canonical: 'Gadget talk', subpages: false},
+        '2302': {id: 2302, case: 'case-sensitive', name: 'Gadget definition', canonical: 'Gadget definition', subpages: false},
+        '2303': {id: 2303, case: 'case-sensitive', name: 'Gadget definition talk', canonical: 'Gadget definition talk', subpages: false}
+    },
+
+    /**
+     * Namespace aliases of the Japanese Wikipedia, in the same format as the response of the siteinfo API (siprop=namespacealiases).
+     * @type {Array<{id: number, alias: string}>}
+     */
+    namespaceAliases: [
+        {id: 1, alias: 'トーク'},
+        {id: 3, alias: '利用者・トーク'},
+        {id: 4, alias: 'WP'},
+        {id: 5, alias: 'WT'},
+        {id: 6, alias: 'Image'},
+        {id: 6, alias: '画像'},
+        {id: 7, alias: 'Image talk'},
+        {id: 7, alias: '画像‐ノート'},
+        {id: 10, alias: 'テンプレート'},
+        {id: 11, alias: 'テンプレート‐ノート'},
+        {id: 12, alias: 'ヘルプ'},
+        {id: 13, alias: 'ヘルプ‐ノート'},
+        {id: 14, alias: 'カテゴリ'},
+        {id: 15, alias: 'カテゴリ‐ノート'},
+        {id: 100, alias: 'ポータル'},
+        {id: 101, alias: 'ポータル‐ノート'}
+    ],
+
+    /**
+     * Interwiki prefixes that are recognized in wikilinks (language codes and Wikimedia projects). Like the namespace table, this can be
+     * overwritten with the response of the siteinfo API (siprop=interwikimap).
+     * @type {Array<string>}
+     */
+    interwikiPrefixes: (
+        // Wikimedia projects
+        'b c commons d foundation incubator m mediawikiwiki meta metawikimedia mw n outreach phab phabricator q s species v voy w ' +
+        'wikibooks wikidata wikimedia wikinews wikipedia wikiquote wikisource wikispecies wikiversity wikivoyage wikt wiktionary wmf ' +
+        // Languages
+        'aa ab ace ady af ak als alt am ami an ang anp ar arc ary arz as ast atj av avk awa ay az azb ba ban bar bat-smg bbc bcl be ' +
+        'be-tarask be-x-old bg bh bi bjn blk bm bn bo bpy br bs bug bxr ca cbk-zam cdo ce ceb ch cho chr chy ckb co cr crh cs csb cu cv ' +
+        'cy da dag de din diq dsb dty dv dz ee el eml en eo es et eu ext fa fat ff fi fiu-vro fj fo fon fr frp frr fur fy ga gag gan gcr ' +
+        'gd gl glk gn gom gor got gpe gu guc gur guw gv ha hak haw he hi hif ho hr hsb ht hu hy hyw hz ia id ie ig ii ik ilo inh io is ' +
+        'it iu ja jam jbo jv ka kaa kab kbd kbp kcg kg ki kj kk kl km kn ko koi kr krc ks ksh ku kv kw ky la lad lb lbe lez lfn lg li lij ' +
+        'lld lmo ln lo lrc lt ltg lv mad mai map-bms mdf mg mh mhr mi min mk ml mn mni mnw mo mr mrj ms mt mus mwl my myv mzn na nah nap ' +
+        'nds nds-nl ne new ng nia nl nn no nov nqo nrm nso nv ny oc olo om or os pa pag pam pap pcd pcm pdc pfl pi pih pl pms pnb pnt ps ' +
+        'pt pwn qu rm rmy rn ro roa-rup roa-tara ru rue rw sa sah sat sc scn sco sd se sg sh shi shn si simple sk skr sl sm smn sn so sq ' +
+        'sr srn ss st stq su sv sw szl szy ta tay tcy te tet tg th ti tk tl tly tn to tpi tr trv ts tt tum tw ty tyv udm ug uk ur uz ve ' +
+        'vec vep vi vls vo wa war wo wuu xal xh xmf yi yo yue za zea zgh zh zh-classical zh-min-nan zh-yue zu'
+    ).split(' '),
+
+    /**
+     * Pseudo-namespaces of the Japanese Wikipedia, i.e. prefixes of pages in the main namespace that are used as if they were namespaces
+     * (e.g. 'LTA:' in 'LTA:ARAD'). See {@link Title#getPseudoNamespace}.
+     * @type {Array<string>}
      */
-    // @ts-ignore
-    apiHighLimits: [].concat(mw.config.get('wgUserGroups'), mw.config.get('wgGlobalGroups')).some(function(group) {
-        var apiHighLimitsUserGroups = [
-            'bot',
-            'sysop',
-            'apihighlimits-requestor',
-            'founder',
-            'global-bot',
-            'global-sysop',
-            'staff',
-            'steward',
-            'sysadmin',
-            'wmf-researcher'
-        ];
-        return apiHighLimitsUserGroups.indexOf(group) !== -1;
-    }),
+    pseudoNamespaces: ['LTA'],
 
     // ============================================== SYNCHRONOUS METHODS ==============================================
 
@@ -139,7 +286,8 @@ WPLib.prototype = {
      *  ]
      * ```
      * Pass 'blocks' to the second argument, then the function concats res.query.blocks arrays in every response object in the array
-     * passed as the first argument. Note that concat targets must be at res.query[concatKey] level.
+     * passed as the first argument. Note that concat targets must be at res.query[concatKey] level. To get the items of a continued query,
+     * {@link WPLib#iterateQuery} can be used instead, which also merges pages returned in more than one response.
      * @param {Array<object>} apiResponseArray 
      * @param {string} concatKey 
      * @returns {Array<object>|null} Empty array might be returned if attemped to concat arrays that are not of res.query[concatKey]
@@ -178,24 +326,90 @@ WPLib.prototype = {
 
     },
 
-    
+
+    /**
+     * Patterns of the tokens that parsers look for (see {@link WPLib#_nextToken}). The patterns must not have capturing groups.
+     * @private
+     */
+    _tokenPatterns: {
+        parameterOpen: '\\{\\{\\{(?!\\{)',
+        parameterClose: '\\}\\}\\}',
+        templateOpen: '\\{\\{',
+        templateClose: '\\}\\}',
+        pipe: '\\|',
+        commentOpen: '<!--',
+        commentClose: '-->',
+        // Tags that prevent transclusions
+        protectedTagOpen: '<(?:nowiki|pre|syntaxhighlight|source) ?[^>]*?>',
+        protectedTagClose: '<\\/(?:nowiki|pre|syntaxhighlight|source) ?[^>]*?>',
+        // HTML tags (case-insensitive)
+        selfClosingTag: '<[A-Za-z]+ ?[^>]*?\\/>',
+        openingTag: '<[A-Za-z]+ ?[^\\/>]*?>',
+        closingTag: '<\\/[A-Za-z]+ ?[^>]*?>'
+    },
+
+    /**
+     * Compiled regular expressions for {@link WPLib#_nextToken}, keyed by the joined token types.
+     * @private
+     * @type {Object.<string, RegExp>}
+     */
+    _tokenRegexes: {},
+
+    /**
+     * Find the next token in a string. Parsers scan the input by calling this function repeatedly with the end index of the last token,
+     * and hence each character is looked at only once, however long the input is. The token types to look for can be changed between
+     * calls, depending on the state of the parser.
+     * @private
+     * @param {string} string 
+     * @param {number} fromIndex 
+     * @param {Array<string>} types Keys of {@link WPLib#_tokenPatterns}. If more than one type of token matches at the same index, the
+     * one that comes first in this array is taken.
+     * @returns {Token|null} Null if there's no token after the index
+     * @typedef Token
+     * @type {object}
+     * @property {string} type
+     * @property {string} text
+     * @property {number} start
+     * @property {number} end
+     */
+    _nextToken: function(string, fromIndex, types) {
+        var key = types.join('|');
+        var regex = this._tokenRegexes[key];
+        if (!regex) {
+            var patterns = this._tokenPatterns;
+            regex = new RegExp(types.map(function(type) { return '(' + patterns[type] + ')'; }).join('|'), 'g');
+            this._tokenRegexes[key] = regex;
+        }
+        regex.lastIndex = fromIndex;
+        var matched = regex.exec(string);
+        if (!matched) return null;
+        for (var i = 1; i < matched.length; i++) {
+            if (typeof matched[i] === 'string') {
+                return {
+                    type: types[i - 1],
+                    text: matched[0],
+                    start: matched.index,
+                    end: matched.index + matched[0].length
+                };
+            }
+        }
+        return null;
+    },
+
     /**
-     * Parse templates in wikitext. Templates within tags that prevent transclusions (i.e. \<!-- -->, nowiki, pre, syntaxhighlist, source) are not parsed.
+     * Parse templates in wikitext. Templates within tags that prevent transclusions (i.e. \<!-- -->, nowiki, pre, syntaxhighlight, source) are not parsed.
+     * Parser functions, magic words and module invocations in double braces are also returned, distinguished by the 'type' property of the
+     * Template objects.
      * @param {string} wikitext 
      * @param {object} [config]
      * @param {boolean} [config.recursive] Whether to look for nested templates recursively. True by default.
      * @param {function(TemplateName): boolean} [config.namePredicate] Callback to filter out the result by name
      * @param {function(Template): boolean} [config.templatePredicate] Callback to filter out the result by user-defined conditions
      * @param {number} [nestlevel] Used internally. Don't specify this parameter manually.
-     * @return {Array<Template>}
+     * @param {Template} [parent] Used internally. Don't specify this parameter manually.
+     * @return {Array<Template>} Template objects, which can be modified and written back into the wikitext (see {@link Template}).
      * @typedef TemplateName
-     * @type {string}
-     * @typedef Template
-     * @type {object}
-     * @property {string} text The whole text of the template
-     * @property {TemplateName} name The name of the template. The first letter is always in upper case.
-     * @property {Array<TemplateArgument>} arguments The arguments of the template
-     * @property {number} nestlevel The nestlevel of the template (0 if not embedded in other templates)
+     * @type {string} The normalized name of the template (see {@link Template#name})
      * @typedef TemplateArgument
      * @type {object}
      * @property {string} text The whole text of the template argument (e.g. 1=Wikipedian)
@@ -206,11 +420,15 @@ WPLib.prototype = {
      * @license Dr4goniez@github - This function includes modifications from the original.
      * @link https://github.com/Dr4goniez/dragobot/blob/740811cfecc24264b324085c8490ae63ef1ea1ea/src/lib.ts#L453
      */
-    parseTemplates: function(wikitext, config, nestlevel) {
+    parseTemplates: function(wikitext, config, nestlevel, parent) {
 
         nestlevel = typeof nestlevel === 'undefined' ? 0 : nestlevel;
         var self = this;
 
+        // If this is a recursive call, the wikitext is the inner content of the parent template; the offset converts
+        // indexes in it to those in the original input
+        var offset = parent ? parent.index.start + 2 : 0;
+
         // Initialize config
         config = this.merge({
             recursive: true,
@@ -226,74 +444,82 @@ WPLib.prototype = {
         var inTag = false;
         var tagNames = [];
 
-        var parsed = [];
-        var slicedWkt, matchedTag, templateText, templateTextPipesBack;
-        var startIdx, endIdx;
+        // Indexes of pipes that are part of nested templates, parameters or tags
+        var pipes = [];
+        var ranges = [];
+        var startIdx;
 
-        // Look at every character of the wikitext one by one. This loop only extracts the outermost templates.
-        for (var i = 0; i < wikitext.length; i++) {
-            slicedWkt = wikitext.slice(i);
-            if (!inParameter && !inTag) {
-                if (/^\{\{\{(?!\{)/.test(slicedWkt)) {
+        // Scan the wikitext token by token. This loop only extracts the outermost templates.
+        var outerTokens = ['parameterOpen', 'templateOpen', 'templateClose', 'pipe', 'commentOpen', 'protectedTagOpen'];
+        var innerTokens = ['pipe', 'commentClose', 'protectedTagClose', 'parameterClose'];
+        var token;
+        var pos = 0;
+        while ((token = this._nextToken(wikitext, pos, inParameter || inTag ? innerTokens : outerTokens))) {
+            pos = token.end;
+            switch (token.type) {
+                case 'parameterOpen':
                     inParameter = true;
-                    i += 2;
-                } else if (/^\{\{/.test(slicedWkt)) {
+                    break;
+                case 'templateOpen':
                     if (numUnclosed === 0) {
-                        startIdx = i;
+                        startIdx = token.start;
                     }
                     numUnclosed += 2;
-                    i++;
-                } else if (/^\}\}/.test(slicedWkt)) {
+                    break;
+                case 'templateClose':
                     if (numUnclosed === 2) {
-                        endIdx = i + 2;
-                        templateText = wikitext.slice(startIdx, endIdx); // Pipes could have been replaced with a control character if they're part of nested templates
-                        templateTextPipesBack = this._replacePipesBack(templateText);
-                        parsed.push({
-                            text: templateTextPipesBack,
-                            name: this._capitalizeFirstLetter(templateTextPipesBack.replace(/^\{\{/, '').split(/\||\}/)[0].trim()),
-                            arguments: this._parseTemplateArguments(templateText),
-                            nestlevel: nestlevel
-                        });
+                        ranges.push({start: startIdx, end: token.end});
                     }
                     numUnclosed -= 2;
-                    i++;
-                } else if (wikitext[i] === '|' && numUnclosed > 2) { // numUnclosed > 2 means we're in a nested template
-                    // Swap out pipes with \x01 character.
-                    wikitext = this.strReplaceAt(wikitext, i, '\x01');
-                } else if ((matchedTag = slicedWkt.match(/^(?:<!--|<(nowiki|pre|syntaxhighlist|source) ?[^>]*?>)/))) {
+                    break;
+                case 'pipe':
+                    // Outside parameters and tags, numUnclosed > 2 means we're in a nested template. Pipes in parameters and tags never
+                    // separate the arguments of the template that contains them.
+                    if (inParameter || inTag ? numUnclosed >= 2 : numUnclosed > 2) {
+                        pipes.push(token.start);
+                    }
+                    break;
+                case 'commentOpen':
+                case 'protectedTagOpen':
                     inTag = true;
-                    tagNames.push(matchedTag[1] ? matchedTag[1] : 'comment');
-                    i += matchedTag[0].length - 1;
-                }
-            } else {
-                // we are in a {{{parameter}}} or tag 
-                if (wikitext[i] === '|' && numUnclosed > 2) {
-                    wikitext = this.strReplaceAt(wikitext, i, '\x01');
-                } else if ((matchedTag = slicedWkt.match(/^(?:-->|<\/(nowiki|pre|syntaxhighlist|source) ?[^>]*?>)/))) {
+                    tagNames.push(token.type === 'commentOpen' ? 'comment' : token.text.match(/^<([a-z]+)/)[1]);
+                    break;
+                case 'commentClose':
+                case 'protectedTagClose':
                     inTag = false;
                     tagNames.pop();
-                    i += matchedTag[0].length - 1;
-                } else if (/^\}\}\}/.test(slicedWkt)) {
+                    break;
+                case 'parameterClose':
                     inParameter = false;
-                    i += 2;
-                }
-            }     
+            }
         }
 
+        // Swap out the pipes with \x01 character, and create Template objects
+        // Pipes could have been replaced with a control character if they're part of nested templates
+        var chunks = [];
+        var lastIdx = 0;
+        pipes.forEach(function(idx) {
+            chunks.push(wikitext.slice(lastIdx, idx));
+            lastIdx = idx + 1;
+        });
+        chunks.push(wikitext.slice(lastIdx));
+        var masked = chunks.join('\x01');
+        var parsed = ranges.map(function(range) {
+            var templateText = masked.slice(range.start, range.end);
+            return new Template(self._splitTemplateText(templateText), nestlevel, {start: range.start + offset, end: range.end + offset}, parent);
+        });
+
         var subtemplates;
         if (config) {
             // Get nested templates?
             if (config.recursive) {
                 subtemplates = parsed
-                    .map(function(template) {
-                        return template.text.slice(2, -2);
-                    })
-                    .filter(function(templateWikitext) {
-                        return /\{\{[.\n]*\}\}/.test(templateWikitext);
+                    .filter(function(template) {
+                        return /\{\{[\s\S]*\}\}/.test(template.text.slice(2, -2));
                     })
-                    .map(function(templateWikitext) {
+                    .map(function(template) {
                         // @ts-ignore nestlevel is never undefined
-                        return self.parseTemplates(templateWikitext, config, nestlevel + 1);
+                        return self.parseTemplates(template.text.slice(2, -2), config, nestlevel + 1, template);
                     })
                     .reduce(function(acc, TemplateArray) {
                         return acc.concat(TemplateArray);
@@ -331,6 +557,16 @@ WPLib.prototype = {
         return string.replace(/\x01/g, '|');
     },
 
+    /**
+     * Get the length of a string in bytes when encoded in UTF-8 (which is how MediaWiki measures the size of a page).
+     * @private
+     * @param {string} string 
+     * @returns {number}
+     */
+    _getByteLength: function(string) {
+        return encodeURIComponent(string).replace(/%[0-9A-F]{2}/g, 'x').length;
+    },
+
     /**
      * Capitalize the first letter of a string.
      * @private
@@ -342,17 +578,16 @@ WPLib.prototype = {
     },
 
     /**
+     * Split the inner content of a template into the name segment and argument segments, keeping the whitespace around them as it is.
      * This function should never be called externally because it presupposes that pipes in nested templates have been replaced with
      * the control character '\x01', and otherwise it doesn't work as expeceted.
      * @private
      * @param {string} template The whole text of a template. If it nests some other templates, pipes in them need to have been replaced with
      * the control character '\x01'.
-     * @returns {Array<TemplateArgument>}
+     * @returns {Array<string>} The first element is the name segment, and the rest are argument segments.
      */
-    _parseTemplateArguments: function(template) {
+    _splitTemplateText: function(template) {
 
-        if (template.indexOf('|') === -1) return [];
-        
         var innerContent = template.slice(2, -2); // Remove braces
 
         // Swap out pipes in links with \x01 control character
@@ -362,50 +597,250 @@ WPLib.prototype = {
             innerContent = innerContent.replace(wikilinkRegex, '$1\x01$2');
         }
 
-        var args = innerContent.split('|').map(function(el) { return el.trim(); });
-        args.shift(); // Remove template name
-        var unnamedArgCount = 0;
-
         var self = this;
-        var parsedArgs = args.map(function(arg) {
-
-            // Replace {{=}}s with a (unique) control character
-            // The magic words could have spaces before/after the equal sign in an inconsistent way
-            // We need the input string back as it was before replacement, so mandane replaceAll isn't a solution here 
-            var magicWordEquals = arg.match(/\{\{\s*=\s*\}\}/g) || [];
-            magicWordEquals.forEach(function(equal, i) {
-                arg = arg.replace(equal, '$EQ' + i);
+        return innerContent.split('|').map(function(segment) {
+            return self._replacePipesBack(segment);
+        });
+
+    },
+
+    /**
+     * Magic words that can appear in double braces.
+     * @private
+     */
+    _magicWords: {
+        // Prefixes to the names of templates (case-insensitive); keys are aliases and values are canonical names
+        modifiers: {
+            'subst': 'subst',
+            'safesubst': 'safesubst',
+            'msgnw': 'msgnw',
+            'msg': 'msg',
+            'raw': 'raw',
+            '展開': 'subst',
+            '安全展開': 'safesubst',
+            'ウィキ無効メッセージ': 'msgnw',
+            'メッセージ': 'msg',
+            '生': 'raw'
+        },
+        // Variables and behavior switches (case-sensitive); keys are aliases and values are canonical names. Some of them
+        // take an argument after a colon (e.g. '{{PAGENAME:Foo}}').
+        variables: (function() {
+            var variables = {
+                'ページ名': 'PAGENAME',
+                '完全なページ名': 'FULLPAGENAME',
+                '名前空間': 'NAMESPACE',
+                'デフォルトソート': 'DEFAULTSORT',
+                '表示タイトル': 'DISPLAYTITLE'
+            };
+            (
+                'CURRENTYEAR CURRENTMONTH CURRENTMONTH1 CURRENTMONTH2 CURRENTMONTHNAME CURRENTMONTHNAMEGEN CURRENTMONTHABBREV CURRENTDAY ' +
+                'CURRENTDAY2 CURRENTDOW CURRENTDAYNAME CURRENTTIME CURRENTHOUR CURRENTWEEK CURRENTTIMESTAMP LOCALYEAR LOCALMONTH LOCALMONTH1 ' +
+                'LOCALMONTH2 LOCALMONTHNAME LOCALMONTHNAMEGEN LOCALMONTHABBREV LOCALDAY LOCALDAY2 LOCALDOW LOCALDAYNAME LOCALTIME LOCALHOUR ' +
+                'LOCALWEEK LOCALTIMESTAMP SITENAME SERVER SERVERNAME SCRIPTPATH STYLEPATH CURRENTVERSION CONTENTLANGUAGE CONTENTLANG ' +
+                'DIRECTIONMARK DIRMARK PAGEID NUMBEROFPAGES NUMBEROFARTICLES NUMBEROFFILES NUMBEROFEDITS NUMBEROFUSERS NUMBEROFADMINS ' +
+                'NUMBEROFACTIVEUSERS PAGENAME PAGENAMEE FULLPAGENAME FULLPAGENAMEE BASEPAGENAME BASEPAGENAMEE ROOTPAGENAME ROOTPAGENAMEE ' +
+                'SUBPAGENAME SUBPAGENAMEE ARTICLEPAGENAME ARTICLEPAGENAMEE SUBJECTPAGENAME SUBJECTPAGENAMEE TALKPAGENAME TALKPAGENAMEE ' +
+                'NAMESPACE NAMESPACEE NAMESPACENUMBER ARTICLESPACE ARTICLESPACEE SUBJECTSPACE SUBJECTSPACEE TALKSPACE TALKSPACEE REVISIONID ' +
+                'REVISIONDAY REVISIONDAY2 REVISIONMONTH REVISIONMONTH1 REVISIONYEAR REVISIONTIMESTAMP REVISIONUSER REVISIONSIZE ' +
+                'CASCADINGSOURCES PAGELANGUAGE DEFAULTSORT DEFAULTSORTKEY DEFAULTCATEGORYSORT DISPLAYTITLE PAGESIZE PROTECTIONLEVEL ' +
+                'PROTECTIONEXPIRY PAGESINCATEGORY PAGESINCAT NUMBERINGROUP NUMINGROUP PENDINGCHANGELEVEL !'
+            ).split(' ').forEach(function(name) {
+                variables[name] = name;
             });
+            return variables;
+        })(),
+        // Parser functions without a hash (case-insensitive; they need a colon)
+        functions: (
+            'lc lcfirst uc ucfirst urlencode anchorencode localurl localurle fullurl fullurle canonicalurl canonicalurle filepath formatnum ' +
+            'formatdate dateformat padleft padright plural grammar gender int ns nse tag language special speciale bidi'
+        ).split(' '),
+        // Aliases of '#REDIRECT' (case-insensitive)
+        redirect: ['#redirect', '#転送', '#リダイレクト', '＃転送', '＃リダイレクト']
+    },
 
-            var argName, argValue;
-            var indexOfEqual = arg.indexOf('=');
-            if (indexOfEqual >= 0) { // The argument is named
-                argName = arg.slice(0, indexOfEqual).trim();
-                argValue = arg.slice(indexOfEqual + 1).trim();
-                if (argName === unnamedArgCount.toString()) unnamedArgCount++;
-            } else { // The argument is unnamed
-                argName = (++unnamedArgCount).toString();
-                argValue = arg.trim();
+    /**
+     * Classify a double-brace construct by its name segment and normalize the name (see the properties of {@link Template}).
+     * @private
+     * @param {string} rawName The name segment of a template (the text between the opening braces and the first pipe)
+     * @returns {{type: string, modifier: string|null, name: string, firstArgument: string|null}}
+     */
+    _classifyTemplateName: function(rawName) {
+
+        var magicWords = this._magicWords;
+        var name = rawName.replace(/<!--[\s\S]*?-->/g, '').trim();
+
+        // Strip modifiers (e.g. 'subst:')
+        var modifier = null;
+        var matched;
+        while ((matched = name.match(/^([^:{]+?)\s*:/)) && Object.prototype.hasOwnProperty.call(magicWords.modifiers, matched[1].toLowerCase())) {
+            modifier = magicWords.modifiers[matched[1].toLowerCase()];
+            name = name.slice(matched[0].length).trim();
+        }
+
+        var colonIdx = name.indexOf(':');
+        var head = (colonIdx !== -1 ? name.slice(0, colonIdx) : name).trim();
+        var firstArgument = colonIdx !== -1 ? name.slice(colonIdx + 1).trim() : null;
+        var classified = function(type, name) {
+            return {
+                type: type,
+                modifier: modifier,
+                name: name,
+                firstArgument: firstArgument
+            };
+        };
+
+        // Parser functions and module invocations
+        if (head.charAt(0) === '#') {
+            head = head.toLowerCase();
+            return classified(head === '#invoke' ? 'module' : 'parserfunction', head);
+        }
+        if (colonIdx !== -1 && magicWords.functions.indexOf(head.toLowerCase()) !== -1) {
+            return classified('parserfunction', head.toLowerCase());
+        }
+
+        // Magic words
+        if (Object.prototype.hasOwnProperty.call(magicWords.variables, head)) {
+            return classified('magicword', magicWords.variables[head]);
+        }
+
+        // Templates
+        firstArgument = null;
+        var title = this._parseTitle(name, 10, {interwiki: false, validate: false});
+        var prefix = '';
+        if (title.namespace === 0) { // Transclusion of a page in the main namespace
+            prefix = ':';
+        } else if (title.namespace !== 10) {
+            prefix = this.namespaces[title.namespace].name + ':';
+        }
+        return classified('template', prefix + title.main);
+
+    },
+
+    /**
+     * Get the index of the first occurrence of a character (or a string) that is not enclosed by double braces or double brackets
+     * (e.g. the '=' in '{{=}}' or in '[[a=b]]' is ignored).
+     * @private
+     * @param {string} string 
+     * @param {string} char 
+     * @param {number} [fromIndex] The index to start the search at, which must not be inside braces or brackets. 0 by default.
+     * @returns {number} -1 if not found
+     */
+    _indexOfTopLevel: function(string, char, fromIndex) {
+        var braces = 0;
+        var brackets = 0;
+        for (var i = fromIndex || 0; i < string.length; i++) {
+            var two = string.substr(i, 2);
+            if (two === '{{') {
+                braces++;
+                i++;
+            } else if (two === '}}' && braces > 0) {
+                braces--;
+                i++;
+            } else if (two === '[[') {
+                brackets++;
+                i++;
+            } else if (two === ']]' && brackets > 0) {
+                brackets--;
+                i++;
+            } else if (string.substr(i, char.length) === char && braces === 0 && brackets === 0) {
+                return i;
             }
+        }
+        return -1;
+    },
 
-            // Get the replaced {{=}}s back
-            magicWordEquals.forEach(function(equal, i) {
-                var replacee = '$EQ' + i;
-                arg = arg.replace(replacee, equal);
-                argName = argName.replace(replacee, equal);
-                argValue = argValue.replace(replacee, equal);
-            });
+    /**
+     * Split a string by a character that is not enclosed by double braces or double brackets.
+     * @private
+     * @param {string} string 
+     * @param {string} char 
+     * @returns {Array<string>}
+     */
+    _splitTopLevel: function(string, char) {
+        var segments = [];
+        var start = 0;
+        var idx;
+        while ((idx = this._indexOfTopLevel(string, char, start)) !== -1) {
+            segments.push(string.slice(start, idx));
+            start = idx + 1;
+        }
+        segments.push(string.slice(start));
+        return segments;
+    },
+
+    /**
+     * Break down an argument segment of a template into its components, keeping the whitespace around them.
+     * @private
+     * @param {string} segment An argument segment (the text between two pipes) in which pipes have been replaced back
+     * @returns {TemplateArgumentSegment}
+     * @typedef TemplateArgumentSegment
+     * @type {object}
+     * @property {boolean} named Whether the argument has an explicit name (i.e. it's in the form of 'name=value')
+     * @property {string} lead Whitespace before the argument
+     * @property {string} name The name of the argument as written. Empty if the argument is unnamed.
+     * @property {string} gapBefore Whitespace between the name and the equal sign
+     * @property {string} gapAfter Whitespace between the equal sign and the value
+     * @property {string} value The value of the argument
+     * @property {string} trail Whitespace after the argument
+     */
+    _decomposeTemplateArgument: function(segment) {
 
+        var lead = segment.match(/^\s*/)[0];
+        var body = segment.slice(lead.length);
+        var trail = body.match(/\s*$/)[0];
+        body = body.slice(0, body.length - trail.length);
+
+        var indexOfEqual = this._indexOfTopLevel(body, '=');
+        if (indexOfEqual === -1) { // The argument is unnamed
             return {
-                text: self._replacePipesBack(arg),
-                name: self._replacePipesBack(argName),
-                value: self._replacePipesBack(argValue)
+                named: false,
+                lead: lead,
+                name: '',
+                gapBefore: '',
+                gapAfter: '',
+                value: body,
+                trail: trail
             };
+        }
 
-        });
+        var argName = body.slice(0, indexOfEqual);
+        var argValue = body.slice(indexOfEqual + 1);
+        var gapBefore = argName.match(/\s*$/)[0];
+        var gapAfter = argValue.match(/^\s*/)[0];
+        return {
+            named: true,
+            lead: lead,
+            name: argName.slice(0, argName.length - gapBefore.length),
+            gapBefore: gapBefore,
+            gapAfter: gapAfter,
+            value: argValue.slice(gapAfter.length),
+            trail: trail
+        };
 
-        return parsedArgs;
+    },
 
+    /**
+     * Convert decomposed argument segments to TemplateArgument objects, numbering unnamed arguments.
+     * @private
+     * @param {Array<TemplateArgumentSegment>} segments 
+     * @returns {Array<TemplateArgument>}
+     */
+    _toTemplateArguments: function(segments) {
+        var unnamedArgCount = 0;
+        return segments.map(function(seg) {
+            var argName;
+            if (seg.named) {
+                argName = seg.name;
+                if (argName === unnamedArgCount.toString()) unnamedArgCount++;
+            } else {
+                argName = (++unnamedArgCount).toString();
+            }
+            return {
+                text: seg.named ? seg.name + seg.gapBefore + '=' + seg.gapAfter + seg.value : seg.value,
+                name: argName,
+                value: seg.value
+            };
+        });
     },
 
     /**
@@ -420,20 +855,37 @@ WPLib.prototype = {
     },
 
     /**
-     * Parse an HTML string and get the outerHTML of each tag in it.
+     * Names of the tags of MediaWiki extensions (and parser tags) whose content is not parsed as HTML, e.g. tags in \<ref> or \<gallery>.
+     * This can be overwritten to work on wikis with other extensions.
+     * @type {Array<string>}
+     */
+    extensionTags: [
+        'nowiki', 'pre', 'syntaxhighlight', 'source', 'ref', 'gallery', 'math', 'chem', 'ce', 'templatedata', 'timeline', 'score', 'graph',
+        'hiero', 'imagemap', 'inputbox', 'categorytree', 'mapframe', 'maplink', 'charinsert', 'templatestyles'
+    ],
+
+    /**
+     * Parse an HTML string and get the outerHTML of each tag in it. The content of \<!-- --> and extension tags (see {@link WPLib#extensionTags})
+     * is not parsed, i.e. tags in them are not returned. Void elements (e.g. \<br>) never have content, and are returned as self-closing tags
+     * even if they aren't written as '\<br />'.
      * @param {string} html 
      * @param {object} [config]
      * @param {function(TagName): boolean} [config.namePredicate] Callback to filter out the result by tag name. \<!-- --> tags are named as 'comment'.
      * @param {function(Html): boolean} [config.htmlPredicate] Callback to filter out the result by user-defined conditions
-     * @returns {Array<Html>}
+     * @param {Array<string>} [config.extensionTags] Names of the tags whose content is not to be parsed. {@link WPLib#extensionTags} by default.
+     * @returns {Array<Html>} Sorted by the start index
      * @typedef TagName
      * @type {string}
      * @typedef Html
      * @type {object}
      * @property {string} text OuterHTML of the tag.
      * @property {TagName} name Name of the tag in lower case.
+     * @property {Object.<string, string>} attributes Attributes of the tag (see {@link WPLib#parseAttributes}). Empty for \<!-- --> tags.
+     * @property {string|null} content InnerHTML of the tag, or null if the tag is self-closing or unclosed.
      * @property {number} nestlevel Nest level of the tag. If it's not part of another tag, the value is 0.
-     * @property {boolean} selfclosing Whether the tag is closed by itself.
+     * @property {boolean} selfclosing Whether the tag is closed by itself (e.g. '\<ref name="a" />'), or is a void element (e.g. '\<br>').
+     * @property {boolean} unclosed Whether the tag lacks its closing tag, in which case 'text' only includes the opening tag. An unclosed
+     * \<!-- extends to the end of the input, as in MediaWiki.
      * @property {{start: number, end: number}} index Indexes of the html tag in the input string. The end index is 'characters up to or not
      * including', so the relevant tag can be extracted from the input string by "input.slice(index.start, index.end)".
      */
@@ -441,143 +893,111 @@ WPLib.prototype = {
 
         // Initialize config
         config = this.merge({
-            recursive: true,
             namePredicate: null,
-            htmlPredicate: null
+            htmlPredicate: null,
+            extensionTags: this.extensionTags
         }, config || {});
-    
-        // eslint-disable-next-line no-useless-escape
-        var openingTagRegex = /^(?:<!--|<([a-z]+) ?[^\/>]*?>)/i;
-        var closingTagRegex = /^(?:-->|<\/([a-z]+) ?[^>]*?>)/i;
-        var selfclosingTagRegex = /^<([a-z]+) ?[^>]*?\/>/i;
 
-        var matched;
+        var self = this;
+        var voidElements = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'track', 'wbr'];
         var parsed = [];
         /**
-         * @type {Array<{name: string, startIdx: number, selfClosingIdx: number}>}
+         * @type {Array<{name: string, attributes: Object.<string, string>, start: number, contentStart: number}>}
          */
-        var tags = []; // All elements are pushed into the beginning of the array in the loop below (unshift)
-
-        for (var i = 0; i < html.length; i++) {
-            var slicedHtml = html.slice(i);
-
-            // For when the current index is the start of <tag /> (self-closing)
-            if ((matched = slicedHtml.match(selfclosingTagRegex))) {
-
-                parsed.push({
-                    text: html.slice(i, i + matched[0].length),
-                    name: matched[1].toLowerCase(),
-                    nestlevel: NaN,
-                    selfclosing: true,
-                    index: {
-                        start: i,
-                        end: i + matched[0].length
-                    }
-                });
-                i += matched[0].length - 1;
-
-            // Not the start of a self-closing tag
-            } else {
-
-                // Not inside any other tags
-                if (tags.length === 0) {
-
-                    // Start of a new tag
-                    if ((matched = slicedHtml.match(openingTagRegex))) {
+        var tags = []; // Unclosed tags, the last element being the innermost one
+        var createHtml = function(name, attributes, start, end, content, selfclosing, unclosed) {
+            parsed.push({
+                text: html.slice(start, end),
+                name: name,
+                attributes: attributes,
+                content: content,
+                nestlevel: NaN,
+                selfclosing: selfclosing,
+                unclosed: unclosed,
+                index: {
+                    start: start,
+                    end: end
+                }
+            });
+        };
+        var parseTag = function(token) {
+            var matched = token.text.match(/^<\/?([a-z]+)([\s\S]*?)\/?>$/i);
+            // @ts-ignore The token is always a tag
+            return {name: matched[1].toLowerCase(), attributes: self.parseAttributes(matched[2])};
+        };
 
-                        // Save the current index and the tag name
-                        tags.unshift({
-                            name: matched[1] ? matched[1].toLowerCase() : 'comment',
-                            startIdx: i,
-                            selfClosingIdx: i + matched[0].length
-                        });
-                        i += matched[0].length - 1; // Continue the loop after the end of the matched tag
+        var token, tag, endIdx;
+        var pos = 0;
+        while ((token = this._nextToken(html, pos, ['selfClosingTag', 'commentOpen', 'openingTag', 'closingTag']))) {
+            pos = token.end;
 
-                    // End of a tag (ungrammatical)
-                    } else if ((matched = slicedHtml.match(closingTagRegex))) {
-                        i += matched[0].length - 1; // Just skip
+            switch (token.type) {
+                // <tag />
+                case 'selfClosingTag':
+                    tag = parseTag(token);
+                    createHtml(tag.name, tag.attributes, token.start, token.end, null, true, false);
+                    break;
+                // Skip the content of the comment
+                case 'commentOpen':
+                    endIdx = html.indexOf('-->', token.end);
+                    pos = endIdx !== -1 ? endIdx + 3 : html.length;
+                    createHtml('comment', {}, token.start, pos, endIdx !== -1 ? html.slice(token.end, endIdx) : null, false, endIdx === -1);
+                    break;
+                case 'openingTag':
+                    tag = parseTag(token);
+                    if (voidElements.indexOf(tag.name) !== -1) {
+                        createHtml(tag.name, tag.attributes, token.start, token.end, null, true, false);
+                    } else if (config.extensionTags.indexOf(tag.name) !== -1) { // Skip the content of the extension tag
+                        var closingTagRegex = new RegExp('</' + tag.name + '\\s*>', 'gi');
+                        closingTagRegex.lastIndex = token.end;
+                        var closingTag = closingTagRegex.exec(html);
+                        if (closingTag) {
+                            pos = closingTag.index + closingTag[0].length;
+                            createHtml(tag.name, tag.attributes, token.start, pos, html.slice(token.end, closingTag.index), false, false);
+                        } else {
+                            createHtml(tag.name, tag.attributes, token.start, token.end, null, false, true);
+                        }
+                    } else {
+                        tags.push({name: tag.name, attributes: tag.attributes, start: token.start, contentStart: token.end});
                     }
-
-                // Inside some other tags
-                } else {
-
-                    // Start of a new tag (nested tag); same as when not nested
-                    if ((matched = slicedHtml.match(openingTagRegex))) {
-
-                        tags.unshift({
-                            name: matched[1] ? matched[1].toLowerCase() : 'comment',
-                            startIdx: i,
-                            selfClosingIdx: i + matched[0].length
-                        });
-                        i += matched[0].length - 1;
-
-                    // End of a tag
-                    } else if ((matched = slicedHtml.match(closingTagRegex))) {
-
-                        var endIdx = i + matched[0].length;
-                        var tagName = matched[1] ? matched[1].toLowerCase() : 'comment';
-                        var deleteIdx;
-
-                        // Asssume that the html has the structure of '<p> ... <br> ... </p>' in the comments below
-                        tags.some(function(obj, j) {
-                            if (obj.name === tagName) { // There's a <p> for the </p>; just need to find the start index of the <p>
-                                parsed.push({
-                                    text: html.slice(obj.startIdx, endIdx),
-                                    name: obj.name,
-                                    nestlevel: NaN,
-                                    selfclosing: false,
-                                    index: {
-                                        start: obj.startIdx,
-                                        end: endIdx
-                                    }
-                                });
-                                deleteIdx = j + 1;
-                                return true;
-                            } else { // There's a <br> for the </p>; <br> closes itself, neccesary to retrieve the start and end indexes from the saved tag object
-                                parsed.push({
-                                    text: html.slice(obj.startIdx, obj.selfClosingIdx),
-                                    name: obj.name,
-                                    nestlevel: NaN,
-                                    selfclosing: true,
-                                    index: {
-                                        start: obj.startIdx,
-                                        end: obj.selfClosingIdx
-                                    }
-                                });
-                                return false;
-                            }
-                        });
-                        tags.splice(0, deleteIdx); // Remove pushed tags, e.g. [br, p, span, p, ...] => [span, p, ...]
-
+                    break;
+                // Close the innermost tag that has the same name; tags inside it are unclosed. Closing tags that have no corresponding
+                // opening tags are ignored.
+                case 'closingTag':
+                    tag = parseTag(token);
+                    for (var i = tags.length - 1; i >= 0; i--) {
+                        if (tags[i].name === tag.name) {
+                            tags.splice(i + 1).forEach(function(obj) {
+                                createHtml(obj.name, obj.attributes, obj.start, obj.contentStart, null, false, true);
+                            });
+                            var opening = tags.pop();
+                            // @ts-ignore Never undefined
+                            createHtml(opening.name, opening.attributes, opening.start, token.end, html.slice(opening.contentStart, token.start), false, false);
+                            break;
+                        }
                     }
-
-                }
             }
         }
 
-        // Deal with elements that are still in the tags array (self-closing ones)
-        // E.g. '<br> ... <br> (... <p></p>)'; <br>s are still in the array because they don't have corresponding closing tags
+        // Deal with tags that are never closed
         tags.forEach(function(obj) {
-            parsed.push({
-                text: html.slice(obj.startIdx, obj.selfClosingIdx),
-                name: obj.name,
-                nestlevel: NaN,
-                selfclosing: true,
-                index: {
-                    start: obj.startIdx,
-                    end: obj.selfClosingIdx
-                }
-            });
+            createHtml(obj.name, obj.attributes, obj.start, obj.contentStart, null, false, true);
         });
 
         // Sort the result by start index and set nestlevel
         parsed = parsed.sort(function(obj1, obj2) {
             return obj1.index.start - obj2.index.start;
         });
-        parsed.forEach(function(obj, i, arr) {
-            // If the relevant indexes are e.g. '0 ... [1 ... 59] ... 60', the nestlevel is 1
-            var nestlevel = arr.filter(function(objF) { return objF.index.start < obj.index.start && obj.index.end < objF.index.end; }).length;
-            obj.nestlevel = nestlevel;
+        // If the relevant indexes are e.g. '0 ... [1 ... 59] ... 60', the nestlevel is 1. Tags never overlap partially, so the tags that
+        // contain the current one are those left on the stack after popping the ones that don't contain it.
+        var enclosing = [];
+        parsed.forEach(function(obj) {
+            var last;
+            while ((last = enclosing[enclosing.length - 1]) && !(last.index.start < obj.index.start && obj.index.end < last.index.end)) {
+                enclosing.pop();
+            }
+            obj.nestlevel = enclosing.length;
+            enclosing.push(obj);
         });
 
         // Filter the result by config
@@ -609,24 +1029,34 @@ WPLib.prototype = {
      * @returns {string[]}
      */
     getCommentTags: function(wikitext) {
-        var namePredicate = function(name) {
-            return ['comment', 'nowiki', 'pre', 'syntaxhighlight', 'source'].indexOf(name) !== -1;
-        };
-        var commentTags = this.parseHtml(wikitext, {namePredicate: namePredicate})
-            .filter(function(Html, i, arr) {
-                // Get rid of comment tags that are nested inside bigger comment tags
-                return !arr.some(function(Html2) {return Html2.index.start < Html.index.start && Html.index.end < Html2.index.end; });
-            })
-            .map(function(Html) {
-                return Html.text;
-            });
-        return commentTags;
+        return this._getCommentTagObjects(wikitext).map(function(Html) {
+            return Html.text;
+        });
+    },
+
+    /**
+     * Get \<!-- -->, \<nowiki />, \<pre />, \<syntaxhighlight />, and \<source /> tags as Html objects (see {@link WPLib#getCommentTags}).
+     * The regions of these tags are to be skipped by parsers.
+     * @private
+     * @param {string} wikitext 
+     * @returns {Array<Html>} Sorted by the start index
+     */
+    _getCommentTagObjects: function(wikitext) {
+        // The content of other extension tags (e.g. <ref>) needs to be parsed because it may contain comments. The tags returned are never
+        // nested inside one another because their content isn't parsed.
+        var tagNames = ['nowiki', 'pre', 'syntaxhighlight', 'source'];
+        return this.parseHtml(wikitext, {
+            namePredicate: function(name) { return name === 'comment' || tagNames.indexOf(name) !== -1; },
+            extensionTags: tagNames
+        });
     },
         
     /**
-     * Replace strings by given strings in a wikitext, ignoring replacees in tags that prevent transclusions (i.e. \<!-- -->, nowiki, pre, syntaxhighlist, source).
+     * Replace strings by given strings in a wikitext, ignoring replacees in tags that prevent transclusions (i.e. \<!-- -->, nowiki, pre, syntaxhighlight, source).
      * The replacees array and the replacers array must have the same number of elements in them. This restriction does not apply only if the replacees are to be 
      * replaced with one unique replacer, and the 'replacers' argument is a string or an array containing only one element.  
+     * All occurrences of each replacee are replaced. Replacers of RegExp replacees can refer to capture groups (e.g. '$1'), while those of string
+     * replacees are inserted as they are. See {@link WPLib#replaceInWikitext} for more options.
      * @param {string} wikitext 
      * @param {Array<string|RegExp>} replacees 
      * @param {string|Array<string>} replacers 
@@ -650,406 +1080,2948 @@ WPLib.prototype = {
             console.error('replaceWikitext: replacees and replacers must have the same number of elements in them.');
             return null;
         }
-    
-        // Extract transclusion-preventing tags in the wikitext
-        var commentTags = this.getCommentTags(wikitext);
-    
-        // Temporarily replace comment tags with a (unique) control character
-        commentTags.forEach(function(tag, i) {
-            wikitext = wikitext.replace(tag, '$CO' + i);
-        });
-    
-        // Replace all
-        for (var i = 0; i < replacees.length; i++) {
-            wikitext = wikitext.split(replacees[i]).join(replacersArr[i]);
-        }
-    
-        // Get the comment tags back
-        commentTags.forEach(function(tag, i) {
-            wikitext = wikitext.replace('$CO' + i, tag);
+
+        var self = this;
+        var rules = replacees.map(function(replacee, i) {
+            var replacer = replacersArr[i];
+            if (typeof replacee === 'string') {
+                replacer = replacer.replace(/\$/g, '$$$$');
+            } else if (replacee instanceof RegExp && !replacee.global) {
+                replacee = new RegExp(replacee.source, self._getRegExpFlags(replacee) + 'g');
+            }
+            return {pattern: replacee, replacement: replacer};
         });
-    
-        return wikitext;
+        var result = this.replaceInWikitext(wikitext, rules);
+        return result && result.text;
     
     },
 
-    // ============================================== ASYNCHRONOUS METHODS ==============================================
-
     /**
-     * Send an AJAX request to the API.
-     * @param {object} parameters Parameters to the API
-     * @param {object} [ajaxOptions] Parameters to pass to jQuery.ajax
-     * @returns {JQueryPromise<DynamicObject>}
-     * @typedef DynamicObject
-     * @type {Object.<string, any>}
-     * @license MediaWiki This function is largely adapted from MediaWiki Core.
-     * @link https://doc.wikimedia.org/mediawiki-core/master/js/source/index4.html#mw-Api-method-ajax
+     * Replace strings in a wikitext, ignoring those in protected regions. The rules are applied one by one, each to the result of the previous one.
+     * Protected regions are temporarily replaced with placeholders made of the control character '\x7F' and a random key that doesn't appear in the
+     * wikitext, and matches that overlap a placeholder are skipped.
+     * @param {string} wikitext 
+     * @param {ReplaceRule|Array<ReplaceRule>} rules 
+     * @param {object} [options]
+     * @param {Array<string|RegExp>} [options.protect] Regions not to replace anything in (default: \['comments'\]). Each element is one of:
+     * - 'comments': \<!-- -->, nowiki, pre, syntaxhighlight and source
+     * - 'templates': templates, parser functions and the like (see {@link WPLib#parseTemplates})
+     * - 'templateArguments': the arguments of templates (the part after the first pipe), including templates nested in them
+     * - 'links': wikilinks (see {@link WPLib#parseLinks})
+     * - any other string: tags of that name (e.g. 'math' and 'ref')
+     * - RegExp: strings that match the regular expression
+     * @returns {{text: string, changes: Array<WikitextChange>}|null} Null if any of the rules is invalid
+     * @typedef ReplaceRule
+     * @type {object}
+     * @property {string|RegExp} pattern The string or regular expression to look for. All occurrences of a string are replaced, and a RegExp
+     * without the global flag only replaces the first match, as in String.prototype.replace.
+     * @property {string|function(...*): string} replacement The string to replace matches with, in which '$1', '$&' and the like work as in
+     * String.prototype.replace; or a function that returns it, which receives the same arguments as a replacer function of
+     * String.prototype.replace (the offset and the whole string are those of the wikitext without placeholders).
+     * @typedef WikitextChange
+     * @type {object}
+     * @property {number} rule The index of the rule that made the change
+     * @property {string} before The replaced string
+     * @property {string} after The replacement
+     * @property {{start: number, end: number}} index Indexes of the replaced string in the wikitext that the rule was applied to (i.e. the input
+     * for the first rule, or the result of the previous rule for the others)
      */
-    ajax: function(parameters, ajaxOptions) {
-        var def = $.Deferred();
+    replaceInWikitext: function(wikitext, rules, options) {
 
-        parameters = this.merge({}, this.defaultOptions.parameters, parameters || {});
-        ajaxOptions = this.merge({}, this.defaultOptions.ajax, ajaxOptions || {});
-        ajaxOptions.data = parameters;
+        options = options || {};
+        var protect = options.protect || ['comments'];
+        if (!Array.isArray(rules)) rules = [rules];
+        var changes = [];
 
-        // Make the AJAX request
-        $.ajax(ajaxOptions)
-        // If AJAX fails, reject API call with error code 'http' and details in second argument.
-        .fail(function(jqXHR, textStatus, exception) {
-            def.reject('http', {
-                xhr: jqXHR,
-                textStatus: textStatus,
-                exception: exception
-            });
-        })
-        // AJAX success just means "200 OK" response, also check API error codes
-        .done(function(result, textStatus, jqXHR) {
-            var code;
-            if (result === undefined || result === null || result === '') {
-                def.reject('ok-but-empty',
-                    'OK response but empty result (check HTTP headers?)',
-                    result,
-                    jqXHR
-                );
-            } else if (result.error) {
-                // errorformat=bc
-                code = result.error.code === undefined ? 'unknown' : result.error.code;
-                def.reject(code, result, result, jqXHR);
-            } else if (result.errors) {
-                // errorformat!=bc
-                code = result.errors[0].code === undefined ? 'unknown' : result.errors[0].code;
-                def.reject(code, result, result, jqXHR);
+        for (var i = 0; i < rules.length; i++) {
+
+            var pattern = rules[i].pattern;
+            var replacement = rules[i].replacement;
+            var regex, global;
+            if (typeof pattern === 'string') {
+                regex = new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+                global = true;
+            } else if (pattern instanceof RegExp) {
+                var flags = this._getRegExpFlags(pattern);
+                regex = new RegExp(pattern.source, pattern.global ? flags : flags + 'g');
+                global = pattern.global;
             } else {
-                def.resolve(result, jqXHR);
+                console.error('TypeError: The pattern of replaceInWikitext() must be a string or a RegExp (rule ' + i + ').');
+                return null;
+            }
+            if (typeof replacement !== 'string' && typeof replacement !== 'function') {
+                console.error('TypeError: The replacement of replaceInWikitext() must be a string or a function (rule ' + i + ').');
+                return null;
             }
-        });
 
-        return def.promise();
+            var masked = this._maskRanges(wikitext, this._getProtectedRanges(wikitext, protect));
+            var placeholders = masked.placeholders;
+            var ptr = 0; // Index of the first placeholder that doesn't end before the current match
+            var delta = 0; // Difference in length between the masked wikitext and the original one before the current match
+            var output = '';
+            var lastIdx = 0;
+            var matched;
+            while ((matched = regex.exec(masked.text))) {
+
+                var start = matched.index;
+                var end = start + matched[0].length;
+                while (ptr < placeholders.length && placeholders[ptr].end <= start) {
+                    delta += placeholders[ptr].original.length - (placeholders[ptr].end - placeholders[ptr].start);
+                    ptr++;
+                }
+                if (ptr < placeholders.length && placeholders[ptr].start < Math.max(end, start + 1)) { // Overlaps a placeholder
+                    regex.lastIndex = start + 1;
+                    continue;
+                }
+
+                var replacer = typeof replacement === 'function'
+                    ? String(replacement.apply(null, Array.prototype.slice.call(matched)
+                        .concat([start + delta, wikitext])
+                        .concat(matched.groups ? [matched.groups] : [])))
+                    : this._expandReplacement(replacement, matched, wikitext, start + delta);
+                output += masked.text.slice(lastIdx, start) + replacer;
+                lastIdx = end;
+                changes.push({
+                    rule: i,
+                    before: matched[0],
+                    after: replacer,
+                    index: {
+                        start: start + delta,
+                        end: end + delta
+                    }
+                });
+
+                if (!global) break;
+                if (!matched[0]) regex.lastIndex++; // Prevent an infinite loop on an empty match
+
+            }
+            wikitext = masked.restore(output + masked.text.slice(lastIdx));
+
+        }
+
+        return {
+            text: wikitext,
+            changes: changes
+        };
+
     },
 
     /**
-     * Perform API get request.
-     * @param {Object} parameters
-     * @param {Object} [ajaxOptions]
-     * @return {JQueryPromise<DynamicObject>}
+     * Get the flags of a regular expression (RegExp.prototype.flags isn't available in ES5).
+     * @private
+     * @param {RegExp} regex 
+     * @returns {string}
      */
-    get: function(parameters, ajaxOptions) {
-        ajaxOptions = ajaxOptions || {};
-        ajaxOptions.type = 'GET';
-        return this.ajax(parameters, ajaxOptions);
+    _getRegExpFlags: function(regex) {
+        return String(regex).slice(String(regex).lastIndexOf('/') + 1);
     },
 
     /**
-     * Perform API post request.
-     * @param {Object} parameters
-     * @param {Object} [ajaxOptions]
-     * @return {JQueryPromise<DynamicObject>}
+     * Expand '$1', '$&' and the like in a replacement string, as in String.prototype.replace.
+     * @private
+     * @param {string} replacement 
+     * @param {RegExpExecArray} matched 
+     * @param {string} string The whole string
+     * @param {number} position The index of the match in the whole string
+     * @returns {string}
      */
-    post: function(parameters, ajaxOptions) {
-        ajaxOptions = ajaxOptions || {};
-        ajaxOptions.type = 'POST';
-        return this.ajax(parameters, ajaxOptions);
+    _expandReplacement: function(replacement, matched, string, position) {
+        var groupCount = matched.length - 1;
+        return replacement.replace(/\$(?:([$&`'])|(\d\d?)|<([^>]*)>)/g, function(all, symbol, num, groupName) {
+            if (symbol === '$') return '$';
+            if (symbol === '&') return matched[0];
+            if (symbol === '`') return string.slice(0, position);
+            if (symbol === '\'') return string.slice(position + matched[0].length);
+            if (num) {
+                var n = parseInt(num, 10);
+                if (n >= 1 && n <= groupCount) return matched[n] || '';
+                n = parseInt(num.charAt(0), 10);
+                if (num.length === 2 && n >= 1 && n <= groupCount) return (matched[n] || '') + num.charAt(1);
+                return all;
+            }
+            // @ts-ignore Named groups are available in ES2018+
+            var groups = matched.groups;
+            return groups ? groups[groupName] || '' : all;
+        });
     },
 
     /**
-     * Get the latest revision of a given page. This function never rejects.
-     * @param {string} pagename 
-     * @param {object} ajaxOptions 
-     * @returns {JQueryPromise<ReadResponse|false|undefined>} False if the page doesn't exist, undefined if an error occurs, or else an object
-     * @typedef ReadResponse
-     * @type {object}
-     * @property {boolean} isRedirect
-     * @property {string} basetimestamp
-     * @property {string} curtimestamp
-     * @property {string} content
-     * @property {string} revid
+     * Get ranges of protected regions in a wikitext (see {@link WPLib#replaceInWikitext}).
+     * @private
+     * @param {string} wikitext 
+     * @param {Array<string|RegExp>} protect 
+     * @returns {Array<{start: number, end: number}>} Sorted and merged, i.e. no two ranges overlap
      */
-    read: function(pagename, ajaxOptions) {
-        var def = $.Deferred();
-
-        var params = {
-            titles: pagename,
-            prop: 'info|revisions',
-            rvprop: 'ids|timestamp|content',
-            rvslots: 'main',
-            curtimestamp: true
-        };
-
-        this.get(params, ajaxOptions)
-            .then(function(res) {
-
-                var resPgs;
-                if (!res || !res.query || !(resPgs = res.query.pages) || !Array.isArray(resPgs) || resPgs.length === 0) {
-                    console.warn('read() received an invalid response from the API.');
-                    return def.resolve();
-                }
-
-                resPgs = resPgs[0];
-                if (resPgs.missing) return def.resolve(false);
+    _getProtectedRanges: function(wikitext, protect) {
 
-                if (!resPgs.revisions) {
-                    console.warn('read() received an invalid response from the API.');
-                    return def.resolve();
+        var self = this;
+        var ranges = [];
+        var getIndex = function(obj) { return obj.index; };
+        protect.forEach(function(type) {
+            if (type instanceof RegExp) {
+                var regex = new RegExp(type.source, type.global ? self._getRegExpFlags(type) : self._getRegExpFlags(type) + 'g');
+                var matched;
+                while ((matched = regex.exec(wikitext))) {
+                    if (!matched[0]) {
+                        regex.lastIndex++;
+                        continue;
+                    }
+                    ranges.push({start: matched.index, end: matched.index + matched[0].length});
                 }
-
-                var resRev = resPgs.revisions[0];
-                def.resolve({
-                    isRedirect: resPgs.redirect ? true : false,
-                    basetimestamp: resRev.timestamp,
-                    curtimestamp: res.curtimestamp,
-                    content: resRev.slots.main.content,
-                    revid: resRev.revid.toString()
+            } else if (type === 'comments') {
+                ranges = ranges.concat(self._getCommentTagObjects(wikitext).map(getIndex));
+            } else if (type === 'templates') {
+                ranges = ranges.concat(self.parseTemplates(wikitext, {recursive: false}).map(getIndex));
+            } else if (type === 'templateArguments') {
+                self.parseTemplates(wikitext, {recursive: false}).forEach(function(Template) {
+                    var pipeIdx = self._indexOfTopLevel(Template.text.slice(2, -2), '|');
+                    if (pipeIdx !== -1) ranges.push({start: Template.index.start + 2 + pipeIdx, end: Template.index.end - 2});
                 });
+            } else if (type === 'links') {
+                ranges = ranges.concat(self.parseLinks(wikitext, {recursive: false}).map(getIndex));
+            } else if (typeof type === 'string') {
+                var tagName = type.toLowerCase();
+                ranges = ranges.concat(self.parseHtml(wikitext, {namePredicate: function(name) { return name === tagName; }}).map(getIndex));
+            }
+        });
 
-            }).catch(function(code, err) {
-                console.warn(err.error.info);
-                def.resolve();
-            });
+        return ranges
+            .sort(function(range1, range2) { return range1.start - range2.start; })
+            .reduce(function(acc, range) {
+                var last = acc[acc.length - 1];
+                if (last && range.start <= last.end) {
+                    last.end = Math.max(last.end, range.end);
+                } else {
+                    acc.push({start: range.start, end: range.end});
+                }
+                return acc;
+            }, []);
 
-        return def.promise();
     },
 
     /**
-     * Send API request that automatically continues until the limit is reached. Works only for calls that have a 'continue' property in the response.
-     * The '**limit' property in the 'parameters' should always be set to 'max'.
-     * @param {object} parameters
-     * @param {number} [limit] 10 by default 
-     * @returns {JQueryPromise<Array<object>>} Array of API responses.
-     * @link https://github.com/Dr4goniez/dragobot/blob/740811cfecc24264b324085c8490ae63ef1ea1ea/src/lib.ts#L324
+     * Replace ranges of a string with placeholders that never collide with the string.
+     * @private
+     * @param {string} string 
+     * @param {Array<{start: number, end: number}>} ranges Sorted ranges that don't overlap
+     * @returns {{text: string, placeholders: Array<{start: number, end: number, original: string}>, restore: function(string): string}}
+     * 'placeholders' are sorted, and have the indexes of the placeholders in 'text'. 'restore' replaces the placeholders in a string back.
      */
-    continuedQuery: function(parameters, limit) {
+    _maskRanges: function(string, ranges) {
 
-        if (typeof limit === 'undefined') limit = 10;
-        var responses = [];
+        var key;
+        do {
+            key = '\x7F' + Math.random().toString(36).slice(2, 10) + '-';
+        } while (string.indexOf(key) !== -1);
 
-        var self = this;
-        var query = function(params, count) {
-            return self.get(params)
-            .then(function(res) {
-                responses.push(res);
-                // @ts-ignore limit is never undefined
-                if (res.continue && count < limit) {
-                    return query(self.merge(params, res.continue), count + 1);
-                } else {
-                    return responses;
-                }
-            }).catch(function(code, err) {
-                // @ts-ignore err.error always exists
-                console.warn('continuedQuery: Query failed (reason: ' + err.error.info + ', loop count: ' + count + ').');
-                return responses;
-            });
+        var text = '';
+        var lastIdx = 0;
+        var placeholders = ranges.map(function(range, i) {
+            var placeholder = key + i + '\x7F';
+            text += string.slice(lastIdx, range.start);
+            lastIdx = range.end;
+            var obj = {start: text.length, end: text.length + placeholder.length, original: string.slice(range.start, range.end)};
+            text += placeholder;
+            return obj;
+        });
+        text += string.slice(lastIdx);
+
+        // eslint-disable-next-line no-control-regex
+        var placeholderRegex = new RegExp(key + '(\\d+)\x7F', 'g');
+        return {
+            text: text,
+            placeholders: placeholders,
+            restore: function(str) {
+                return str.replace(placeholderRegex, function(_, i) {
+                    return placeholders[i].original;
+                });
+            }
         };
-    
-        return query(parameters, 1);
-    
+
     },
 
     /**
-     * Send API requests involving a multi-value field all at once. The multi-value field needs to be an array, which is internally converted to a
-     * pipe-separated string by splicing the array by 500 (or 50 for users without apihighlimits). The name(s) of the multi-value field(s) must also
-     * be provided. If the splicing number needs to be configured, pass the relevant number to the third argument.
-     * @param {object} params 
-     * @param {string|Array<string>} batchParam The name of the multi-value field (can be an array if there are more than one multi-value field, but
-     * the  values must be the same.)
-     * @param {number} [batchLimit] Optional splicing number (default: 500/50). The '**limit' property of the params is automatically set to 'max' if
-     * this argument has the value of either 500 or 50, which means that 'max' is selected when no value is passed to this argument, but the parameter
-     * is not modified if a unique value is specified for this argument.
-     * @returns {JQueryPromise<Array<object|undefined>>} Always an array; Elements are either ApiResponse (success) or undefined (failure). If the
-     * batchParam is an empty array, Promise<[]> (empty array) is returned.
-     * @license Dr4goniez@github
-     * @link https://github.com/Dr4goniez/dragobot/blob/740811cfecc24264b324085c8490ae63ef1ea1ea/src/lib.ts#L360
+     * Parse wikilinks (\[\[...\]\]) in wikitext. Internal links, interwiki links, file links and category links are distinguished by their
+     * namespace prefixes (see {@link WPLib#namespaces} and {@link WPLib#interwikiPrefixes}). Links within tags that prevent transclusions
+     * (i.e. \<!-- -->, nowiki, pre, syntaxhighlight, source) are not parsed.
+     * @param {string} wikitext 
+     * @param {object} [config]
+     * @param {boolean} [config.recursive] Whether to look for links nested in other links (e.g. in the caption of a file). True by default.
+     * @param {function(string): boolean} [config.namePredicate] Callback to filter out the result by the normalized title
+     * @param {function(Link): boolean} [config.linkPredicate] Callback to filter out the result by user-defined conditions
+     * @returns {Array<Link>} Sorted by the start index
+     * @typedef Link
+     * @type {object}
+     * @property {string} text The whole text of the link
+     * @property {string} type 'internal', 'interwiki', 'file' or 'category'. Links with a leading colon (e.g. \[\[:Category:Foo\]\]) are 'internal'.
+     * @property {string} target The link target as written, without the leading colon (e.g. 'category:foo_bar#baz')
+     * @property {string} title The normalized title of the target (e.g. 'Category:Foo bar'). The namespace prefix is converted to its local name,
+     * and the first letter is capitalized in namespaces whose case is 'first-letter'. For interwiki links, this is the title on the remote wiki as written.
+     * @property {number|null} namespace The namespace number of the target, or null for interwiki links
+     * @property {string|null} interwiki The interwiki prefix in lower case (e.g. 'en'), or null if not an interwiki link
+     * @property {string|null} fragment The section name after '#', or null if there's none
+     * @property {boolean} colon Whether the target has a leading colon
+     * @property {string|null} display The displayed text of an internal or interwiki link (the text after the first pipe), or null if there's none
+     * @property {Array<string>} options The options of a file link (e.g. \['thumb', '200px'\]), excluding the caption
+     * @property {string|null} caption The caption of a file link, or null if there's none
+     * @property {string|null} sortkey The sort key of a category link, or null if there's none
+     * @property {number} nestlevel The nestlevel of the link (0 if not embedded in other links)
+     * @property {{start: number, end: number}} index Indexes of the link in the input string. The end index is 'characters up to or not
+     * including', so the link can be extracted from the input string by "input.slice(index.start, index.end)".
      */
-    massQuery: function(params, batchParam, batchLimit) {
-        var def = $.Deferred();
+    parseLinks: function(wikitext, config) {
 
-        var limit = batchLimit || this.apiHighLimits ? 500 : 50;
+        // Initialize config
+        config = this.merge({
+            recursive: true,
+            namePredicate: null,
+            linkPredicate: null
+        }, config || {});
 
-        // Get the array to be used for the batch operation
-        var batchArray, sameArrayProvided, fieldNames;
-        var self = this;
-        if (Array.isArray(batchParam)) {
-            sameArrayProvided = Object.keys(params)
-                .filter(function(key) {
-                    return batchParam.indexOf(key) !== -1;
-                })
-                .map(function(key) {
-                    return params[key]; // Get multi-value fields as an array
-                })
-                .every(function(multiValueFieldArray, i, arr) {
-                    return Array.isArray(multiValueFieldArray) && arr.every(function(allMultiValueFieldArray) {
-                        self.arraysEqual(multiValueFieldArray, allMultiValueFieldArray);
-                    });
-                });
-            if (!sameArrayProvided) {
-                console.error('massQuery: Batch fields have different arrays.');
-                return def.reject();
-            }
-            batchArray = params[batchParam[0]];
-        } else {
-            batchArray = params[batchParam];
-            if (!Array.isArray(batchArray)) {
-                console.error('massQuery: Batch field in query must be an array.');
-                return def.reject();
-            }
-        }
-        if (batchArray.length === 0) {
-            fieldNames = Array.isArray(batchParam) ? batchParam.join(', ') : batchParam;
-            console.warn('massQuery: Batch field is an empty array (' + fieldNames + ').');
-            return def.resolve([]);
-        }
-        batchArray = batchArray.slice(); // Deep copy
+        var skipRanges = this._getCommentTagObjects(wikitext).map(function(Html) { return Html.index; });
+        var skipIdx = 0;
 
-        // Set the '**limit' parameter as 'max' if there's any
-        var limitKey = Object.keys(params)
-            .filter(function(key) {
-                return /limit$/.test(key);
-            });
-        if (limitKey.length !== 0 && !batchLimit) params[limitKey[0]] = 'max';
+        var parsed = [];
+        var openings = []; // Start indexes of unclosed '[['
+        var link;
+        for (var i = 0; i < wikitext.length; i++) {
 
-        // Send API requests
-        var result = [];
-        var splicedBatchArrayPiped;
-        while (batchArray.length !== 0) {
+            // Skip comment tags
+            while (skipIdx < skipRanges.length && skipRanges[skipIdx].end <= i) skipIdx++;
+            if (skipIdx < skipRanges.length && skipRanges[skipIdx].start <= i) {
+                i = skipRanges[skipIdx].end - 1;
+                continue;
+            }
 
-            splicedBatchArrayPiped = batchArray.splice(0, limit).join('|');
-            if (typeof batchParam === 'string') {
-                params[batchParam] = splicedBatchArrayPiped;
-            } else {
-                Object.keys(params).forEach(function(key) {
-                    if (batchParam.indexOf(key) !== -1) params[key] = splicedBatchArrayPiped;
-                });
+            if (wikitext.substr(i, 2) === '[[') {
+                if (wikitext[i + 2] === '[') continue; // The first bracket of '[[[' is a literal one
+                openings.push(i);
+                i++;
+            } else if (wikitext.substr(i, 2) === ']]' && openings.length !== 0) {
+                var startIdx = openings.pop();
+                if ((link = this._createLink(wikitext.slice(startIdx, i + 2), {start: startIdx, end: i + 2}))) {
+                    parsed.push(link);
+                }
+                i++;
             }
 
-            result.push(
-                this.post(params)
-                .then(function(res){
-                    return res;
-                })
-                .catch(function(code, err) {
-                    // @ts-ignore err.error always exists
-                    console.warn(err.error.info);
-                })
-            );
+        }
+
+        // Sort the result by start index and set nestlevel
+        parsed = parsed.sort(function(obj1, obj2) {
+            return obj1.index.start - obj2.index.start;
+        });
+        parsed.forEach(function(obj, i, arr) {
+            obj.nestlevel = arr.filter(function(objF) { return objF.index.start < obj.index.start && obj.index.end < objF.index.end; }).length;
+        });
 
+        // Filter the result by config
+        if (!config.recursive) {
+            parsed = parsed.filter(function(Link) {
+                return Link.nestlevel === 0;
+            });
         }
-        
-        $.when.apply($, result)
-            .then(function() {
-                var args = arguments;
-                var resultArray = Object.keys(args).map(function(key) {
-                    return args[key];
-                });
-                def.resolve(resultArray);
+        if (typeof config.namePredicate === 'function') {
+            parsed = parsed.filter(function(Link) {
+                // @ts-ignore config.namePredicate is never undefined in this block
+                return config.namePredicate(Link.title);
+            });
+        }
+        if (typeof config.linkPredicate === 'function') {
+            parsed = parsed.filter(function(Link) {
+                // @ts-ignore config.linkPredicate is never undefined in this block
+                return config.linkPredicate(Link);
             });
+        }
+
+        return parsed;
 
-        return def.promise();
     },
 
     /**
-     * Get bullet-points-notated interface in the MediaWiki namespace as an array of objects.
-     * @param {string} interfaceName block/delete/protect
-     * @param {boolean} [createOptionTags] If true, return a string of \<option>s for \<select>
-     * @returns {JQueryPromise<string|Array<{index: number, caption: string}>>}
+     * Create a Link object out of the text of a link.
+     * @private
+     * @param {string} text The whole text of the link, including the brackets
+     * @param {{start: number, end: number}} index 
+     * @returns {Link|null} Null if the text isn't a valid link
      */
-    getInterface: function(interfaceName, createOptionTags) {
-        var def = $.Deferred();
-
-        var pagetitle = 'MediaWiki:';
-        switch (interfaceName) {
-            case 'block':
-                pagetitle += 'Ipbreason-dropdown';
-                break;
-            case 'delete':
-                pagetitle += 'Deletereason-dropdown';
-                break;
-            case 'protect':
-                pagetitle += 'Protect-dropdown';
-                break;
-            default:
-                console.error('getInterface() only accepts "block", "delete", or "protect" as the first argument.');
-                return def.reject();
-        }
+    _createLink: function(text, index) {
 
-        this.get({
-            titles: pagetitle,
-            prop: 'revisions',
-            rvprop: 'content'
-        }).then(function(res) {
-    
-            var resPages;
-            if (!res || !res.query || !(resPages = res.query.pages) || resPages.length === 0) {
-                console.warn('getInterface() received an invalid response from the API.');
-                return def.reject();
-            }
+        var segments = this._splitTopLevel(text.slice(2, -2), '|');
+        var target = segments.shift();
+        if (/[<>[\]\n]/.test(target)) return null;
 
-            var content = resPages[0].revisions[0].content;
-            var reasonRegex = /(\*+)[^\S\r\n]*([^\n]+)\n?/g;
-            var rawReasons = [];
-            var matched;
-            while ((matched = reasonRegex.exec(content))) {
-                rawReasons.push(matched);
-            }
-            if (rawReasons.length === 0) {
-                console.warn('getInterface() coudn\'t fetch anything out of the interface.');
-                return def.reject();
-            }
+        var colon = /^\s*:/.test(target);
+        target = target.replace(/^\s*:/, '').trim();
+        var parsedTarget = this._parseLinkTarget(target);
+        if (!parsedTarget) return null;
 
-            var reasons = rawReasons.map(function(matchArray) {
-                return {
-                    index: matchArray[1].length,
-                    caption: matchArray[2]
-                };
-            });
+        var type = 'internal';
+        if (parsedTarget.interwiki !== null) {
+            type = 'interwiki';
+        } else if (parsedTarget.namespace === 6 && !colon) {
+            type = 'file';
+        } else if (parsedTarget.namespace === 14 && !colon) {
+            type = 'category';
+        }
 
-            if (!createOptionTags) return def.resolve(reasons);
+        var link = {
+            text: text,
+            type: type,
+            target: target,
+            title: parsedTarget.title,
+            namespace: parsedTarget.namespace,
+            interwiki: parsedTarget.interwiki,
+            fragment: parsedTarget.fragment,
+            colon: colon,
+            display: null,
+            options: [],
+            caption: null,
+            sortkey: null,
+            nestlevel: NaN,
+            index: index
+        };
 
-            var optionTags = '';
-            var lastIndex = 1;
-            reasons.forEach(function(obj, i, arr) {
-                if (obj.index === 1) {
-                    if (lastIndex > obj.index) {
-                        optionTags += '</optgroup>';
+        switch (type) {
+            case 'file':
+                // The last segment that isn't an image option is the caption
+                var captionIdx = -1;
+                for (var i = segments.length - 1; i >= 0; i--) {
+                    if (!this._imageOptionRegex.test(segments[i])) {
+                        captionIdx = i;
+                        break;
                     }
-                    optionTags += '<optgroup label=' + obj.caption + '>';
-                } else {
-                    optionTags += '<option>' + obj.caption + '</option>';
                 }
-                if (i === arr.length - 1) optionTags += '</optgroup>';
-                lastIndex = obj.index;
-            });
-            def.resolve(optionTags);
-    
-        }).catch(function(code, err) {
-            console.error(err.error.info);
-            def.reject();
-        });
+                link.options = segments
+                    .filter(function(seg, i) { return i !== captionIdx; })
+                    .map(function(seg) { return seg.trim(); });
+                link.caption = captionIdx !== -1 ? segments[captionIdx].trim() : null;
+                break;
+            case 'category':
+                link.sortkey = segments.length !== 0 ? segments.join('|') : null;
+                break;
+            default:
+                link.display = segments.length !== 0 ? segments.join('|') : null;
+        }
+
+        return link;
 
-        return def.promise();
     },
 
     /**
-     * Get a list of VIPs.
-     * @param {boolean} [wikiLinkFormat] If true, format the response as '[[WP:VIP#****]]'
-     * @returns {JQueryPromise<Array<string>>} Array of '****', where the stars are filtered section titles on [[WP:VIP]].
+     * Regular expression to test whether a segment of a file link is an image option (in English or Japanese).
+     * @private
      */
-    getVipList: function(wikiLinkFormat) {
-        return this.get({
-            action: 'parse',
-            page: 'Wikipedia:進行中の荒らし行為',
-            prop: 'sections'
-        }).then(function(res) {
+    _imageOptionRegex: new RegExp(
+        '^\\s*(?:' +
+            'thumb(?:nail)?|frame(?:d|less)?|border|left|right|cent(?:er|re)|none|upright|baseline|sub|super|top|text-top|middle|' +
+            'bottom|text-bottom|loop|muted|\\d*(?:x\\d+)?\\s*px|' +
+            '(?:thumb(?:nail)?|upright|link|alt|page|lang|class|start|end|thumbtime)\\s*=[\\s\\S]*|' +
+            'サムネイル|サムネ|右|左|中央|なし|フレーム|フレームなし|境界|右上|ベースライン|下付き|上付き|トップ|テキストトップ|中段|下段|' +
+            'テキスト下部|\\d*(?:x\\d+)?\\s*ピクセル|(?:サムネイル|サムネ|右上|リンク|代替文|ページ)\\s*=[\\s\\S]*' +
+        ')\\s*$',
+        'i'
+    ),
 
-            var resSect;
-            if (!res || !res.parse || !Array.isArray(resSect = res.parse.sections) || resSect.length === 0) {
-                console.warn('getVipList() received an invalid response from the API.');
-                return [];
+    /**
+     * Get the namespace number that a namespace prefix (local name, canonical name or alias) stands for.
+     * @private
+     * @param {string} prefix Case-insensitive; spaces and underscores are interchangeable.
+     * @returns {number|null} Null if the prefix isn't a namespace
+     */
+    _getNamespaceId: function(prefix) {
+        var normalize = function(name) {
+            return name.replace(/[\s_]+/g, ' ').trim().toLowerCase();
+        };
+        prefix = normalize(prefix);
+        if (!prefix) return null;
+        for (var key in this.namespaces) {
+            var ns = this.namespaces[key];
+            if (normalize(ns.name) === prefix || typeof ns.canonical === 'string' && normalize(ns.canonical) === prefix) {
+                return ns.id;
             }
+        }
+        var alias = this.namespaceAliases.filter(function(obj) { return normalize(obj.alias) === prefix; })[0];
+        return alias ? alias.id : null;
+    },
 
-            // Section titles that have nothing to do with VIPs
-            var excludeList = [
-                '記述について',
-                '急を要する二段階',
-                '配列',
+    /**
+     * Create a {@link Title} object. This works offline with the namespace table of this instance ({@link WPLib#namespaces},
+     * {@link WPLib#namespaceAliases} and {@link WPLib#interwikiPrefixes}).
+     * @param {string} title A page title with or without a namespace prefix, e.g. '利用者:Foo', 'User:Foo', 'WP:Foo', 'en:Foo' and 'Foo#Bar'
+     * @param {number} [namespace] The namespace to use if the title has no namespace prefix (default: 0). A leading colon in the title
+     * overrides this (e.g. ':Foo' is always in the main namespace).
+     * @returns {Title|null} Null if the title is invalid
+     */
+    newTitle: function(title, namespace) {
+        if (typeof title !== 'string') {
+            console.error('TypeError: String must be passed to the first argument of newTitle().');
+            return null;
+        }
+        var parsed = this._parseTitle(title, namespace);
+        return parsed && new Title(parsed, this);
+    },
+
+    /**
+     * Split a page title into its components and normalize them: underscores are converted to spaces, the namespace prefix is resolved,
+     * and the first letter is capitalized if the namespace is 'first-letter'.
+     * @private
+     * @param {string} title 
+     * @param {number} [defaultNamespace] 0 if not specified
+     * @param {{interwiki?: boolean, validate?: boolean}} [options] interwiki: Whether to recognize interwiki prefixes (default: true);
+     * validate: Whether to check if the title is a valid page title (default: true). If false, titles with an empty page name or illegal
+     * characters (e.g. those containing magic words) are not taken as invalid.
+     * @returns {{namespace: number, main: string, fragment: string|null, interwiki: string|null}|null} Null if the title is invalid. 'main'
+     * is the page name without the namespace prefix, and is the title on the remote wiki for interwiki titles (in which case 'namespace'
+     * is always 0).
+     */
+    _parseTitle: function(title, defaultNamespace, options) {
+
+        options = options || {};
+        title = title.replace(/[\u200E\u200F\u202A-\u202E]/g, '').replace(/[\s_]+/g, ' ').trim(); // Remove directional marks
+
+        var fragment = null;
+        var hashIdx = title.indexOf('#');
+        if (hashIdx !== -1) {
+            fragment = title.slice(hashIdx + 1).trim();
+            title = title.slice(0, hashIdx).trim();
+        }
+
+        var namespace = typeof defaultNamespace === 'number' ? defaultNamespace : 0;
+        var interwiki = null;
+        if (title.charAt(0) === ':') { // e.g. ':Foo' and ':Category:Foo'
+            namespace = 0;
+            title = title.slice(1).trim();
+        }
+        var matched = title.match(/^([^:]+?) ?: ?([\s\S]*)$/);
+        if (matched) {
+            var nsId = this._getNamespaceId(matched[1]);
+            if (nsId !== null) {
+                namespace = nsId;
+                title = matched[2];
+            } else if (options.interwiki !== false && this.interwikiPrefixes.indexOf(matched[1].toLowerCase()) !== -1) {
+                return {
+                    namespace: 0,
+                    main: matched[2],
+                    fragment: fragment,
+                    interwiki: matched[1].toLowerCase()
+                };
+            }
+        }
+
+        var ns = this.namespaces[namespace];
+        if (!ns) return null;
+        if (options.validate !== false) {
+            var byteLength = this._getByteLength(title);
+            if (!title ||
+                // eslint-disable-next-line no-control-regex
+                /[<>[\]|{}\x00-\x1F\x7F\uFFFD]|~{3}|^:|^\.\.?(?:\/|$)|\/\.\.?(?:\/|$)/.test(title) ||
+                byteLength > (namespace === -1 ? 512 : 255)
+            ) {
+                return null;
+            }
+        }
+        if (ns.case === 'first-letter') title = this._capitalizeFirstLetter(title);
+
+        return {
+            namespace: namespace,
+            main: title,
+            fragment: fragment,
+            interwiki: interwiki
+        };
+
+    },
+
+    /**
+     * Interpret the target of a link.
+     * @private
+     * @param {string} target The target without the leading colon
+     * @returns {{title: string, namespace: number|null, interwiki: string|null, fragment: string|null}|null} Null if the target is empty
+     */
+    _parseLinkTarget: function(target) {
+        var parsed = this._parseTitle(target, 0, {validate: false});
+        if (!parsed || !parsed.main && !parsed.fragment && !parsed.interwiki) return null;
+        return {
+            title: parsed.interwiki ? parsed.main : (parsed.namespace !== 0 ? this.namespaces[parsed.namespace].name + ':' : '') + parsed.main,
+            namespace: parsed.interwiki ? null : parsed.namespace,
+            interwiki: parsed.interwiki,
+            fragment: parsed.fragment
+        };
+    },
+
+    /**
+     * Parse sections in wikitext. Headings within tags that prevent transclusions (i.e. \<!-- -->, nowiki, pre, syntaxhighlight, source)
+     * are ignored, in the same way as {@link WPLib#replaceWikitext} protects them.
+     * @param {string} wikitext 
+     * @returns {Array<Section>} Sections in the order of appearance, the first element being the lead section. The index of each element is the
+     * section number (as in '&section=N' of the edit URL). The tree structure can be traversed through the 'children' and 'parent' properties.
+     * @typedef Section
+     * @type {object}
+     * @property {number} number The section number (0 for the lead section)
+     * @property {number} level The level of the heading (e.g. 2 for '== Foo =='), or 0 for the lead section
+     * @property {string} title The text of the heading (e.g. 'Foo' for '== Foo =='), or an empty string for the lead section
+     * @property {string} anchor The anchor of the section (e.g. 'Foo_bar' for '== \[\[Foo\]\] bar =='), or an empty string for the lead section
+     * @property {string} heading The whole line of the heading, not including the line break, or an empty string for the lead section
+     * @property {string} text The whole text of the section, including the heading and its subsections
+     * @property {{start: number, end: number}} index Indexes of the section in the input string. The end index is 'characters up to or not
+     * including', so the section can be extracted from the input string by "input.slice(index.start, index.end)".
+     * @property {Array<Section>} children The subsections of the section (only those one level deeper). Sections other than the lead section
+     * are never children of the lead section.
+     * @property {Section|null} parent The section that contains the section, or null for the lead section and top-level sections. This property
+     * is not enumerable.
+     */
+    parseSections: function(wikitext) {
+
+        var skipRanges = this._getCommentTagObjects(wikitext).map(function(Html) { return Html.index; });
+        var headingRegex = /^(=+)(.+?)(=+)[ \t]*$/;
+
+        // Find headings
+        var headings = [];
+        var lineRegex = /^.*$/gm;
+        var matched;
+        while ((matched = lineRegex.exec(wikitext))) {
+            var lineStart = matched.index;
+            if (matched[0] === '') lineRegex.lastIndex++; // Avoid an infinite loop on empty lines
+            var inSkipRange = skipRanges.some(function(range) {
+                return range.start <= lineStart && lineStart < range.end;
+            });
+            if (inSkipRange) continue;
+            var heading = matched[0].replace(/<!--[\s\S]*?-->/g, ''); // Comments are allowed after headings
+            var m = heading.match(headingRegex);
+            if (!m) continue;
+            var level = Math.min(m[1].length, m[3].length, 6);
+            // Excess equal signs belong to the title (e.g. '=== Foo ==' is a level-2 heading titled '= Foo')
+            var title = (m[1].slice(level) + m[2] + m[3].slice(level)).trim();
+            if (!title) continue;
+            headings.push({
+                level: level,
+                title: title,
+                heading: matched[0],
+                start: lineStart
+            });
+        }
+
+        // Create section objects
+        var sections = [{
+            number: 0,
+            level: 0,
+            title: '',
+            anchor: '',
+            heading: '',
+            start: 0
+        }].concat(headings.map(function(obj, i) {
+            obj.number = i + 1;
+            return obj;
+        }));
+        var self = this;
+        sections = sections.map(function(obj, i, arr) {
+            // The section ends where a heading of the same or a higher level appears
+            var end = wikitext.length;
+            for (var j = i + 1; j < arr.length; j++) {
+                if (i === 0 || arr[j].level <= obj.level) {
+                    end = arr[j].start;
+                    break;
+                }
+            }
+            var section = {
+                number: obj.number,
+                level: obj.level,
+                title: obj.title,
+                anchor: obj.level ? self._getAnchor(obj.title) : '',
+                heading: obj.heading,
+                text: wikitext.slice(obj.start, end),
+                index: {
+                    start: obj.start,
+                    end: end
+                },
+                children: []
+            };
+            Object.defineProperty(section, 'parent', {
+                value: null,
+                writable: true,
+                configurable: true,
+                enumerable: false
+            });
+            return section;
+        });
+
+        // Build the tree
+        var ancestors = []; // Stack of sections that may contain the current section
+        sections.slice(1).forEach(function(section) {
+            while (ancestors.length !== 0 && ancestors[ancestors.length - 1].level >= section.level) {
+                ancestors.pop();
+            }
+            if (ancestors.length !== 0) {
+                section.parent = ancestors[ancestors.length - 1];
+                section.parent.children.push(section);
+            }
+            ancestors.push(section);
+        });
+
+        return sections;
+
+    },
+
+    /**
+     * Get the anchor of a section heading, removing markup in the same way as MediaWiki does for simple cases (links, bold/italic
+     * quotes and HTML tags).
+     * @private
+     * @param {string} title 
+     * @returns {string}
+     */
+    _getAnchor: function(title) {
+        return title
+            .replace(/\[\[:?([^|\]]*?)(?:\|([^\]]*?))?\]\]/g, function(m, target, display) {
+                return typeof display === 'string' ? display : target;
+            })
+            .replace(/'{2,}/g, '')
+            .replace(/<\/?[a-z][^>]*>/gi, '')
+            .trim()
+            .replace(/\s+/g, '_');
+    },
+
+    /**
+     * Find a section in wikitext.
+     * @param {string} wikitext 
+     * @param {number|string} section The section number, or the title or the anchor of the section. If there are multiple sections with the same
+     * title, the first one is returned.
+     * @returns {Section|null} Null if not found
+     */
+    getSection: function(wikitext, section) {
+        var sections = this.parseSections(wikitext);
+        if (typeof section === 'number') {
+            return sections[section] || null;
+        }
+        var anchor = this._getAnchor(section);
+        return sections.slice(1).filter(function(obj) {
+            return obj.title === section.trim() || obj.anchor === anchor;
+        })[0] || null;
+    },
+
+    /**
+     * Replace a section in wikitext, including its heading and subsections (in the same way as MediaWiki replaces a section on section editing).
+     * @param {string} wikitext 
+     * @param {number|string} section The section number, or the title or the anchor of the section (see {@link WPLib#getSection})
+     * @param {string} newText The new text of the section, including the heading
+     * @returns {string|null} Null if the section is not found
+     */
+    replaceSection: function(wikitext, section, newText) {
+        var obj = this.getSection(wikitext, section);
+        if (!obj) {
+            console.error('replaceSection: The section "' + section + '" is not found.');
+            return null;
+        }
+        // Keep a line break before the next section
+        if (obj.index.end < wikitext.length && newText && !/\n$/.test(newText)) newText += '\n';
+        return wikitext.slice(0, obj.index.start) + newText + wikitext.slice(obj.index.end);
+    },
+
+    /**
+     * Append text to the end of a section in wikitext (after its subsections, if any). The text is inserted on a new line after the last
+     * non-whitespace character of the section.
+     * @param {string} wikitext 
+     * @param {number|string} section The section number, or the title or the anchor of the section (see {@link WPLib#getSection})
+     * @param {string} text 
+     * @returns {string|null} Null if the section is not found
+     */
+    appendToSection: function(wikitext, section, text) {
+        var obj = this.getSection(wikitext, section);
+        if (!obj) {
+            console.error('appendToSection: The section "' + section + '" is not found.');
+            return null;
+        }
+        var trailingWhitespace = obj.text.match(/\s*$/)[0];
+        var insertIdx = obj.index.end - trailingWhitespace.length;
+        // Keep a line break before the next section
+        if (!trailingWhitespace && obj.index.end < wikitext.length) trailingWhitespace = '\n';
+        return wikitext.slice(0, insertIdx) + (insertIdx === 0 ? '' : '\n') + text + trailingWhitespace + wikitext.slice(obj.index.end);
+    },
+
+    /**
+     * Remove a section from wikitext, including its heading and subsections.
+     * @param {string} wikitext 
+     * @param {number|string} section The section number, or the title or the anchor of the section (see {@link WPLib#getSection})
+     * @returns {string|null} Null if the section is not found
+     */
+    removeSection: function(wikitext, section) {
+        return this.replaceSection(wikitext, section, '');
+    },
+
+    /**
+     * Parse signatures in wikitext. A signature is a timestamp in the format of the Japanese Wikipedia (e.g. '2026年10月19日 (月) 12:00 (UTC)')
+     * preceded by a link to a user page, a user talk page or the contributions of a user on the same line. Signatures within tags that prevent
+     * transclusions (i.e. \<!-- -->, nowiki, pre, syntaxhighlight, source) are ignored.
+     * @param {string} wikitext 
+     * @returns {Array<Signature>} Sorted by the start index
+     * @typedef Signature
+     * @type {object}
+     * @property {string} text The whole text of the signature, from the first user link to the end of the timestamp
+     * @property {string|null} user The username, or null if no user link precedes the timestamp (e.g. a timestamp by '~~~~~')
+     * @property {Date} timestamp 
+     * @property {string} timestampText The timestamp as written
+     * @property {{start: number, end: number}} index Indexes of the signature in the input string. The end index is 'characters up to or not
+     * including', so the signature can be extracted from the input string by "input.slice(index.start, index.end)".
+     */
+    parseSignatures: function(wikitext) {
+
+        var self = this;
+        var skipRanges = this._getCommentTagObjects(wikitext).map(function(Html) { return Html.index; });
+        var userLinks = this.parseLinks(wikitext, {recursive: false})
+            .map(function(Link) {
+                return {user: self._getUserFromLink(Link), index: Link.index};
+            })
+            .filter(function(obj) { return obj.user !== null; });
+
+        var timestampRegex = /(\d{4})年(\d{1,2})月(\d{1,2})日 \([日月火水木金土]\) (\d{1,2}):(\d{2}) \((UTC|JST)\)/g;
+        var signatures = [];
+        var linkIdx = 0; // Index of the first user link after the previous timestamp
+        var matched;
+        while ((matched = timestampRegex.exec(wikitext))) {
+
+            var tsStart = matched.index;
+            var tsEnd = tsStart + matched[0].length;
+            if (skipRanges.some(function(range) { return range.start <= tsStart && tsStart < range.end; })) continue;
+
+            // Find the last user link before the timestamp on the same line, and the user links of the same user just before it
+            var lineStart = wikitext.lastIndexOf('\n', tsStart - 1) + 1;
+            var links = [];
+            while (linkIdx < userLinks.length && userLinks[linkIdx].index.end <= tsStart) {
+                if (userLinks[linkIdx].index.start >= lineStart) links.push(userLinks[linkIdx]);
+                linkIdx++;
+            }
+            var user = links.length ? links[links.length - 1].user : null;
+            var start = tsStart;
+            for (var i = links.length - 1; i >= 0 && links[i].user === user; i--) {
+                start = links[i].index.start;
+            }
+
+            var offset = matched[6] === 'JST' ? 9 : 0;
+            signatures.push({
+                text: wikitext.slice(start, tsEnd),
+                user: user,
+                timestamp: new Date(Date.UTC(+matched[1], +matched[2] - 1, +matched[3], +matched[4] - offset, +matched[5])),
+                timestampText: matched[0],
+                index: {
+                    start: start,
+                    end: tsEnd
+                }
+            });
+
+        }
+
+        return signatures;
+
+    },
+
+    /**
+     * Get the username that a link refers to, i.e. the root page name of a link to a user page or a user talk page, or the target of a link
+     * to the contributions of a user.
+     * @private
+     * @param {Link} Link 
+     * @returns {string|null} Null if the link isn't a user link
+     */
+    _getUserFromLink: function(Link) {
+        if (Link.namespace === null || Link.type !== 'internal') return null;
+        var prefix = this.namespaces[Link.namespace].name + ':';
+        var page = Link.title.slice(prefix.length);
+        if (Link.namespace === 2 || Link.namespace === 3) {
+            return page.split('/')[0] || null;
+        } else if (Link.namespace === -1) {
+            var matched = page.match(/^(?:投稿記録|Contributions|Contribs)\/(.+)$/i);
+            return matched ? this._capitalizeFirstLetter(matched[1].replace(/\/+$/, '').trim()) || null : null;
+        }
+        return null;
+    },
+
+    /**
+     * Split wikitext (typically a section of a talk page) into comments. A comment ends at a line with a signature, and also where the indentation
+     * (the number of leading ':', '*' and '#') gets shallower than that of the first line of the comment. Headings and blank lines are not part of
+     * any comment.
+     * @param {string} wikitext 
+     * @returns {Array<TalkComment>} Sorted by the start index
+     * @typedef TalkComment
+     * @type {object}
+     * @property {string} text The whole text of the comment, not including the last line break
+     * @property {number} depth The indentation of the first line of the comment (e.g. 2 for '::Foo')
+     * @property {Array<Signature>} signatures Signatures in the comment
+     * @property {string|null} user The user of the last signature, or null if the comment is unsigned
+     * @property {Date|null} timestamp The timestamp of the last signature, or null if the comment is unsigned
+     * @property {{start: number, end: number}} index Indexes of the comment in the input string
+     */
+    parseComments: function(wikitext) {
+
+        var signatures = this.parseSignatures(wikitext);
+        var headingRanges = this.parseSections(wikitext).slice(1).map(function(section) {
+            return {start: section.index.start, end: section.index.start + section.heading.length};
+        });
+
+        var comments = [];
+        var current = null;
+        var flush = function() {
+            if (!current) return;
+            var sigs = signatures.filter(function(sig) {
+                return current.start <= sig.index.start && sig.index.end <= current.end;
+            });
+            var last = sigs[sigs.length - 1];
+            comments.push({
+                text: wikitext.slice(current.start, current.end),
+                depth: current.depth,
+                signatures: sigs,
+                user: last ? last.user : null,
+                timestamp: last ? last.timestamp : null,
+                index: {
+                    start: current.start,
+                    end: current.end
+                }
+            });
+            current = null;
+        };
+
+        var lineRegex = /^.*$/gm;
+        var matched;
+        while ((matched = lineRegex.exec(wikitext))) {
+            var lineStart = matched.index;
+            var lineEnd = lineStart + matched[0].length;
+            if (matched[0] === '') lineRegex.lastIndex++; // Avoid an infinite loop on empty lines
+            var isHeading = headingRanges.some(function(range) { return range.start === lineStart; });
+            if (isHeading || !matched[0].trim()) {
+                flush();
+                continue;
+            }
+            var depth = matched[0].match(/^[:*#]*/)[0].length;
+            if (current && depth < current.depth) flush();
+            if (!current) current = {start: lineStart, depth: depth};
+            current.end = lineEnd;
+            var signed = signatures.some(function(sig) { return lineStart <= sig.index.start && sig.index.end <= lineEnd; });
+            if (signed) flush();
+        }
+        flush();
+
+        return comments;
+
+    },
+
+    /**
+     * Parse threads (i.e. sections) of a talk page or a noticeboard.
+     * @param {string} wikitext 
+     * @returns {Array<Thread>} In the same order as {@link WPLib#parseSections}, the first element being the lead section
+     * @typedef Thread
+     * @type {object}
+     * @property {Section} section 
+     * @property {Array<TalkComment>} comments Comments in the section, including those in its subsections
+     * @property {Array<Signature>} signatures Signatures in the section, including those in its subsections
+     * @property {Array<string>} participants Users who signed in the section, in the order of their first signatures
+     * @property {Date|null} latest The latest timestamp in the section, or null if there's none
+     */
+    parseThreads: function(wikitext) {
+        var comments = this.parseComments(wikitext);
+        var signatures = this.parseSignatures(wikitext);
+        return this.parseSections(wikitext).map(function(section) {
+            var inSection = function(obj) {
+                return section.index.start <= obj.index.start && obj.index.end <= section.index.end;
+            };
+            var sigs = signatures.filter(inSection);
+            return {
+                section: section,
+                comments: comments.filter(inSection),
+                signatures: sigs,
+                participants: sigs.reduce(function(acc, sig) {
+                    if (sig.user !== null && acc.indexOf(sig.user) === -1) acc.push(sig.user);
+                    return acc;
+                }, []),
+                latest: sigs.reduce(function(acc, sig) {
+                    return !acc || sig.timestamp > acc ? sig.timestamp : acc;
+                }, null)
+            };
+        });
+    },
+
+    /**
+     * Parse wikitables ('{| ... |}') in wikitext. Lines in templates and tags that prevent transclusions (i.e. \<!-- -->, nowiki, pre, syntaxhighlight,
+     * source) are not interpreted as rows or cells of tables, and pipes in templates and links don't separate cells.
+     * @param {string} wikitext 
+     * @param {object} [config]
+     * @param {boolean} [config.recursive] Whether to include tables nested in other tables. True by default. Nested tables are also accessible via
+     * the 'tables' property of the cells that contain them.
+     * @param {function(Table): boolean} [config.tablePredicate] Callback to filter out the result by user-defined conditions
+     * @returns {Array<Table>} Table objects, which can be modified and written back into the wikitext (see {@link Table}). Sorted by the start index.
+     */
+    parseTables: function(wikitext, config) {
+
+        // Initialize config
+        config = this.merge({
+            recursive: true,
+            tablePredicate: null
+        }, config || {});
+
+        var commentRanges = this._getCommentTagObjects(wikitext).map(function(Html) { return Html.index; });
+        var templateRanges = this.parseTemplates(wikitext).map(function(Template) { return Template.index; });
+        var contains = function(range, pos) {
+            return range.start <= pos && pos < range.end;
+        };
+
+        // Find the start and the end of each table
+        var ranges = [];
+        var openings = []; // Start indexes of unclosed '{|'
+        var lineStart = 0;
+        wikitext.split('\n').forEach(function(line) {
+            var pos = lineStart;
+            lineStart += line.length + 1;
+            if (commentRanges.some(function(range) { return contains(range, pos); })) return;
+            var matched;
+            if ((matched = line.match(/^[ \t:]*\{\|/))) {
+                openings.push(pos + matched[0].length - 2);
+            } else if ((matched = line.match(/^[ \t]*\|\}/)) && openings.length !== 0) {
+                ranges.push({
+                    start: openings.pop(),
+                    end: pos + matched[0].length
+                });
+            }
+        });
+        ranges.sort(function(range1, range2) {
+            return range1.start - range2.start;
+        });
+
+        // Create Table objects
+        var tables = ranges.map(function(range) {
+            var nested = ranges.filter(function(range2) {
+                return range.start < range2.start && range2.end <= range.end;
+            });
+            var protectedRanges = commentRanges.concat(nested, templateRanges.filter(function(range2) {
+                return range.start < range2.start && range2.start < range.end;
+            }));
+            var nestlevel = ranges.filter(function(range2) {
+                return range2.start < range.start && range.end <= range2.end;
+            }).length;
+            return new Table(wikitext, range, protectedRanges, nestlevel);
+        });
+
+        // Give cells access to the tables nested in them
+        tables.forEach(function(table) {
+            if (table.nestlevel === 0) return;
+            tables.some(function(parentTable) {
+                if (parentTable.nestlevel !== table.nestlevel - 1) return false;
+                return parentTable.rows.some(function(row) {
+                    return row.cells.some(function(cell) {
+                        if (contains(cell.index, table.index.start)) {
+                            cell.tables.push(table);
+                            return true;
+                        }
+                        return false;
+                    });
+                });
+            });
+        });
+
+        // Filter the result by config
+        if (!config.recursive) {
+            tables = tables.filter(function(table) {
+                return table.nestlevel === 0;
+            });
+        }
+        if (typeof config.tablePredicate === 'function') {
+            tables = tables.filter(function(table) {
+                // @ts-ignore config.tablePredicate is never undefined in this block
+                return config.tablePredicate(table);
+            });
+        }
+
+        return tables;
+
+    },
+
+    /**
+     * Parse an attribute string of an HTML tag or a table (e.g. 'class="wikitable" style=\'width:100%\' rowspan=2 hidden') into an object.
+     * Quoted, unquoted and valueless attributes are supported; valueless attributes have an empty string as their values.
+     * @param {string} attributes 
+     * @returns {Object.<string, string>} The keys are in lower case.
+     */
+    parseAttributes: function(attributes) {
+        var attrRegex = /([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"?|'([^']*)'?|([^\s>]*)))?/g;
+        var parsed = {};
+        var matched;
+        while ((matched = attrRegex.exec(attributes))) {
+            var value = [matched[2], matched[3], matched[4]].filter(function(val) { return typeof val === 'string'; })[0];
+            parsed[matched[1].toLowerCase()] = value || '';
+        }
+        return parsed;
+    },
+
+    /**
+     * Convert an object of attributes into an attribute string (e.g. 'class="wikitable" rowspan="2"').
+     * @param {Object.<string, string>} attributes 
+     * @returns {string}
+     */
+    stringifyAttributes: function(attributes) {
+        var self = this;
+        return Object.keys(attributes).map(function(key) {
+            return key + '=' + self._quoteAttribute(attributes[key]);
+        }).join(' ');
+    },
+
+    /**
+     * Parse references (\<ref>) in wikitext. References within comment tags (i.e. \<!-- -->, nowiki, pre, syntaxhighlight, source) are ignored.
+     * References defined in \<references>...\</references> or in the 'refs' argument of {{Reflist}} (list-defined references) are marked as such,
+     * and inherit the group of the list if they don't specify their own.
+     * @param {string} wikitext 
+     * @returns {Array<Reference>} Sorted by the start index
+     * @typedef Reference
+     * @type {object}
+     * @property {string} text The whole text of the reference
+     * @property {string|null} name The name of the reference, or null if it's unnamed
+     * @property {string} group The group of the reference (an empty string for the default group)
+     * @property {string|null} content The content of the reference, or null if it's self-closing (e.g. \<ref name="x" />)
+     * @property {boolean} reuse Whether the reference reuses another reference, i.e. it's named and has no content
+     * @property {boolean} listDefined Whether the reference is defined in a reference list
+     * @property {Object.<string, string>} attributes The attributes of the \<ref> tag
+     * @property {{start: number, end: number}} index Indexes of the reference in the input string. The end index is 'characters up to or not
+     * including', so the reference can be extracted from the input string by "input.slice(index.start, index.end)".
+     */
+    parseRefs: function(wikitext) {
+
+        var skipRanges = this._getCommentTagObjects(wikitext).map(function(Html) { return Html.index; });
+        var notSkipped = function(Html) {
+            return !skipRanges.some(function(range) {
+                return range.start <= Html.index.start && Html.index.start < range.end;
+            });
+        };
+        var tags = this.parseHtml(wikitext, {
+            namePredicate: function(name) { return name === 'ref' || name === 'references'; }
+        }).filter(notSkipped);
+
+        // Reference lists: <references>...</references> and {{Reflist|refs=...}}
+        var lists = tags
+            .filter(function(Html) { return Html.name === 'references' && Html.content !== null; })
+            .map(function(Html) {
+                return {
+                    index: Html.index,
+                    group: Html.attributes.group || ''
+                };
+            })
+            .concat(
+                this.parseTemplates(wikitext, {
+                    namePredicate: function(name) { return ['Reflist', 'Notelist'].indexOf(name) !== -1; }
+                }).map(function(Template) {
+                    var group = Template.getArgument('group');
+                    return {
+                        index: Template.index,
+                        group: group ? group.value : '',
+                        template: Template
+                    };
+                })
+            );
+        var getList = function(pos) {
+            return lists.filter(function(list) {
+                if (list.index.start > pos || pos >= list.index.end) return false;
+                return !list.template || list.template._getArgumentAt(pos - list.index.start) === 'refs';
+            })[0] || null;
+        };
+
+        return tags
+            .filter(function(Html) { return Html.name === 'ref'; })
+            .map(function(Html) {
+                var attributes = Html.attributes;
+                var content = Html.content;
+                var list = getList(Html.index.start);
+                var name = typeof attributes.name === 'string' && attributes.name.trim() ? attributes.name.trim() : null;
+                return {
+                    text: Html.text,
+                    name: name,
+                    group: typeof attributes.group === 'string' ? attributes.group.trim() : list ? list.group : '',
+                    content: content,
+                    reuse: name !== null && (content === null || !content.trim()),
+                    listDefined: !!list,
+                    attributes: attributes,
+                    index: Html.index
+                };
+            });
+
+    },
+
+    /**
+     * Find references that have the same content in the same group.
+     * @param {string} wikitext 
+     * @returns {Array<Array<Reference>>} Arrays of two or more references that have the same content (whitespace is normalized in comparison)
+     */
+    findDuplicateRefs: function(wikitext) {
+        var map = {};
+        var keys = [];
+        this.parseRefs(wikitext).forEach(function(ref) {
+            if (ref.reuse || ref.content === null || !ref.content.trim()) return;
+            var key = ref.group + '\x01' + ref.content.replace(/\s+/g, ' ').trim();
+            if (!map[key]) {
+                map[key] = [];
+                keys.push(key);
+            }
+            map[key].push(ref);
+        });
+        return keys
+            .map(function(key) { return map[key]; })
+            .filter(function(refs) { return refs.length > 1; });
+    },
+
+    /**
+     * Merge references that have the same content into one named reference and its reuses. For each set of duplicates, the list-defined
+     * reference or the first one is kept as the definition (named after the first existing name among the duplicates, or a generated name if
+     * none is named), and the others are replaced with self-closing references (or removed if they are list-defined). References that reused
+     * the names of the merged references are renamed as well.
+     * @param {string} wikitext 
+     * @param {object} [options]
+     * @param {string} [options.namePrefix] The prefix of generated names, followed by a number (':' by default, which gives ':0', ':1', ...)
+     * @returns {string}
+     */
+    mergeDuplicateRefs: function(wikitext, options) {
+
+        options = this.merge({namePrefix: ':'}, options || {});
+        var self = this;
+        var refs = this.parseRefs(wikitext);
+        var usedNames = refs.map(function(ref) { return ref.name; });
+        var counter = 0;
+        var edits = [];
+
+        this.findDuplicateRefs(wikitext).forEach(function(duplicates) {
+
+            var definition = duplicates.filter(function(ref) { return ref.listDefined; })[0] || duplicates[0];
+            var named = duplicates.filter(function(ref) { return ref.name !== null; });
+            var name;
+            if (named.length !== 0) {
+                name = named[0].name;
+            } else {
+                do {
+                    name = options.namePrefix + counter++;
+                } while (usedNames.indexOf(name) !== -1);
+                usedNames.push(name);
+            }
+            var groupAttr = definition.group && typeof definition.attributes.group === 'string' ? ' group=' + self._quoteAttribute(definition.group) : '';
+
+            duplicates.forEach(function(ref) {
+                if (ref === definition) {
+                    if (ref.name !== name) {
+                        edits.push({index: ref.index, text: self._setRefName(ref.text, name)});
+                    }
+                } else {
+                    var attrs = ' name=' + self._quoteAttribute(name) + (ref.group ? ' group=' + self._quoteAttribute(ref.group) : groupAttr);
+                    edits.push({
+                        index: ref.index,
+                        text: ref.listDefined ? '' : '<ref' + attrs + ' />'
+                    });
+                }
+            });
+
+            // Reuses of the other names
+            named.forEach(function(dup) {
+                if (dup.name === name) return;
+                refs.forEach(function(ref) {
+                    if (ref.reuse && ref.name === dup.name && ref.group === dup.group) {
+                        edits.push({index: ref.index, text: self._setRefName(ref.text, name)});
+                    }
+                });
+            });
+
+        });
+
+        return this._applyEdits(wikitext, edits);
+
+    },
+
+    /**
+     * Rename a reference everywhere it's defined and reused.
+     * @param {string} wikitext 
+     * @param {string} oldName 
+     * @param {string} newName Double quotes in the name are escaped as &quot;
+     * @param {string} [group] The group of the reference (the default group by default)
+     * @returns {string}
+     */
+    renameRef: function(wikitext, oldName, newName, group) {
+        var self = this;
+        var edits = this.parseRefs(wikitext)
+            .filter(function(ref) {
+                return ref.name === oldName && ref.group === (group || '');
+            })
+            .map(function(ref) {
+                return {index: ref.index, text: self._setRefName(ref.text, newName)};
+            });
+        return this._applyEdits(wikitext, edits);
+    },
+
+    /**
+     * Get references that reuse names which are never defined (i.e. no reference with the name has content).
+     * @param {string} wikitext 
+     * @returns {Array<Reference>}
+     */
+    getOrphanedRefs: function(wikitext) {
+        var refs = this.parseRefs(wikitext);
+        var defined = refs
+            .filter(function(ref) { return ref.name !== null && !ref.reuse; })
+            .map(function(ref) { return ref.group + '\x01' + ref.name; });
+        return refs.filter(function(ref) {
+            return ref.reuse && defined.indexOf(ref.group + '\x01' + ref.name) === -1;
+        });
+    },
+
+    /**
+     * Set the name attribute of a \<ref> tag, keeping the other attributes as they are.
+     * @private
+     * @param {string} refText The whole text of a reference
+     * @param {string} name 
+     * @returns {string}
+     */
+    _setRefName: function(refText, name) {
+        var openingTagEnd = refText.indexOf('>') + 1;
+        var openingTag = refText.slice(0, openingTagEnd);
+        var nameRegex = /(\sname\s*=\s*)(?:"[^"]*"|'[^']*'|[^\s/>]+)/i;
+        var quoted = this._quoteAttribute(name);
+        // Use replacer functions so that '$' in the name isn't taken as a replacement pattern
+        if (nameRegex.test(openingTag)) {
+            openingTag = openingTag.replace(nameRegex, function(_, prefix) { return prefix + quoted; });
+        } else {
+            openingTag = openingTag.replace(/^<ref/i, function(tag) { return tag + ' name=' + quoted; });
+        }
+        return openingTag + refText.slice(openingTagEnd);
+    },
+
+    /**
+     * Quote an attribute value with double quotes, escaping the double quotes in it.
+     * @private
+     * @param {string} value 
+     * @returns {string}
+     */
+    _quoteAttribute: function(value) {
+        return '"' + String(value).replace(/"/g, '&quot;') + '"';
+    },
+
+    /**
+     * Apply replacements of ranges to a string at once.
+     * @private
+     * @param {string} string 
+     * @param {Array<{index: {start: number, end: number}, text: string}>} edits The ranges must not overlap.
+     * @returns {string}
+     */
+    _applyEdits: function(string, edits) {
+        return edits
+            .slice()
+            .sort(function(edit1, edit2) {
+                return edit2.index.start - edit1.index.start;
+            })
+            .reduce(function(acc, edit) {
+                return acc.slice(0, edit.index.start) + edit.text + acc.slice(edit.index.end);
+            }, string);
+    },
+
+    /**
+     * Names of templates that categorize redirects (e.g. {{リダイレクトの所属カテゴリ}}), used by {@link WPLib#parseRedirect}.
+     * @type {Array<string>}
+     */
+    redirectCategoryTemplates: ['リダイレクトの所属カテゴリ', 'Redirect category shell', 'Rcat shell'],
+
+    /**
+     * Parse a redirect page. '#REDIRECT' and its aliases are case-insensitive (see {@link WPLib#_magicWords}).
+     * @param {string} wikitext The content of a page
+     * @returns {Redirect|null} Null if the page isn't a redirect, or if the target is an invalid title
+     * @typedef Redirect
+     * @type {object}
+     * @property {string} text The redirect line (e.g. '#転送 [[Foo#Bar]]')
+     * @property {string} keyword The magic word as written (e.g. '#転送')
+     * @property {string} target The link target as written (e.g. 'foo#Bar')
+     * @property {string} title The normalized title of the target (e.g. 'Foo'), or the title on the remote wiki for an interwiki redirect
+     * @property {number|null} namespace The namespace number of the target, or null for an interwiki redirect
+     * @property {string|null} interwiki The interwiki prefix in lower case, or null
+     * @property {string|null} fragment The section name after '#', or null if there's none
+     * @property {Array<Template>} categoryTemplates Templates that categorize the redirect (see {@link WPLib#redirectCategoryTemplates})
+     * @property {Array<Template>} tags Other templates on the page (e.g. {{Redirect}}-style tags)
+     * @property {Array<Link>} categories Category links below the redirect line, including those in templates
+     * @property {{start: number, end: number}} index Indexes of the redirect line in the input string
+     */
+    parseRedirect: function(wikitext) {
+
+        var matched = wikitext.match(this._getRedirectRegex());
+        if (!matched) return null;
+        var parsed = this._parseTitle(matched[4], 0);
+        if (!parsed) return null;
+
+        var start = matched[1].length;
+        var end = matched[0].length;
+        var self = this;
+        var templates = this.parseTemplates(wikitext, {recursive: false}).filter(function(Template) {
+            return Template.index.start >= end;
+        });
+        var isCategoryTemplate = function(Template) {
+            return self.redirectCategoryTemplates.indexOf(Template.name) !== -1;
+        };
+        return {
+            text: wikitext.slice(start, end),
+            keyword: matched[2],
+            target: matched[4],
+            title: parsed.interwiki ? parsed.main : (parsed.namespace !== 0 ? this.namespaces[parsed.namespace].name + ':' : '') + parsed.main,
+            namespace: parsed.interwiki ? null : parsed.namespace,
+            interwiki: parsed.interwiki,
+            fragment: parsed.fragment,
+            categoryTemplates: templates.filter(isCategoryTemplate),
+            tags: templates.filter(function(Template) { return !isCategoryTemplate(Template); }),
+            categories: this.parseLinks(wikitext).filter(function(Link) { return Link.type === 'category' && Link.index.start >= end; }),
+            index: {
+                start: start,
+                end: end
+            }
+        };
+
+    },
+
+    /**
+     * Change the target of a redirect page, keeping the rest of the page as it is.
+     * @param {string} wikitext The content of a redirect page
+     * @param {string|Title} target The new target, which may have a fragment
+     * @returns {string|null} Null if the page isn't a redirect or if the target is invalid
+     */
+    changeRedirectTarget: function(wikitext, target) {
+        var matched = wikitext.match(this._getRedirectRegex());
+        var link = this._formatRedirectTarget(target);
+        if (!matched) {
+            console.error('changeRedirectTarget: The page is not a redirect.');
+            return null;
+        } else if (!link) {
+            console.error('changeRedirectTarget: "' + target + '" is not a valid title.');
+            return null;
+        }
+        var linkStart = matched[1].length + matched[2].length + matched[3].length;
+        return wikitext.slice(0, linkStart) + link + wikitext.slice(matched[0].length);
+    },
+
+    /**
+     * Create the content of a redirect page.
+     * @param {string|Title} target The target of the redirect, which may have a fragment
+     * @param {object} [options]
+     * @param {string} [options.keyword] The magic word to use ('#REDIRECT' by default)
+     * @param {Array<string>} [options.templates] Templates to add below the redirect line (e.g. \['{{リダイレクトの所属カテゴリ|...}}'\]).
+     * Template names without braces are also accepted.
+     * @param {Array<string>} [options.categories] Categories to add, with or without the namespace prefix
+     * @returns {string|null} Null if the target is invalid
+     */
+    buildRedirect: function(target, options) {
+        options = options || {};
+        var link = this._formatRedirectTarget(target);
+        if (!link) {
+            console.error('buildRedirect: "' + target + '" is not a valid title.');
+            return null;
+        }
+        var self = this;
+        var lines = (options.templates || []).map(function(template) {
+            return /^\{\{[\s\S]*\}\}$/.test(template.trim()) ? template.trim() : '{{' + template.trim() + '}}';
+        }).concat((options.categories || []).map(function(category) {
+            var title = self._parseTitle(category, 14);
+            return '[[' + (title && title.namespace === 14 ? self.namespaces[14].name + ':' + title.main : category) + ']]';
+        }));
+        return (options.keyword || '#REDIRECT') + ' ' + link + (lines.length ? '\n\n' + lines.join('\n') : '');
+    },
+
+    /**
+     * Get a regular expression that matches the redirect line at the beginning of a page. The capturing groups are the leading whitespace,
+     * the magic word, the whitespace (and the optional colon) before the link, and the link target.
+     * @private
+     * @returns {RegExp}
+     */
+    _getRedirectRegex: function() {
+        var keywords = this._magicWords.redirect.map(function(keyword) {
+            return keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        });
+        return new RegExp('^(\\s*)(' + keywords.join('|') + ')(\\s*:?\\s*)\\[\\[([^[\\]|]+)(?:\\|[^[\\]]*)?\\]\\]', 'i');
+    },
+
+    /**
+     * Format the target of a redirect as a link (e.g. '\[\[:Category:Foo\]\]').
+     * @private
+     * @param {string|Title} target 
+     * @returns {string|null} Null if the target is invalid
+     */
+    _formatRedirectTarget: function(target) {
+        var parsed = this._parseTitle(String(target instanceof Title ? target.getPrefixedText() : target), 0);
+        if (!parsed) return null;
+        var fragment = target instanceof Title ? target.getFragment() : parsed.fragment;
+        var title = parsed.interwiki ? parsed.interwiki + ':' + parsed.main : (parsed.namespace !== 0 ? this.namespaces[parsed.namespace].name + ':' : '') + parsed.main;
+        var colon = parsed.namespace === 6 || parsed.namespace === 14 ? ':' : ''; // Prevent the redirect from being a file or a category link
+        return '[[' + colon + title + (fragment ? '#' + fragment : '') + ']]';
+    },
+
+    // ============================================== ASYNCHRONOUS METHODS ==============================================
+
+    /**
+     * Send an AJAX request to the API. Failed requests are retried with exponential backoff (or after the time specified by the Retry-After
+     * header, if any) when the API returns an error code listed in the retry policy (e.g. 'maxlag', which is only returned if the 'maxlag'
+     * parameter is specified), or when a read request (anything but a POST request with a token) times out or fails for a network error or
+     * a server error (429 and 5xx).
+     * Requests are scheduled with {@link WPLib#queue}, where POST requests with a token are treated as write requests. The parameters are
+     * copied when this method is called, so the object may be changed afterwards even if the request hasn't been sent yet.
+     * @param {object} parameters Parameters to the API
+     * @param {object} [ajaxOptions] Options to pass to the transport (i.e. jQuery.ajax for {@link JQueryTransport}). The 'retry' property
+     * is not passed to the transport, but overrides the default retry policy for this call (false to disable retries), and the 'priority'
+     * property is passed to the queue (see {@link QueueOptions}). The 'signal' property (an AbortSignal) cancels the request whether it
+     * is queued, running or waiting for a retry. The 'cacheTtl' property, if any, is how long to cache the response in milliseconds (see
+     * {@link ResponseCache}), which is ignored for write requests. Note that 'cache' is the option of jQuery.ajax, which is passed as is.
+     * @returns {JQueryPromise<DynamicObject>} Rejects with the error code and its details of the last attempt, or with 'aborted' if the
+     * request is cancelled
+     * @typedef DynamicObject
+     * @type {Object.<string, any>}
+     * @typedef RetryPolicy
+     * @type {object}
+     * @property {number} [attempts] The maximum number of attempts including the first one (3 by default)
+     * @property {number} [baseDelay] The delay before the first retry in milliseconds, which doubles on every retry (1000 by default)
+     * @property {number} [maxDelay] The maximum delay in milliseconds, unless the server asks for longer with Retry-After (60000 by default)
+     * @property {Array<string>} [codes] API error codes to retry on (\['maxlag', 'ratelimited', 'readonly'\] by default)
+     * @property {boolean} [retryPost] Whether to retry write requests (POST requests with a token) on timeouts and HTTP errors, which may
+     * have been processed by the server (false by default). Queries sent by POST for their length (e.g. by {@link WPLib#massQuery}) are
+     * always retried.
+     */
+    ajax: function(parameters, ajaxOptions) {
+
+        var self = this;
+        var def = $.Deferred();
+        ajaxOptions = this.merge({}, ajaxOptions || {});
+
+        // Copy the parameters so that the queued request and its retries send them as they were when this method was called, even if the
+        // caller reuses the object
+        var original = parameters || {};
+        parameters = Object.keys(original).reduce(function(acc, key) {
+            acc[key] = Array.isArray(original[key]) ? original[key].slice() : original[key];
+            return acc;
+        }, {});
+        var isWrite = ajaxOptions.type === 'POST' && parameters.token !== undefined;
+
+        var cacheTtl = ajaxOptions.cacheTtl;
+        delete ajaxOptions.cacheTtl;
+        if (typeof cacheTtl === 'number' && !isWrite) {
+            var key = this.cache.getKey(ajaxOptions.url || this.apiUrl, this._normalizeParameters(parameters), this._cacheUser);
+            return this.cache.fetch(key, cacheTtl, function() {
+                return self.ajax(parameters, ajaxOptions);
+            });
+        }
+
+        var policy = ajaxOptions.retry === false ? {attempts: 1} : this.merge({}, this.defaultOptions.retry, ajaxOptions.retry || {});
+        var queueOptions = {
+            write: isWrite,
+            priority: ajaxOptions.priority,
+            signal: ajaxOptions.signal
+        };
+        delete ajaxOptions.retry;
+        delete ajaxOptions.priority;
+
+        var attempt = function(count) {
+            self.queue.add(function() {
+                return self._ajax(parameters, ajaxOptions);
+            }, queueOptions).then(function(result, jqXHR) {
+                def.resolve(result, jqXHR);
+            }, function(code, err, result, jqXHR) {
+                // @ts-ignore policy.attempts is never undefined
+                var delay = count < policy.attempts ? self._getRetryDelay(policy, count, isWrite, code, err, jqXHR) : null;
+                var signal = queueOptions.signal;
+                if (delay === null) {
+                    def.reject(code, err, result, jqXHR);
+                } else if (signal && signal.aborted) {
+                    def.reject('aborted', 'The request has been aborted.');
+                } else {
+                    // Stop waiting as soon as the signal is aborted
+                    var removeListener = function() {
+                        if (signal && typeof signal.removeEventListener === 'function') signal.removeEventListener('abort', onAbort);
+                    };
+                    var onAbort = function() {
+                        clearTimeout(timer);
+                        removeListener();
+                        def.reject('aborted', 'The request has been aborted.');
+                    };
+                    var timer = setTimeout(function() {
+                        removeListener();
+                        attempt(count + 1);
+                    }, delay);
+                    if (signal && typeof signal.addEventListener === 'function') signal.addEventListener('abort', onAbort);
+                }
+            });
+        };
+        attempt(1);
+
+        return def.promise();
+
+    },
+
+    /**
+     * Get how long to wait before retrying a failed request.
+     * @private
+     * @param {RetryPolicy} policy 
+     * @param {number} count The number of attempts made so far
+     * @param {boolean} isWrite Whether the request is a write request (a POST request with a token)
+     * @param {string} code The error code that the request was rejected with
+     * @param {any} err 
+     * @param {any} [jqXHR] 
+     * @returns {number|null} The delay in milliseconds, or null if the request shouldn't be retried
+     */
+    _getRetryDelay: function(policy, count, isWrite, code, err, jqXHR) {
+
+        var retryable;
+        if (code === 'http') {
+            jqXHR = err && err.xhr;
+            var status = jqXHR ? jqXHR.status : 0;
+            retryable = (!isWrite || !!policy.retryPost) && err.textStatus !== 'abort' &&
+                (err.textStatus === 'timeout' || status === 0 || status === 429 || status >= 500);
+        } else {
+            retryable = (policy.codes || []).indexOf(code) !== -1;
+        }
+        if (!retryable) return null;
+
+        var retryAfter = jqXHR && typeof jqXHR.getResponseHeader === 'function' ? parseFloat(jqXHR.getResponseHeader('Retry-After')) : NaN;
+        if (retryAfter >= 0) return retryAfter * 1000;
+        // @ts-ignore baseDelay and maxDelay are never undefined
+        return Math.min(policy.baseDelay * Math.pow(2, count - 1), policy.maxDelay);
+
+    },
+
+    /**
+     * Get the parameters to send to the API, with the default parameters added.
+     * @private
+     * @param {object} [parameters] 
+     * @returns {object}
+     */
+    _normalizeParameters: function(parameters) {
+        parameters = this.merge({}, this.defaultOptions.parameters, parameters || {});
+        // Drop unspecified and false parameters (the API takes the existence of a boolean parameter as true), and join arrays with pipes
+        Object.keys(parameters).forEach(function(key) {
+            if (parameters[key] === undefined || parameters[key] === false) {
+                delete parameters[key];
+            } else if (Array.isArray(parameters[key])) {
+                parameters[key] = parameters[key].join('|');
+            }
+        });
+        return parameters;
+    },
+
+    /**
+     * Send a single AJAX request to the API (see {@link WPLib#ajax}).
+     * @private
+     * @param {object} parameters 
+     * @param {object} [ajaxOptions] 
+     * @returns {JQueryPromise<DynamicObject>}
+     * @license MediaWiki This function is largely adapted from MediaWiki Core.
+     * @link https://doc.wikimedia.org/mediawiki-core/master/js/source/index4.html#mw-Api-method-ajax
+     */
+    _ajax: function(parameters, ajaxOptions) {
+        var def = $.Deferred();
+
+        ajaxOptions = this.merge({}, this.defaultOptions.ajax, {url: this.apiUrl}, ajaxOptions || {});
+        ajaxOptions.data = this._normalizeParameters(parameters);
+
+        // Make the AJAX request
+        this.transport.request(ajaxOptions).then(function(response) {
+            // AJAX success just means "200 OK" response, also check API error codes
+            var result = response.data;
+            var jqXHR = response.xhr;
+            var code;
+            if (result === undefined || result === null || result === '') {
+                def.reject('ok-but-empty',
+                    'OK response but empty result (check HTTP headers?)',
+                    result,
+                    jqXHR
+                );
+            } else if (result.error) {
+                // errorformat=bc
+                code = result.error.code === undefined ? 'unknown' : result.error.code;
+                def.reject(code, result, result, jqXHR);
+            } else if (result.errors) {
+                // errorformat!=bc
+                code = result.errors[0].code === undefined ? 'unknown' : result.errors[0].code;
+                def.reject(code, result, result, jqXHR);
+            } else {
+                def.resolve(result, jqXHR);
+            }
+        },
+        // If AJAX fails, reject API call with error code 'http' and details in second argument.
+        function(err) {
+            def.reject(ajaxOptions.signal && ajaxOptions.signal.aborted ? 'aborted' : 'http', err);
+        });
+
+        return def.promise();
+    },
+
+    /**
+     * Perform API get request.
+     * @param {Object} parameters
+     * @param {Object} [ajaxOptions]
+     * @return {JQueryPromise<DynamicObject>}
+     */
+    get: function(parameters, ajaxOptions) {
+        ajaxOptions = ajaxOptions || {};
+        ajaxOptions.type = 'GET';
+        return this.ajax(parameters, ajaxOptions);
+    },
+
+    /**
+     * Perform API post request.
+     * @param {Object} parameters
+     * @param {Object} [ajaxOptions]
+     * @return {JQueryPromise<DynamicObject>}
+     */
+    post: function(parameters, ajaxOptions) {
+        ajaxOptions = ajaxOptions || {};
+        ajaxOptions.type = 'POST';
+        return this.ajax(parameters, ajaxOptions);
+    },
+
+    /**
+     * Log in with a bot password created on Special:BotPasswords. The session is kept by the transport (the cookie jar of
+     * {@link FetchTransport}, or the browser). Cached tokens are discarded, and the user information is fetched again.
+     * @param {string} username The username in the form of 'Username@BotName'
+     * @param {string} password The bot password
+     * @returns {JQueryPromise<UserInfo>} Rejects in the same way as {@link WPLib#ajax}, or with 'loginfailed' and the reason
+     */
+    login: function(username, password) {
+        var self = this;
+        var def = $.Deferred();
+        this.getToken('login', true).then(function(token) {
+            return self.post({
+                action: 'login',
+                lgname: username,
+                lgpassword: password,
+                lgtoken: token
+            });
+        }).then(function(res) {
+            var login = res && res.login || {};
+            if (login.result !== 'Success') {
+                return def.reject('loginfailed', login.reason || login.result || 'Login failed.', res);
+            }
+            self.tokens = {};
+            self._cacheUser = login.lgusername || username.split('@')[0];
+            self.getUserInfo(true).then(function(info) {
+                def.resolve(info);
+            }, function(code, err, result, jqXHR) {
+                def.reject(code, err, result, jqXHR);
+            });
+        }, function(code, err, result, jqXHR) {
+            def.reject(code, err, result, jqXHR);
+        });
+        return def.promise();
+    },
+
+    /**
+     * Get information about the current user, and update {@link WPLib#apiHighLimits}. The result is cached in the instance.
+     * @param {boolean} [refresh] Whether to fetch the information again even if it is cached
+     * @returns {JQueryPromise<UserInfo>} Rejects in the same way as {@link WPLib#ajax}, or with 'invalidresponse'
+     * @typedef UserInfo
+     * @type {object}
+     * @property {number} id 0 for anonymous users
+     * @property {string} name
+     * @property {boolean} [anon] True for anonymous users
+     * @property {Array<string>} groups
+     * @property {Array<string>} rights
+     */
+    getUserInfo: function(refresh) {
+        if (this._userInfo && !refresh) return this._userInfo;
+        var self = this;
+        var def = $.Deferred();
+        this._userInfo = def.promise();
+        this.get({
+            meta: 'userinfo',
+            uiprop: 'groups|rights'
+        }).then(function(res) {
+            var info = res && res.query && res.query.userinfo;
+            if (!info) {
+                self._userInfo = null;
+                return def.reject('invalidresponse', 'getUserInfo() received an invalid response from the API.', res);
+            }
+            self.apiHighLimits = (info.rights || []).indexOf('apihighlimits') !== -1;
+            def.resolve(info);
+        }, function(code, err, result, jqXHR) {
+            self._userInfo = null;
+            def.reject(code, err, result, jqXHR);
+        });
+        return this._userInfo;
+    },
+
+    /**
+     * Get the latest revision of a given page. This function never rejects.
+     * @param {string|Title} pagename 
+     * @param {object} ajaxOptions 
+     * @returns {JQueryPromise<ReadResponse|false|undefined>} False if the page doesn't exist, undefined if an error occurs, or else an object
+     * @typedef ReadResponse
+     * @type {object}
+     * @property {boolean} isRedirect
+     * @property {string} basetimestamp The timestamp of the revision
+     * @property {string} curtimestamp The time when the page was read
+     * @property {string} starttimestamp Same as curtimestamp, to pass to the edit API as 'starttimestamp'
+     * @property {string} content
+     * @property {string} revid
+     * @property {string} title
+     * @property {number} pageid
+     * @property {number} ns
+     * @property {string} contentmodel e.g. 'wikitext'
+     * @property {Array<{type: string, level: string, expiry: string, cascade?: boolean, source?: string}>} protection
+     */
+    read: function(pagename, ajaxOptions) {
+        var def = $.Deferred();
+        this._read(pagename, ajaxOptions).then(function(rev) {
+            def.resolve(rev);
+        }, function(code, err) {
+            console.warn(code === 'invalidresponse' ? err : err && err.error ? err.error.info : code);
+            def.resolve();
+        });
+        return def.promise();
+    },
+
+    /**
+     * Get the latest revision of a given page (see {@link WPLib#read}).
+     * @private
+     * @param {string|Title} pagename 
+     * @param {object} [ajaxOptions] 
+     * @param {object} [revisionParams] Parameters to select another revision (e.g. rvstart)
+     * @returns {JQueryPromise<ReadResponse|false>} Rejects in the same way as {@link WPLib#ajax}, or with 'invalidresponse'
+     */
+    _read: function(pagename, ajaxOptions, revisionParams) {
+        var def = $.Deferred();
+        var self = this;
+
+        var params = this.merge({
+            titles: String(pagename),
+            prop: 'info|revisions',
+            inprop: 'protection',
+            rvprop: 'ids|timestamp|content',
+            rvslots: 'main',
+            curtimestamp: true
+        }, revisionParams || {});
+
+        this.get(params, ajaxOptions)
+            .then(function(res) {
+
+                var resPgs;
+                if (!res || !res.query || !(resPgs = res.query.pages) || !Array.isArray(resPgs) || resPgs.length === 0) {
+                    return def.reject('invalidresponse', 'read() received an invalid response from the API.', res);
+                }
+
+                resPgs = resPgs[0];
+                if (resPgs.missing) return def.resolve(false);
+
+                if (!resPgs.revisions) {
+                    // No revision before the specified timestamp
+                    if (revisionParams && !resPgs.invalid) return def.resolve(false);
+                    return def.reject('invalidresponse', 'read() received an invalid response from the API.', res);
+                }
+
+                def.resolve(self._createReadResponse(resPgs, resPgs.revisions[0], res.curtimestamp));
+
+            }, function(code, err, result, jqXHR) {
+                def.reject(code, err, result, jqXHR);
+            });
+
+        return def.promise();
+    },
+
+    /**
+     * Get the revision of a given page that was the latest at a given time.
+     * @param {string|Title} pagename 
+     * @param {string|Date} timestamp 
+     * @param {object} [ajaxOptions] 
+     * @returns {JQueryPromise<ReadResponse|false>} False if the page doesn't exist or didn't exist at the time. Rejects in the same way as
+     * {@link WPLib#ajax}, or with 'invalidresponse'.
+     */
+    readAt: function(pagename, timestamp, ajaxOptions) {
+        return this._read(pagename, ajaxOptions, {
+            rvstart: timestamp instanceof Date ? timestamp.toISOString().replace(/\.\d{3}Z$/, 'Z') : timestamp,
+            rvdir: 'older',
+            rvlimit: 1
+        });
+    },
+
+    /**
+     * Read pages in bulk, by titles (the latest revisions) or by revision IDs. The batches are sent by POST (see {@link WPLib#bulkLookup}).
+     * ```
+     * lib.readMany(['Foo', 'Bar'], {redirects: true}).then(function(records) {
+     *     records.forEach(function(rec) {
+     *         if (rec && !rec.missing) console.log(rec.title, rec.content.length);
+     *     });
+     * });
+     * ```
+     * @param {Array<string|number|Title>} inputs Titles, or revision IDs if 'type' is 'revids'
+     * @param {ReadManyOptions} [options] 
+     * @returns {JQueryPromise<Array<ReadManyRecord|null>>} One record for each input in the same order, or null for inputs whose batch
+     * failed. This is resolved with a {@link QueryStatus} object as the second argument, which has the failed inputs in the 'failed'
+     * property. Rejects with 'badparams' if the inputs are invalid.
+     * @typedef ReadManyOptions
+     * @type {object}
+     * @property {string} [type] 'titles' (default) or 'revids'
+     * @property {boolean} [redirects] Whether to follow redirects (only for titles)
+     * @property {number} [batchLimit] The number of inputs per request (500/50 by default)
+     * @property {object} [ajaxOptions] 
+     * @typedef ReadManyRecord A {@link ReadResponse} with the following properties, whose revision properties are null if the page
+     * (or the revision) is missing or invalid
+     * @type {object}
+     * @property {string|number|Title} input 
+     * @property {Array<string>} redirects The titles of the redirects that have been followed
+     * @property {boolean} missing 
+     * @property {boolean} invalid 
+     */
+    readMany: function(inputs, options) {
+
+        options = options || {};
+        var type = options.type || 'titles';
+        var def = $.Deferred();
+        if (type !== 'titles' && type !== 'revids') {
+            console.error('readMany: The type must be "titles" or "revids".');
+            return def.reject('badparams', 'readMany: The type must be "titles" or "revids".');
+        }
+
+        var self = this;
+        this.bulkLookup(type, inputs, {
+            prop: 'info|revisions',
+            inprop: 'protection',
+            rvprop: 'ids|timestamp|content',
+            rvslots: 'main',
+            curtimestamp: true
+        }, {
+            redirects: options.redirects,
+            batchLimit: options.batchLimit,
+            ajaxOptions: options.ajaxOptions
+        }).then(function(res) {
+            var records = inputs.map(function(input) {
+                var entry = res.results[String(input)];
+                if (!entry) return null;
+                var page = entry.record;
+                var rev = page && (page.revisions || []).filter(function(r) {
+                    return type === 'titles' || String(r.revid) === String(input);
+                })[0];
+                var record = rev ? self._createReadResponse(page, rev, entry.curtimestamp) : {
+                    isRedirect: page ? !!page.redirect : false,
+                    basetimestamp: null,
+                    curtimestamp: entry.curtimestamp,
+                    starttimestamp: entry.curtimestamp,
+                    content: null,
+                    revid: null,
+                    title: entry.title,
+                    pageid: page && page.pageid !== undefined ? page.pageid : null,
+                    ns: page && page.ns !== undefined ? page.ns : null,
+                    contentmodel: page && page.contentmodel || null,
+                    protection: page && page.protection || []
+                };
+                return self.merge(record, {
+                    input: input,
+                    redirects: entry.redirects,
+                    missing: entry.missing,
+                    invalid: entry.invalid || !!entry.interwiki
+                });
+            });
+            def.resolve(records, {complete: res.failed.length === 0, errors: res.errors, continue: null, failed: res.failed});
+        }, function(code, err) {
+            def.reject(code, err);
+        });
+
+        return def.promise();
+
+    },
+
+    /**
+     * Create a {@link ReadResponse} object.
+     * @private
+     * @param {DynamicObject} page A page object in res.query.pages
+     * @param {DynamicObject} rev A revision object of the page
+     * @param {string} curtimestamp 
+     * @returns {ReadResponse}
+     */
+    _createReadResponse: function(page, rev, curtimestamp) {
+        return {
+            isRedirect: page.redirect ? true : false,
+            basetimestamp: rev.timestamp,
+            curtimestamp: curtimestamp,
+            starttimestamp: curtimestamp,
+            content: rev.slots.main.content,
+            revid: rev.revid.toString(),
+            title: page.title,
+            pageid: page.pageid,
+            ns: page.ns,
+            contentmodel: rev.slots.main.contentmodel || page.contentmodel,
+            protection: page.protection || []
+        };
+    },
+
+    /**
+     * Get a token of a given type. Tokens are cached in the instance.
+     * @param {string} [type] 'csrf' by default
+     * @param {boolean} [refresh] Whether to fetch a new token even if one is cached
+     * @returns {JQueryPromise<string>} Rejects in the same way as {@link WPLib#ajax}, or with 'notoken' if the response has no token
+     */
+    getToken: function(type, refresh) {
+        type = type || 'csrf';
+        var self = this;
+        var def = $.Deferred();
+        if (this.tokens[type] && !refresh) return def.resolve(this.tokens[type]).promise();
+        this.get({meta: 'tokens', type: type}).then(function(res) {
+            var token = res && res.query && res.query.tokens && res.query.tokens[type + 'token'];
+            if (!token) return def.reject('notoken', res);
+            self.tokens[type] = token;
+            def.resolve(token);
+        }, function(code, err, result, jqXHR) {
+            def.reject(code, err, result, jqXHR);
+        });
+        return def.promise();
+    },
+
+    /**
+     * Perform API post request with a token. If the token has expired (i.e. the API returns 'badtoken'), a new token is fetched and the
+     * request is sent again.
+     * @param {string} tokenType e.g. 'csrf'
+     * @param {object} parameters 
+     * @param {object} [ajaxOptions] 
+     * @returns {JQueryPromise<DynamicObject>}
+     */
+    postWithToken: function(tokenType, parameters, ajaxOptions) {
+        var self = this;
+        var def = $.Deferred();
+        var post = function(refresh) {
+            self.getToken(tokenType, refresh).then(function(token) {
+                return self.post(self.merge({}, parameters, {token: token}), self.merge({}, ajaxOptions || {}));
+            }).then(function(res, jqXHR) {
+                def.resolve(res, jqXHR);
+            }, function(code, err, result, jqXHR) {
+                if (code === 'badtoken' && !refresh) {
+                    post(true);
+                } else {
+                    def.reject(code, err, result, jqXHR);
+                }
+            });
+        };
+        post(false);
+        return def.promise();
+    },
+
+    /**
+     * Edit a page. The page is read, its content is passed to a transform function, and the result is saved with conflict detection. If
+     * the page is edited by someone else in the meantime (i.e. 'editconflict'), the page is read again and the transform function is run
+     * again on the new content.
+     * @param {string|Title} pagename 
+     * @param {function(ReadResponse|false): (string|EditParameters|null|false|JQueryPromise<string|EditParameters|null|false>)} transform
+     * Receives the latest revision of the page (see {@link WPLib#read}), or false if the page doesn't exist. For section edits, the content
+     * is that of the section. Returns the new content, an object of parameters to the edit API (e.g. \{appendtext: 'Foo', summary: 'Bar'\}),
+     * or null or false to cancel the edit. A promise of them can also be returned.
+     * @param {EditOptions} [options] 
+     * @returns {JQueryPromise<DynamicObject|null>} The 'edit' object of the API response (e.g. \{result: 'Success', newrevid: 1234\}), or
+     * null if the edit is cancelled. Rejects in the same way as {@link WPLib#ajax}, or with 'readerror' if the page can't be read,
+     * 'nosuchsection' if the section is not found, 'transformerror' and the exception if the transform function throws, or 'editconflict'
+     * if edit conflicts occur more than allowed.
+     * @typedef EditParameters
+     * @type {Object.<string, any>}
+     * @typedef EditOptions
+     * @type {object}
+     * @property {string} [summary] The edit summary
+     * @property {number|string} [section] The section to edit: the section number, the title or the anchor of a section, or 'new' to add a new section
+     * @property {string} [sectiontitle] The title of a new section
+     * @property {boolean} [minor] 
+     * @property {boolean} [bot] 
+     * @property {string} [watchlist] 'watch', 'unwatch', 'preferences' or 'nochange'
+     * @property {boolean} [nocreate] Fail if the page doesn't exist. If neither this nor createonly is specified, an existing page is
+     * edited with nocreate (so that the edit fails if the page is deleted in the meantime), and a missing page with createonly.
+     * @property {boolean} [createonly] Fail if the page exists
+     * @property {number} [retries] How many times to retry on edit conflicts (2 by default)
+     */
+    edit: function(pagename, transform, options) {
+
+        options = this.merge({retries: 2}, options || {});
+        var self = this;
+        var def = $.Deferred();
+        var title = String(pagename);
+
+        var attempt = function(retriesLeft) {
+            self.read(title).then(function(rev) {
+
+                if (rev === undefined) return def.reject('readerror', title);
+
+                // Resolve the section to edit
+                var section = options.section;
+                var current = rev;
+                if (section !== undefined && section !== 'new') {
+                    var sectionObj = rev ? self.getSection(rev.content, section) : null;
+                    if (!sectionObj) return def.reject('nosuchsection', section);
+                    section = sectionObj.number;
+                    current = self.merge({}, rev, {content: sectionObj.text});
+                }
+
+                // Exceptions thrown here would only reject the promise returned by then(), which nobody waits for
+                var transformed;
+                try {
+                    transformed = transform(current);
+                } catch (err) {
+                    return def.reject('transformerror', err);
+                }
+
+                $.when(transformed).then(function(result) {
+
+                    if (result === null || result === false) return def.resolve(null);
+
+                    var params = {
+                        action: 'edit',
+                        title: title,
+                        summary: options.summary,
+                        section: section,
+                        sectiontitle: options.sectiontitle,
+                        minor: options.minor,
+                        bot: options.bot,
+                        watchlist: options.watchlist,
+                        formatversion: '2'
+                    };
+                    if (rev) {
+                        params.basetimestamp = rev.basetimestamp;
+                        params.starttimestamp = rev.curtimestamp;
+                    }
+                    if (options.nocreate || options.createonly) {
+                        params.nocreate = options.nocreate;
+                        params.createonly = options.createonly;
+                    } else if (rev) {
+                        params.nocreate = true;
+                    } else {
+                        params.createonly = true;
+                    }
+                    if (typeof result === 'string') {
+                        params.text = result;
+                    } else {
+                        self.merge(params, result);
+                    }
+
+                    self.postWithToken('csrf', params).then(function(res) {
+                        def.resolve(res.edit);
+                    }, function(code, err, result, jqXHR) {
+                        // Someone else has edited or created the page
+                        if ((code === 'editconflict' || code === 'articleexists') && retriesLeft > 0) {
+                            attempt(retriesLeft - 1);
+                        } else {
+                            def.reject(code, err, result, jqXHR);
+                        }
+                    });
+
+                }, function() {
+                    def.reject.apply(def, arguments);
+                });
+
+            }, function() {
+                def.reject('readerror', title);
+            });
+        };
+        attempt(options.retries);
+
+        return def.promise();
+
+    },
+
+    /**
+     * Append text to a page (see {@link WPLib#edit}).
+     * @param {string|Title} pagename 
+     * @param {string} text 
+     * @param {EditOptions} [options] 'section' can be specified to append the text to a section.
+     * @returns {JQueryPromise<DynamicObject|null>}
+     */
+    appendText: function(pagename, text, options) {
+        return this.edit(pagename, function() {
+            return {appendtext: text};
+        }, options);
+    },
+
+    /**
+     * Prepend text to a page (see {@link WPLib#edit}).
+     * @param {string|Title} pagename 
+     * @param {string} text 
+     * @param {EditOptions} [options] 'section' can be specified to prepend the text to a section.
+     * @returns {JQueryPromise<DynamicObject|null>}
+     */
+    prependText: function(pagename, text, options) {
+        return this.edit(pagename, function() {
+            return {prependtext: text};
+        }, options);
+    },
+
+    /**
+     * Follow the redirect chain of a page. This function never rejects.
+     * @param {string|Title} pagename 
+     * @param {object} [ajaxOptions] 
+     * @returns {JQueryPromise<RedirectChain|undefined>} Undefined if an error occurs
+     * @typedef RedirectChain
+     * @type {object}
+     * @property {string} title The normalized title of the page
+     * @property {boolean} redirect Whether the page is a redirect
+     * @property {Array<string>} chain Titles from the page to the final target (only the page itself if it isn't a redirect)
+     * @property {string} target The final target (the page itself if it isn't a redirect)
+     * @property {string|null} fragment The section name of the last redirect in the chain that has one, or null
+     * @property {string|null} interwiki The interwiki prefix if the chain ends with an interwiki redirect, or null
+     * @property {boolean} double Whether the page is a double (or more) redirect
+     * @property {boolean} broken Whether the final target doesn't exist
+     * @property {boolean} loop Whether the chain loops (the last element of 'chain' is one of the previous ones)
+     */
+    resolveRedirect: function(pagename, ajaxOptions) {
+        var def = $.Deferred();
+        this._resolveRedirect(pagename, ajaxOptions).then(function(chain) {
+            def.resolve(chain);
+        }, function(code, err) {
+            console.warn(code === 'invalidresponse' ? err : 'resolveRedirect: ' + code);
+            def.resolve();
+        });
+        return def.promise();
+    },
+
+    /**
+     * Follow the redirect chain of a page (see {@link WPLib#resolveRedirect}).
+     * @private
+     * @param {string|Title} pagename 
+     * @param {object} [ajaxOptions] 
+     * @returns {JQueryPromise<RedirectChain>} Rejects in the same way as {@link WPLib#ajax}, or with 'invalidresponse'
+     */
+    _resolveRedirect: function(pagename, ajaxOptions) {
+        var def = $.Deferred();
+
+        var params = {
+            titles: String(pagename),
+            redirects: true,
+            prop: 'info'
+        };
+
+        this.get(params, ajaxOptions)
+            .then(function(res) {
+
+                var query;
+                if (!res || !(query = res.query) || !Array.isArray(query.pages)) {
+                    return def.reject('invalidresponse', 'resolveRedirect() received an invalid response from the API.', res);
+                }
+
+                var current = String(pagename);
+                (query.normalized || []).forEach(function(obj) {
+                    if (obj.from === current) current = obj.to;
+                });
+
+                // The API follows the whole chain and lists every step
+                var redirects = query.redirects || [];
+                var chain = [current];
+                var fragment = null;
+                var interwiki = null;
+                var loop = false;
+                var next;
+                while (!interwiki && !loop && (next = redirects.filter(function(obj) { return obj.from === current; })[0])) {
+                    current = next.to;
+                    loop = chain.indexOf(current) !== -1;
+                    chain.push(current);
+                    if (next.tofragment) fragment = next.tofragment;
+                    if (next.tointerwiki) interwiki = next.tointerwiki;
+                }
+
+                var page = query.pages.filter(function(obj) { return obj.title === current; })[0];
+                def.resolve({
+                    title: chain[0],
+                    redirect: chain.length > 1,
+                    chain: chain,
+                    target: current,
+                    fragment: fragment,
+                    interwiki: interwiki,
+                    double: chain.length > 2,
+                    broken: chain.length > 1 && !interwiki && !loop && (!page || !!page.missing || !!page.invalid),
+                    loop: loop
+                });
+
+            }, function(code, err, result, jqXHR) {
+                def.reject(code, err, result, jqXHR);
+            });
+
+        return def.promise();
+    },
+
+    /**
+     * Send API request that automatically continues until the limit is reached. Works only for calls that have a 'continue' property in the response.
+     * The '**limit' property in the 'parameters' should always be set to 'max'.
+     * @param {object} parameters
+     * @param {number} [limit] 10 by default 
+     * @param {object} [ajaxOptions] 
+     * @returns {JQueryPromise<Array<object>>} Array of API responses. This never rejects, and is resolved with a {@link QueryStatus} object as the second
+     * argument, which tells whether all the results have been fetched.
+     * @typedef QueryStatus
+     * @type {object}
+     * @property {boolean} complete Whether all the results have been fetched without errors
+     * @property {Array<{code: string, error: any}>} errors Errors that occurred (after retries)
+     * @property {object|null} continue The 'continue' object to resume the query with, if the query stopped before completion (because of an error
+     * or the limit)
+     * @link https://github.com/Dr4goniez/dragobot/blob/740811cfecc24264b324085c8490ae63ef1ea1ea/src/lib.ts#L324
+     */
+    continuedQuery: function(parameters, limit, ajaxOptions) {
+
+        if (typeof limit === 'undefined') limit = 10;
+        var responses = [];
+        var def = $.Deferred();
+
+        var self = this;
+        var query = function(params, count) {
+            self.get(params, self.merge({}, ajaxOptions || {}))
+            .then(function(res) {
+                responses.push(res);
+                // @ts-ignore limit is never undefined
+                if (res.continue && count < limit) {
+                    query(self.merge({}, params, res.continue), count + 1);
+                } else {
+                    def.resolve(responses, {complete: !res.continue, errors: [], continue: res.continue || null});
+                }
+            }, function(code, err) {
+                console.warn('continuedQuery: Query failed (reason: ' + code + ', loop count: ' + count + ').');
+                var cont = responses.length ? responses[responses.length - 1].continue || null : null;
+                def.resolve(responses, {complete: false, errors: [{code: code, error: err}], continue: cont});
+            });
+        };
+        query(parameters, 1);
+
+        return def.promise();
+    
+    },
+
+    /**
+     * Iterate over the items of a query that continues (e.g. list=allpages, or generators and props that return pages), fetching
+     * the results step by step. Unlike {@link WPLib#continuedQuery}, this returns the items rather than the responses, and pages are
+     * merged across prop continuation (see {@link QueryIterator}). The parameters are not modified.
+     * @param {object} parameters 
+     * @param {QueryIteratorOptions} [options] 
+     * @returns {QueryIterator} An async iterator, which can be used with 'for await'
+     * @typedef QueryIteratorOptions
+     * @type {object}
+     * @property {number} [limit] The maximum number of items to yield (unlimited by default)
+     * @property {function(any): boolean} [until] A function that stops the iteration when it returns true for an item (the item is
+     * not yielded)
+     * @property {string} [key] The key in res.query to get the items from. The name of the list if 'list' has one value, or else 'pages'.
+     * @property {string} [method] 'GET' (default) or 'POST'. Use POST for queries whose parameters can be too long for a URL (e.g. 500
+     * titles).
+     * @property {object} [ajaxOptions] 
+     */
+    iterateQuery: function(parameters, options) {
+        return new QueryIterator(this, parameters, options);
+    },
+
+    /**
+     * Send API requests involving a multi-value field all at once. The multi-value field needs to be an array, which is internally converted to a
+     * pipe-separated string by splicing the array by 500 (or 50 for users without apihighlimits). The name(s) of the multi-value field(s) must also
+     * be provided. If the splicing number needs to be configured, pass the relevant number to the third argument.
+     * @param {object} params 
+     * @param {string|Array<string>} batchParam The name of the multi-value field (can be an array if there are more than one multi-value field, but
+     * the  values must be the same.)
+     * @param {number} [batchLimit] Optional splicing number (default: 500/50). The '**limit' property of the params is automatically set to 'max' if
+     * this argument has the value of either 500 or 50, which means that 'max' is selected when no value is passed to this argument, but the parameter
+     * is not modified if a unique value is specified for this argument.
+     * @param {object} [ajaxOptions] 
+     * @returns {JQueryPromise<Array<object|undefined>>} Always an array; Elements are either ApiResponse (success) or undefined (failure). If the
+     * batchParam is an empty array, Promise<[]> (empty array) is returned. The promise is resolved with a {@link QueryStatus} object as the second
+     * argument, whose errors have the index of the failed batch in the 'batch' property ('continue' is always null). Rejects with 'badparams'
+     * if the batch fields are invalid.
+     * @license Dr4goniez@github
+     * @link https://github.com/Dr4goniez/dragobot/blob/740811cfecc24264b324085c8490ae63ef1ea1ea/src/lib.ts#L360
+     */
+    massQuery: function(params, batchParam, batchLimit, ajaxOptions) {
+        var def = $.Deferred();
+
+        // Get the array to be used for the batch operation
+        var batchArray, sameArrayProvided, fieldNames;
+        var self = this;
+        if (Array.isArray(batchParam)) {
+            sameArrayProvided = Object.keys(params)
+                .filter(function(key) {
+                    return batchParam.indexOf(key) !== -1;
+                })
+                .map(function(key) {
+                    return params[key]; // Get multi-value fields as an array
+                })
+                .every(function(multiValueFieldArray, i, arr) {
+                    return Array.isArray(multiValueFieldArray) && arr.every(function(allMultiValueFieldArray) {
+                        self.arraysEqual(multiValueFieldArray, allMultiValueFieldArray);
+                    });
+                });
+            if (!sameArrayProvided) {
+                console.error('massQuery: Batch fields have different arrays.');
+                return def.reject('badparams', 'massQuery: Batch fields have different arrays.');
+            }
+            batchArray = params[batchParam[0]];
+        } else {
+            batchArray = params[batchParam];
+            if (!Array.isArray(batchArray)) {
+                console.error('massQuery: Batch field in query must be an array.');
+                return def.reject('badparams', 'massQuery: Batch field in query must be an array.');
+            }
+        }
+        if (batchArray.length === 0) {
+            fieldNames = Array.isArray(batchParam) ? batchParam.join(', ') : batchParam;
+            console.warn('massQuery: Batch field is an empty array (' + fieldNames + ').');
+            return def.resolve([], {complete: true, errors: [], continue: null});
+        }
+        batchArray = batchArray.slice(); // Deep copy
+
+        // Set the '**limit' parameter as 'max' if there's any
+        var limitKey = Object.keys(params)
+            .filter(function(key) {
+                return /limit$/.test(key);
+            });
+        if (limitKey.length !== 0 && !batchLimit) params[limitKey[0]] = 'max';
+
+        // Send API requests, splicing the array by 500 for users with apihighlimits (which needs the user information)
+        var send = function() {
+
+            var limit = batchLimit || (self.apiHighLimits ? 500 : 50);
+            var result = [];
+            var errors = [];
+            var splicedBatchArrayPiped, batchParams;
+            while (batchArray.length !== 0) {
+
+                // Build the parameters for each batch because requests are sent when the queue gets to them
+                splicedBatchArrayPiped = batchArray.splice(0, limit).join('|');
+                batchParams = self.merge({}, params);
+                if (typeof batchParam === 'string') {
+                    batchParams[batchParam] = splicedBatchArrayPiped;
+                } else {
+                    Object.keys(batchParams).forEach(function(key) {
+                        if (batchParam.indexOf(key) !== -1) batchParams[key] = splicedBatchArrayPiped;
+                    });
+                }
+
+                result.push(
+                    self.post(batchParams, self.merge({}, ajaxOptions || {}))
+                    .then(function(res){
+                        return res;
+                    }, (function(batch) {
+                        return function(code, err) {
+                            console.warn('massQuery: Query failed (reason: ' + code + ', batch: ' + batch + ').');
+                            errors.push({code: code, error: err, batch: batch});
+                            return undefined;
+                        };
+                    })(result.length))
+                );
+
+            }
+        
+            $.when.apply($, result)
+                .then(function() {
+                    var args = arguments;
+                    var resultArray = Object.keys(args).map(function(key) {
+                        return args[key];
+                    });
+                    def.resolve(resultArray, {complete: errors.length === 0, errors: errors, continue: null});
+                });
+
+        };
+        if (batchLimit) {
+            send();
+        } else {
+            this.getUserInfo().then(send, send);
+        }
+
+        return def.promise();
+    },
+
+    /**
+     * Look up pages or users in bulk. The inputs are split into batches of 500 (or 50 for users without apihighlimits), and each batch is
+     * sent by POST and continued until all the data has been fetched, merging pages that come back in more than one response (see
+     * {@link QueryIterator}). Unlike {@link WPLib#massQuery}, the result is keyed by the inputs: titles are followed through
+     * normalization (and redirects if specified) to the final pages, and missing and invalid inputs are flagged.
+     * ```
+     * lib.bulkLookup('titles', ['Foo', 'bar_baz'], {prop: 'categories'}, {redirects: true}).then(function(res) {
+     *     console.log(res.results['bar_baz'].title, res.results['bar_baz'].record.categories, res.failed);
+     * });
+     * ```
+     * @param {string} type 'titles', 'pageids', 'revids' or 'usernames' (for list=users)
+     * @param {Array<string|number|Title>} inputs 
+     * @param {object} [parameters] Other parameters to the API (e.g. \{prop: 'revisions|categories'\}), which are not modified
+     * @param {BulkLookupOptions} [options] 
+     * @returns {JQueryPromise<BulkLookupResult>} Rejects with 'badparams' if the type or the inputs are invalid
+     * @typedef BulkLookupOptions
+     * @type {object}
+     * @property {boolean} [redirects] Whether to follow redirects (only for titles)
+     * @property {number} [batchLimit] The number of inputs per request (500/50 by default)
+     * @property {object} [ajaxOptions] 
+     * @typedef BulkLookupResult
+     * @type {object}
+     * @property {Object.<string, BulkLookupEntry>} results Entries keyed by the inputs (converted to strings), except the failed ones
+     * @property {Array<string|number|Title>} failed Inputs in the batches that failed, which can be passed to this method again to retry
+     * @property {Array<{code: string, error: any, inputs: Array<string|number|Title>}>} errors
+     * @typedef BulkLookupEntry
+     * @type {object}
+     * @property {string|number} input 
+     * @property {string|null} title The title of the final page, or the name of the user (null if unknown)
+     * @property {string|null} normalized The title after normalization (before following redirects), if it differs from the input
+     * @property {Array<string>} redirects The titles of the redirects that have been followed, in order
+     * @property {string|null} fragment The section name of the last redirect that has one, if any
+     * @property {string|null} interwiki The interwiki prefix if the input is an interwiki title
+     * @property {boolean} missing Whether the page or the user doesn't exist
+     * @property {boolean} invalid Whether the input is invalid (e.g. a title with illegal characters)
+     * @property {DynamicObject|null} record The page or user object in the API response, or null if there is none. For revision IDs, the
+     * page that has the revision (with the revisions of the other inputs in the same batch, if any).
+     * @property {string|null} curtimestamp The time when the batch was queried, if the 'curtimestamp' parameter is specified
+     */
+    bulkLookup: function(type, inputs, parameters, options) {
+
+        var def = $.Deferred();
+        var batchParams = {titles: 'titles', pageids: 'pageids', revids: 'revids', usernames: 'ususers'};
+        if (!Object.prototype.hasOwnProperty.call(batchParams, type)) {
+            console.error('bulkLookup: The type must be "titles", "pageids", "revids" or "usernames".');
+            return def.reject('badparams', 'bulkLookup: The type must be "titles", "pageids", "revids" or "usernames".');
+        } else if (!Array.isArray(inputs)) {
+            console.error('bulkLookup: The inputs must be an array.');
+            return def.reject('badparams', 'bulkLookup: The inputs must be an array.');
+        }
+        options = options || {};
+        var batchParam = batchParams[type];
+
+        var self = this;
+        var result = {results: {}, failed: [], errors: []};
+        var seen = Object.create(null);
+        var unique = inputs.filter(function(input) {
+            var key = String(input);
+            if (seen[key]) return false;
+            seen[key] = true;
+            return true;
+        });
+        if (unique.length === 0) return def.resolve(result);
+
+        var send = function() {
+
+            var limit = options.batchLimit || (self.apiHighLimits ? 500 : 50);
+            var batches = [];
+            for (var i = 0; i < unique.length; i += limit) {
+                batches.push(unique.slice(i, i + limit));
+            }
+
+            var remaining = batches.length;
+            batches.forEach(function(batch) {
+                var params = self.merge({}, parameters || {});
+                params[batchParam] = batch.map(String);
+                if (type === 'usernames') {
+                    params.list = 'users';
+                } else if (options.redirects) {
+                    params.redirects = true;
+                }
+                var iterator = new QueryIterator(self, params, {
+                    key: type === 'usernames' ? 'users' : 'pages',
+                    method: 'POST', // Batches of 500 inputs are too long for a URL
+                    ajaxOptions: options.ajaxOptions
+                });
+                iterator.toArray().then(function(records) {
+                    batch.forEach(function(input) {
+                        var entry = type === 'usernames' ?
+                            self._createUserLookupEntry(input, records) :
+                            self._createPageLookupEntry(input, records, iterator.titles, type);
+                        entry.curtimestamp = iterator.curtimestamp;
+                        result.results[String(input)] = entry;
+                    });
+                }, function(err) {
+                    console.warn('bulkLookup: Query failed (reason: ' + err.code + ').');
+                    result.failed = result.failed.concat(batch);
+                    result.errors.push({code: err.code, error: err, inputs: batch});
+                }).then(function() {
+                    if (--remaining === 0) def.resolve(result);
+                });
+            });
+
+        };
+        if (options.batchLimit) {
+            send();
+        } else {
+            this.getUserInfo().then(send, send);
+        }
+
+        return def.promise();
+
+    },
+
+    /**
+     * Create an entry of {@link WPLib#bulkLookup} for a title or a page ID.
+     * @private
+     * @param {string|number|Title} input 
+     * @param {Array<DynamicObject>} pages 
+     * @param {QueryIterator['titles']} titles 
+     * @param {string} type 
+     * @returns {BulkLookupEntry}
+     */
+    _createPageLookupEntry: function(input, pages, titles, type) {
+
+        var entry = {
+            input: input,
+            title: null,
+            normalized: null,
+            redirects: [],
+            fragment: null,
+            interwiki: null,
+            missing: false,
+            invalid: false,
+            record: null,
+            curtimestamp: null
+        };
+        var find = function(list, from) {
+            return list.filter(function(obj) { return obj.from === from; })[0];
+        };
+
+        var page;
+        if (type === 'pageids') {
+            page = pages.filter(function(p) { return String(p.pageid) === String(input); })[0];
+        } else if (type === 'revids') {
+            page = pages.filter(function(p) {
+                return (p.revisions || []).some(function(rev) { return String(rev.revid) === String(input); });
+            })[0];
+            if (!page) {
+                entry.missing = /^\d+$/.test(String(input));
+                entry.invalid = !entry.missing;
+                return entry;
+            }
+        } else {
+            var current = String(input);
+            var step;
+            if ((step = find(titles.normalized, current))) current = step.to;
+            if ((step = find(titles.converted, current))) current = step.to;
+            if (current !== String(input)) entry.normalized = current;
+            var iw = titles.interwiki.filter(function(obj) { return obj.title === current; })[0];
+            if (iw) {
+                entry.title = current;
+                entry.interwiki = iw.iw;
+                return entry;
+            }
+            // Follow redirects, which may be chained
+            while ((step = find(titles.redirects, current)) && entry.redirects.indexOf(current) === -1) {
+                entry.redirects.push(current);
+                current = step.to;
+                if (step.tofragment) entry.fragment = step.tofragment;
+                if (step.tointerwiki) entry.interwiki = step.tointerwiki;
+            }
+            page = pages.filter(function(p) { return p.title === current; })[0];
+            entry.title = current;
+        }
+
+        if (page) {
+            entry.title = page.title !== undefined ? page.title : entry.title;
+            entry.missing = page.missing !== undefined && page.missing !== false;
+            entry.invalid = page.invalid !== undefined && page.invalid !== false;
+            entry.record = page;
+        } else if (!entry.interwiki) {
+            entry.invalid = true;
+        }
+        return entry;
+
+    },
+
+    /**
+     * Create an entry of {@link WPLib#bulkLookup} for a username.
+     * @private
+     * @param {string} input 
+     * @param {Array<DynamicObject>} users 
+     * @returns {BulkLookupEntry}
+     */
+    _createUserLookupEntry: function(input, users) {
+        var name = String(input).replace(/[_\s]+/g, ' ').trim();
+        if (/^[0-9a-f:]+$/i.test(name) && name.indexOf(':') !== -1) name = name.toUpperCase(); // IPv6
+        name = this._capitalizeFirstLetter(name);
+        var user = users.filter(function(u) { return u.name === name; })[0] || null;
+        return {
+            input: input,
+            title: user ? user.name : null,
+            normalized: user && user.name !== String(input) ? user.name : null,
+            redirects: [],
+            fragment: null,
+            interwiki: null,
+            missing: !!user && user.missing !== undefined && user.missing !== false,
+            invalid: !user || user.invalid !== undefined && user.invalid !== false,
+            record: user,
+            curtimestamp: null
+        };
+    },
+
+    /**
+     * Parse a dropdown message (e.g. MediaWiki:Ipbreason-dropdown) into a tree of groups and options. '*' lines start a group, and '**'
+     * lines are options in the current group. A '*' line not followed by any '**' line is an option of its own rather than an empty group,
+     * and lines without asterisks are options outside of any group.
+     * @param {string} text 
+     * @returns {Array<DropdownGroup|DropdownOption>}
+     * @typedef DropdownGroup
+     * @property {'group'} type
+     * @property {string} label
+     * @property {Array<DropdownOption>} options
+     * @typedef DropdownOption
+     * @property {'option'} type
+     * @property {string} label
+     * @property {string} value
+     */
+    parseDropdown: function(text) {
+
+        var tree = [];
+        var group = null;
+        var createOption = function(label, value) {
+            return {type: 'option', label: label, value: typeof value === 'string' ? value : label};
+        };
+
+        (text || '').split('\n').forEach(function(line) {
+            line = line.trim();
+            if (!line) return;
+            var m = line.match(/^(\*+)\s*(.*)$/);
+            if (!m) {
+                group = null;
+                tree.push(createOption(line));
+            } else if (m[1].length === 1) {
+                if (!m[2]) return;
+                group = {type: 'group', label: m[2], options: []};
+                tree.push(group);
+            } else if (m[2]) {
+                if (group) {
+                    group.options.push(createOption(m[2]));
+                } else {
+                    tree.push(createOption(m[2]));
+                }
+            }
+        });
+
+        // Turn '*' lines without '**' lines into options
+        return tree.map(function(item) {
+            return item.type === 'group' && item.options.length === 0 ? createOption(item.label) : item;
+        });
+
+    },
+
+    /**
+     * Parse a comma-separated list of 'label:value' pairs (e.g. MediaWiki:Ipboptions, MediaWiki:Protect-expiry-options). An item without
+     * a colon is used both as the label and as the value.
+     * @param {string} text 
+     * @returns {Array<DropdownOption>}
+     */
+    parseExpiryOptions: function(text) {
+        return (text || '').split(',').reduce(function(acc, item) {
+            var idx = item.indexOf(':');
+            var label = (idx === -1 ? item : item.slice(0, idx)).trim();
+            var value = (idx === -1 ? item : item.slice(idx + 1)).trim();
+            if (label || value) acc.push({type: 'option', label: label || value, value: value || label});
+            return acc;
+        }, []);
+    },
+
+    /**
+     * Get the content of interface messages via meta=allmessages.
+     * @param {string|Array<string>} names Message names (e.g. 'Ipbreason-dropdown'), up to 50 at once
+     * @param {MessageOptions} [options] Messages are cached for an hour by default.
+     * @returns {JQueryPromise<Object.<string, string|null>>} Keyed by the names as passed, with null for messages that don't exist.
+     * Rejects in the same way as {@link WPLib#ajax}, or with 'badparams' if no name is passed or 'invalidresponse'.
+     * @typedef MessageOptions
+     * @property {string} [lang] Language code of the messages, defaulting to the content language of the wiki
+     * @property {number} [cacheTtl] How long to cache the response in milliseconds, 0 not to cache it
+     */
+    getMessages: function(names, options) {
+        var def = $.Deferred();
+        options = this.merge({cacheTtl: 60 * 60 * 1000}, options || {});
+        names = [].concat(names).filter(function(name) { return typeof name === 'string' && name; });
+        if (names.length === 0) {
+            console.error('getMessages() requires at least one message name.');
+            return def.reject('badparams', 'getMessages() requires at least one message name.');
+        }
+
+        // The API returns the names with the first letter in lowercase
+        var normalize = function(name) {
+            name = name.replace(/ /g, '_');
+            return name.charAt(0).toLowerCase() + name.slice(1);
+        };
+
+        var self = this;
+        var lang = options.lang ? $.Deferred().resolve(options.lang).promise() : this._getContentLanguage();
+        lang.then(function(amlang) {
+            // Without amlang, the API returns the messages in the user language (and the key of the cache has to include the language)
+            return self.get({
+                meta: 'allmessages',
+                ammessages: names.slice(),
+                amlang: amlang
+            }, {cacheTtl: options.cacheTtl});
+        }).then(function(res) {
+
+            var resMessages;
+            if (!res || !res.query || !Array.isArray((resMessages = res.query.allmessages))) {
+                console.warn('getMessages() received an invalid response from the API.');
+                return def.reject('invalidresponse', 'getMessages() received an invalid response from the API.', res);
+            }
+
+            var contents = resMessages.reduce(function(acc, msg) {
+                var content = typeof msg.content === 'string' ? msg.content : msg['*'];
+                acc[normalize(msg.name)] = msg.missing !== undefined || typeof content !== 'string' ? null : content;
+                return acc;
+            }, Object.create(null));
+            def.resolve(names.reduce(function(acc, name) {
+                var key = normalize(name);
+                acc[name] = key in contents ? contents[key] : null;
+                return acc;
+            }, {}));
+
+        }, def.reject);
+
+        return def.promise();
+    },
+
+    /**
+     * Get the content language of the wiki, from mw.config if the API is that of the current wiki, or from the site information otherwise
+     * ('ja' if it can't be fetched).
+     * @private
+     * @returns {JQueryPromise<string>}
+     */
+    _getContentLanguage: function() {
+        var def = $.Deferred();
+        if (typeof mw !== 'undefined' && this.apiUrl === mw.config.get('wgScriptPath') + '/api.php' && mw.config.get('wgContentLanguage')) {
+            return def.resolve(mw.config.get('wgContentLanguage'));
+        }
+        this.get({
+            meta: 'siteinfo',
+            siprop: 'general'
+        }, {cacheTtl: 24 * 60 * 60 * 1000}).then(function(res) {
+            def.resolve(res && res.query && res.query.general && res.query.general.lang || 'ja');
+        }, function() {
+            def.resolve('ja');
+        });
+        return def.promise();
+    },
+
+    /**
+     * Get a dropdown message and parse it with {@link WPLib#parseDropdown} or {@link WPLib#parseExpiryOptions}.
+     * @param {string} messageName e.g. 'Revdelete-reason-dropdown', 'Protect-expiry-options'
+     * @param {DropdownOptions} [options] The message is cached for an hour by default.
+     * @returns {JQueryPromise<Array<DropdownGroup|DropdownOption>>} Rejects in the same way as {@link WPLib#getMessages}, or with
+     * 'nooptions' if the message doesn't exist or has no options.
+     * @typedef DropdownOptions
+     * @property {string} [lang] Language code of the message, defaulting to the content language of the wiki
+     * @property {number} [cacheTtl] How long to cache the response in milliseconds, 0 not to cache it
+     * @property {'dropdown'|'expiry'} [format] How to parse the message. By default, messages with lines starting with '*' are parsed as
+     * dropdowns and the others as 'label:value' lists.
+     */
+    getDropdown: function(messageName, options) {
+        var def = $.Deferred();
+        options = options || {};
+        var self = this;
+
+        this.getMessages(messageName, options).then(function(messages) {
+            var content = messages[messageName];
+            if (typeof content !== 'string') {
+                console.warn('getDropdown() couldn\'t find "MediaWiki:' + messageName + '".');
+                return def.reject('nooptions', 'getDropdown() couldn\'t find "MediaWiki:' + messageName + '".', messages);
+            }
+            var format = options.format || (/^\s*\*/m.test(content) ? 'dropdown' : 'expiry');
+            var tree = format === 'expiry' ? self.parseExpiryOptions(content) : self.parseDropdown(content);
+            if (tree.length === 0) {
+                console.warn('getDropdown() coudn\'t fetch anything out of "MediaWiki:' + messageName + '".');
+                return def.reject('nooptions', 'getDropdown() coudn\'t fetch anything out of "MediaWiki:' + messageName + '".', messages);
+            }
+            def.resolve(tree);
+        }, def.reject);
+
+        return def.promise();
+    },
+
+    /**
+     * Create \<option>s and \<optgroup>s for \<select> out of a dropdown tree.
+     * @param {Array<DropdownGroup|DropdownOption>} tree 
+     * @returns {string}
+     * @private
+     */
+    _createOptionTags: function(tree) {
+        var escape = function(str) {
+            return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        };
+        var createOption = function(opt) {
+            return '<option value="' + escape(opt.value) + '">' + escape(opt.label) + '</option>';
+        };
+        return tree.map(function(item) {
+            if (item.type !== 'group') return createOption(item);
+            return '<optgroup label="' + escape(item.label) + '">' + item.options.map(createOption).join('') + '</optgroup>';
+        }).join('');
+    },
+
+    /**
+     * Get bullet-points-notated interface in the MediaWiki namespace as an array of objects. See {@link WPLib#getDropdown} to get any other
+     * message as a tree.
+     * @param {string} interfaceName block/delete/protect/revdelete/filedelete/move
+     * @param {boolean} [createOptionTags] If true, return a string of \<option>s for \<select>
+     * @param {MessageOptions} [options] The interface is cached for an hour by default.
+     * @returns {JQueryPromise<string|Array<{index: number, caption: string}>>} Rejects in the same way as {@link WPLib#getMessages}, or with
+     * 'badparams' if the interface name is invalid, 'invalidresponse' if the message doesn't exist, or 'nooptions' if it has no options.
+     */
+    getInterface: function(interfaceName, createOptionTags, options) {
+        var def = $.Deferred();
+        var messageNames = {
+            'block': 'Ipbreason-dropdown',
+            'delete': 'Deletereason-dropdown',
+            'protect': 'Protect-dropdown',
+            'revdelete': 'Revdelete-reason-dropdown',
+            'filedelete': 'Filedelete-reason-dropdown',
+            'move': 'Movepage-reason-dropdown'
+        };
+        if (!Object.prototype.hasOwnProperty.call(messageNames, interfaceName)) {
+            var msg = 'getInterface() only accepts "' + Object.keys(messageNames).join('", "') + '" as the first argument.';
+            console.error(msg);
+            return def.reject('badparams', msg);
+        }
+        var messageName = messageNames[interfaceName];
+        var self = this;
+
+        this.getMessages(messageName, options).then(function(messages) {
+
+            var content = messages[messageName];
+            if (typeof content !== 'string') {
+                console.warn('getInterface() received an invalid response from the API.');
+                return def.reject('invalidresponse', 'getInterface() received an invalid response from the API.', messages);
+            }
+
+            var reasonRegex = /(\*+)[^\S\r\n]*([^\n]+)\n?/g;
+            var rawReasons = [];
+            var matched;
+            while ((matched = reasonRegex.exec(content))) {
+                rawReasons.push(matched);
+            }
+            if (rawReasons.length === 0) {
+                console.warn('getInterface() coudn\'t fetch anything out of the interface.');
+                return def.reject('nooptions', 'getInterface() coudn\'t fetch anything out of the interface.', messages);
+            }
+
+            if (createOptionTags) return def.resolve(self._createOptionTags(self.parseDropdown(content)));
+
+            def.resolve(rawReasons.map(function(matchArray) {
+                return {
+                    index: matchArray[1].length,
+                    caption: matchArray[2].trim()
+                };
+            }));
+    
+        }, function(code, err, result, jqXHR) {
+            console.error(err && err.error ? err.error.info : err || code);
+            def.reject(code, err, result, jqXHR);
+        });
+
+        return def.promise();
+    },
+
+    /**
+     * Get a list of VIPs.
+     * @param {boolean} [wikiLinkFormat] If true, format the response as '[[WP:VIP#****]]'
+     * @param {CacheOptions} [options] The list is cached for 10 minutes by default.
+     * @returns {JQueryPromise<Array<string>>} Array of '****', where the stars are filtered section titles on [[WP:VIP]]. This never rejects,
+     * and is resolved with an empty array if an error occurs.
+     * @typedef CacheOptions
+     * @type {object}
+     * @property {number} [cacheTtl] How long to cache the responses in milliseconds (see {@link ResponseCache}), or 0 not to cache them
+     */
+    getVipList: function(wikiLinkFormat, options) {
+        return this._getVipList(wikiLinkFormat, options).then(null, function(code, err) {
+            console.warn(code === 'invalidresponse' ? err : 'Query failed for getVipList: ' + (err && err.error ? err.error.info : code));
+            return [];
+        });
+    },
+
+    /**
+     * Get a list of VIPs (see {@link WPLib#getVipList}).
+     * @private
+     * @param {boolean} [wikiLinkFormat] 
+     * @param {CacheOptions} [options] 
+     * @returns {JQueryPromise<Array<string>>} Rejects in the same way as {@link WPLib#ajax}, or with 'invalidresponse'
+     */
+    _getVipList: function(wikiLinkFormat, options) {
+        options = this.merge({cacheTtl: 10 * 60 * 1000}, options || {});
+        return this.get({
+            action: 'parse',
+            page: 'Wikipedia:進行中の荒らし行為',
+            prop: 'sections'
+        }, {cacheTtl: options.cacheTtl}).then(function(res) {
+
+            var resSect;
+            if (!res || !res.parse || !Array.isArray(resSect = res.parse.sections) || resSect.length === 0) {
+                return $.Deferred().reject('invalidresponse', 'getVipList() received an invalid response from the API.', res);
+            }
+
+            // Section titles that have nothing to do with VIPs
+            var excludeList = [
+                '記述について',
+                '急を要する二段階',
+                '配列',
                 'ブロック等の手段',
                 'このページに利用者名を加える',
                 '注意と選択',
@@ -1060,56 +4032,3213 @@ WPLib.prototype = {
                 '関連項目'
             ];
 
-            var viplist = resSect
-                .filter(function(obj) {
-                    return excludeList.indexOf(obj.line) === -1 && obj.level == 3;
-                }).map(function(obj) {
-                    return wikiLinkFormat ? '[[WP:VIP#' + obj.line + ']]' : obj.line;
-                });
+            var viplist = resSect
+                .filter(function(obj) {
+                    return excludeList.indexOf(obj.line) === -1 && obj.level == 3;
+                }).map(function(obj) {
+                    return wikiLinkFormat ? '[[WP:VIP#' + obj.line + ']]' : obj.line;
+                });
+
+            return viplist;
+
+        });
+    },
+
+    /**
+     * Get a list of LTAs.
+     * @param {boolean} [wikiLinkFormat] If true, format the response as '[[LTA:****]]'
+     * @param {CacheOptions} [options] The list is cached for an hour by default.
+     * @returns {JQueryPromise<Array<string>>} Array of 'LTA:****'. This never rejects, and is resolved with a {@link QueryStatus} object as
+     * the second argument (see {@link WPLib#continuedQuery}).
+     */
+    getLtaList: function(wikiLinkFormat, options) {
+        var def = $.Deferred();
+        options = this.merge({cacheTtl: 60 * 60 * 1000}, options || {});
+        this.continuedQuery({
+            list: 'allpages',
+            apprefix: 'LTA:',
+            apnamespace: '0',
+            apfilterredir: 'redirects',
+            aplimit: '200'
+        }, undefined, {cacheTtl: options.cacheTtl}).then(function(res, status) {
+            var ltalist = res
+                .filter(function(obj) {
+                    return obj && obj.query && obj.query.allpages && obj.query.allpages.length !== 0;
+                })
+                .map(function(obj) {
+                    return obj.query.allpages;
+                })
+                .reduce(function(acc, arr) {
+                    return acc.concat(arr);
+                }, [])
+                .filter(function(obj) {
+                    return obj && obj.title && !/^LTA:$|\/.+$/.test(obj.title);
+                })
+                .map(function(obj) {
+                    return wikiLinkFormat ? '[[' + obj.title + ']]' : obj.title;
+                });
+            def.resolve(ltalist, status);
+        });
+        return def.promise();
+    }
+
+};
+
+// ============================================== TEMPLATE ==============================================
+
+/**
+ * A template in wikitext, created by {@link WPLib#parseTemplates}. Arguments of the template can be added, removed, renamed and reordered,
+ * and the modified template can be written back into the wikitext it was parsed from. Whitespace around the name and the arguments is
+ * kept as it is in the source, so unmodified parts (including the line-per-argument layout) are written back without changes.
+ * @constructor
+ * @param {Array<string>} segments The name segment followed by argument segments, with pipes replaced back
+ * @param {number} nestlevel
+ * @param {{start: number, end: number}} index
+ * @param {Template} [parent]
+ */
+var Template = function(segments, nestlevel, index, parent) {
+
+    var nameSegment = segments[0];
+    var lead = nameSegment.match(/^\s*/)[0];
+    var nameBody = nameSegment.slice(lead.length);
+    var trail = nameBody.match(/\s*$/)[0];
+
+    /**
+     * @private
+     */
+    this._name = {
+        lead: lead,
+        name: nameBody.slice(0, nameBody.length - trail.length),
+        trail: trail
+    };
+
+    /**
+     * @type {Array<TemplateArgumentSegment>}
+     * @private
+     */
+    this._args = segments.slice(1).map(function(segment) {
+        return WPLib.prototype._decomposeTemplateArgument(segment);
+    });
+
+    // The trailing whitespace of the last segment belongs to the closing braces. Give the last segment the whitespace that
+    // separates other segments instead, so that it's formatted in the same way when another argument is added after it.
+    var allSegments = [this._name].concat(this._args);
+    var lastSegment = allSegments[allSegments.length - 1];
+
+    /**
+     * @private
+     */
+    this._closing = lastSegment.trail;
+    lastSegment.trail = allSegments.length > 1 ? allSegments[allSegments.length - 2].trail : '';
+
+    /**
+     * The text of the template as it is in the source wikitext.
+     * @private
+     */
+    this._source = this.toString();
+
+    /**
+     * The whole text of the template
+     * @type {string}
+     */
+    this.text = this._source;
+
+    var classified = WPLib.prototype._classifyTemplateName(this._name.name);
+
+    /**
+     * The type of the double-brace construct: 'template', 'parserfunction' (e.g. '{{#if:...}}', '{{lc:...}}'), 'magicword' (variables and
+     * behavior switches, e.g. '{{PAGENAME}}', '{{DEFAULTSORT:...}}') or 'module' ('{{#invoke:...}}').
+     * @type {string}
+     */
+    this.type = classified.type;
+
+    /**
+     * The modifier prefixed to the name in lower case ('subst', 'safesubst', 'msgnw', 'msg' or 'raw'), or null if there's none.
+     * @type {string|null}
+     */
+    this.modifier = classified.modifier;
+
+    /**
+     * The normalized name of the construct, without the modifier:
+     * - Templates: The title without the 'Template:' prefix, with underscores converted to spaces and the first letter capitalized if the
+     * namespace is case-insensitive (e.g. 'Foo bar' for '{{template:foo_bar}}'). Pages in other namespaces are prefixed by the local name of
+     * the namespace (e.g. '利用者:Foo' for '{{User:Foo}}'), and pages in the main namespace by a colon (e.g. ':Foo' for '{{:Foo}}').
+     * - Parser functions and module invocations: The function name in lower case (e.g. '#if', 'lc', '#invoke').
+     * - Magic words: The canonical name in upper case (e.g. 'PAGENAME', 'DEFAULTSORT').
+     * @type {TemplateName}
+     */
+    this.name = classified.name;
+
+    /**
+     * The text after the colon of a parser function, a magic word or a module invocation (e.g. 'Foo' for '{{DEFAULTSORT:Foo}}' and
+     * '{{#invoke:Foo|main}}'), or null if there's none. This is not part of the arguments.
+     * @type {string|null}
+     */
+    this.firstArgument = classified.firstArgument;
+
+    /**
+     * The arguments of the template
+     * @type {Array<TemplateArgument>}
+     */
+    this.arguments = WPLib.prototype._toTemplateArguments(this._args);
+
+    /**
+     * The nestlevel of the template (0 if not embedded in other templates)
+     * @type {number}
+     */
+    this.nestlevel = nestlevel;
+
+    /**
+     * Indexes of the template in the input string. The end index is 'characters up to or not including', so the template can be
+     * extracted from the input string by "input.slice(index.start, index.end)". Indexes of nested templates are also those in the
+     * input string, not in the text of their parent templates.
+     * @type {{start: number, end: number}}
+     */
+    this.index = index;
+
+    /**
+     * The template that contains this template, or null if the template isn't nested. This property is not enumerable, so that
+     * the template can be serialized by JSON.stringify.
+     * @name Template#parent
+     * @type {Template|null}
+     */
+    Object.defineProperty(this, 'parent', {
+        value: parent || null,
+        writable: true,
+        configurable: true,
+        enumerable: false
+    });
+
+    /**
+     * The name of the argument of the parent template in which this template sits, or null if the template isn't nested or sits in
+     * the name of the parent template (e.g. '{{ {{foo}} }}').
+     * @type {string|null}
+     */
+    this.argument = parent ? parent._getArgumentAt(index.start - parent.index.start) : null;
+
+};
+
+Template.prototype = {
+
+    /**
+     * Get the text of the template, reflecting modifications made to it.
+     * @returns {string}
+     */
+    toString: function() {
+        return '{{' + this._getSegmentTexts().join('|') + '}}';
+    },
+
+    /**
+     * Get the texts of the name segment and the argument segments, which are to be joined by pipes.
+     * @private
+     * @returns {Array<string>}
+     */
+    _getSegmentTexts: function() {
+        var closing = this._closing;
+        var segments = [this._name.lead + this._name.name + (this._args.length === 0 ? closing : this._name.trail)];
+        this._args.forEach(function(seg, i, arr) {
+            var text = seg.lead;
+            if (seg.named) text += seg.name + seg.gapBefore + '=' + seg.gapAfter;
+            text += seg.value + (i === arr.length - 1 ? closing : seg.trail);
+            segments.push(text);
+        });
+        return segments;
+    },
+
+    /**
+     * Get the name of the argument that a given position in the template falls within.
+     * @private
+     * @param {number} position Index relative to the start of the template
+     * @returns {string|null} Null if the position is in the name segment (or outside the template)
+     */
+    _getArgumentAt: function(position) {
+        var segmentStart = 2; // After the opening braces
+        var segments = this._getSegmentTexts();
+        for (var i = 0; i < segments.length; i++) {
+            var segmentEnd = segmentStart + segments[i].length;
+            if (segmentStart <= position && position < segmentEnd) {
+                return i === 0 ? null : this.arguments[i - 1].name;
+            }
+            segmentStart = segmentEnd + 1; // Skip the pipe
+        }
+        return null;
+    },
+
+    /**
+     * Update the public properties after a modification.
+     * @private
+     */
+    _update: function() {
+        this.text = this.toString();
+        this.arguments = WPLib.prototype._toTemplateArguments(this._args);
+    },
+
+    /**
+     * Get the indexes of arguments with a given name.
+     * @private
+     * @param {string} name 
+     * @returns {Array<number>}
+     */
+    _findArguments: function(name) {
+        name = String(name).trim();
+        return this.arguments.reduce(function(acc, arg, i) {
+            if (arg.name === name) acc.push(i);
+            return acc;
+        }, []);
+    },
+
+    /**
+     * Give explicit names to unnamed arguments at and after a given index, so that they keep their numbers when arguments before them
+     * are renamed or moved.
+     * @private
+     * @param {number} [startIndex] 0 by default
+     */
+    _nameUnnamedArguments: function(startIndex) {
+        var names = this.arguments.map(function(arg) { return arg.name; });
+        this._args.forEach(function(seg, i) {
+            if (i < (startIndex || 0) || seg.named) return;
+            seg.named = true;
+            seg.name = names[i];
+        });
+    },
+
+    /**
+     * Get an argument of the template. If there are duplicate arguments, the last one (the one that takes effect) is returned.
+     * @param {string} name 
+     * @returns {TemplateArgument|null}
+     */
+    getArgument: function(name) {
+        var indexes = this._findArguments(name);
+        return indexes.length !== 0 ? this.arguments[indexes[indexes.length - 1]] : null;
+    },
+
+    /**
+     * Check whether the template has an argument with a given name.
+     * @param {string} name 
+     * @returns {boolean}
+     */
+    hasArgument: function(name) {
+        return this._findArguments(name).length !== 0;
+    },
+
+    /**
+     * Set the value of an argument. If the template doesn't have the argument, it's added to the end of the template (see {@link Template#addArgument}).
+     * The whitespace around the argument is kept as it is.
+     * @param {string} name 
+     * @param {string} value Leading and trailing whitespace is trimmed.
+     * @returns {Template} The template itself
+     */
+    setArgument: function(name, value) {
+        var indexes = this._findArguments(name);
+        if (indexes.length === 0) return this.addArgument(name, value);
+        var seg = this._args[indexes[indexes.length - 1]];
+        seg.value = String(value).trim();
+        if (!seg.named && WPLib.prototype._indexOfTopLevel(seg.value, '=') !== -1) { // Unnamed arguments can't contain equal signs
+            seg.named = true;
+            seg.name = String(name).trim();
+        }
+        this._update();
+        return this;
+    },
+
+    /**
+     * Add an argument to the end of the template. The new argument is formatted in the same way as the existing arguments: it takes over the
+     * whitespace around the last argument (e.g. line breaks in a line-per-argument template), and its equal sign is aligned with those of other
+     * arguments if they are aligned. The argument is added as an unnamed one if its name is the next unnamed argument number.
+     * @param {string} name 
+     * @param {string} value Leading and trailing whitespace is trimmed.
+     * @returns {Template} The template itself
+     */
+    addArgument: function(name, value) {
+
+        name = String(name).trim();
+        value = String(value).trim();
+
+        // What would the name of the argument be if it were added as an unnamed one?
+        var unnamed = {named: false, lead: '', name: '', gapBefore: '', gapAfter: '', value: '', trail: ''};
+        var unnamedName = WPLib.prototype._toTemplateArguments(this._args.concat([unnamed])).pop().name;
+        var named = name !== unnamedName || WPLib.prototype._indexOfTopLevel(value, '=') !== -1;
+
+        var namedArgs = this._args.filter(function(seg) { return seg.named; });
+        var sample = this._args[this._args.length - 1];
+        var namedSample = namedArgs[namedArgs.length - 1];
+        var seg = {
+            named: named,
+            lead: (named && namedSample || sample || {lead: ''}).lead,
+            name: named ? name : '',
+            gapBefore: '',
+            gapAfter: '',
+            value: value,
+            trail: sample ? sample.trail : this._name.trail
+        };
+
+        if (named && namedSample) {
+            seg.gapAfter = namedSample.gapAfter;
+            seg.gapBefore = namedSample.gapBefore;
+            // Align the equal sign if the names of the existing arguments are padded to the same width
+            var width = namedSample.name.length + namedSample.gapBefore.length;
+            var aligned = namedArgs.length > 1 && namedArgs.every(function(arg) {
+                return arg.name.length + arg.gapBefore.length === width;
+            }) && namedArgs.some(function(arg) {
+                return arg.gapBefore !== namedSample.gapBefore;
+            });
+            if (aligned) {
+                seg.gapBefore = new Array(Math.max(1, width - name.length) + 1).join(' ');
+            }
+        }
+
+        this._args.push(seg);
+        this._update();
+        return this;
+
+    },
+
+    /**
+     * Remove an argument from the template. If there are duplicate arguments, all of them are removed. If an unnamed argument is followed
+     * by other unnamed arguments, its value is emptied instead of removing it, so that the following arguments keep their numbers.
+     * @param {string} name 
+     * @returns {boolean} False if the template doesn't have the argument
+     */
+    removeArgument: function(name) {
+        var indexes = this._findArguments(name);
+        if (indexes.length === 0) return false;
+        for (var i = indexes.length - 1; i >= 0; i--) {
+            var idx = indexes[i];
+            var seg = this._args[idx];
+            var followed = this._args.slice(idx + 1).some(function(nextSeg) { return !nextSeg.named; });
+            if (!seg.named && followed) {
+                seg.value = '';
+            } else {
+                this._args.splice(idx, 1);
+            }
+        }
+        this._update();
+        return true;
+    },
+
+    /**
+     * Rename an argument of the template. If there are duplicate arguments, all of them are renamed. If an unnamed argument is renamed,
+     * unnamed arguments after it are given explicit names so that they keep their numbers.
+     * @param {string} oldName 
+     * @param {string} newName 
+     * @returns {boolean} False if the template doesn't have the argument
+     */
+    renameArgument: function(oldName, newName) {
+        var indexes = this._findArguments(oldName);
+        if (indexes.length === 0) return false;
+        newName = String(newName).trim();
+        var self = this;
+        indexes.forEach(function(idx) {
+            var seg = self._args[idx];
+            if (!seg.named) {
+                self._nameUnnamedArguments(idx + 1);
+                seg.named = true;
+            }
+            seg.name = newName;
+        });
+        this._update();
+        return true;
+    },
+
+    /**
+     * Reorder the arguments of the template. If the order of unnamed arguments changes, all unnamed arguments are given explicit names so that
+     * they keep their numbers.
+     * @param {Array<string>|function(TemplateArgument, TemplateArgument): number} order Either an array of argument names, or a compare function.
+     * If an array is passed, the arguments in it are moved to the beginning in the order of the array, and the other arguments follow them in
+     * their original order.
+     * @returns {Template} The template itself
+     */
+    reorderArguments: function(order) {
+
+        var args = this.arguments;
+        var compare;
+        if (typeof order === 'function') {
+            compare = order;
+        } else if (Array.isArray(order)) {
+            var rank = function(arg) {
+                var r = order.indexOf(arg.name);
+                return r === -1 ? order.length : r;
+            };
+            compare = function(arg1, arg2) {
+                return rank(arg1) - rank(arg2);
+            };
+        } else {
+            console.error('TypeError: An array or a function must be passed to reorderArguments().');
+            return this;
+        }
+
+        // Sort the indexes of the arguments (stable)
+        var sorted = args
+            .map(function(arg, i) { return i; })
+            .sort(function(i, j) {
+                return compare(args[i], args[j]) || i - j;
+            });
+
+        var self = this;
+        var isUnnamed = function(i) { return !self._args[i].named; };
+        var unnamedBefore = args.map(function(arg, i) { return i; }).filter(isUnnamed);
+        var unnamedAfter = sorted.filter(isUnnamed);
+        if (!WPLib.prototype.arraysEqual(unnamedBefore, unnamedAfter)) {
+            this._nameUnnamedArguments();
+        }
+
+        this._args = sorted.map(function(i) {
+            return self._args[i];
+        });
+        this._update();
+        return this;
+
+    },
+
+    /**
+     * Replace the template in the wikitext it was parsed from with the modified template. The template is located by its index, and the index
+     * is updated after the replacement so that the template can be modified and replaced again in the returned wikitext. Note that the indexes of
+     * other templates in the wikitext aren't updated; when replacing multiple templates, start from the one that comes last. Nested templates
+     * are part of the text of the templates that contain them, and therefore should be modified via the outer templates.
+     * @param {string} wikitext The wikitext the template was parsed from
+     * @returns {string|null} Null if the template isn't found at its original position in the wikitext
+     */
+    replaceIn: function(wikitext) {
+        if (wikitext.slice(this.index.start, this.index.end) !== this._source) {
+            console.error('replaceIn: The template is not found at its original position in the wikitext.');
+            return null;
+        }
+        var text = this.toString();
+        var replaced = wikitext.slice(0, this.index.start) + text + wikitext.slice(this.index.end);
+        this._source = text;
+        this.index = {
+            start: this.index.start,
+            end: this.index.start + text.length
+        };
+        return replaced;
+    }
+
+};
+
+WPLib.Template = Template;
+
+// ============================================== TABLE ==============================================
+
+/**
+ * A wikitable, created by {@link WPLib#parseTables}. The caption, rows and cells of the table can be modified, added and removed, and the
+ * modified table can be written back into the wikitext it was parsed from. Unmodified parts of the table are written back as they are in
+ * the source, and modified parts are formatted in the same way as they were.
+ * @constructor
+ * @param {string} wikitext The whole wikitext that contains the table
+ * @param {{start: number, end: number}} index Indexes of the table in the wikitext
+ * @param {Array<{start: number, end: number}>} protectedRanges Ranges (e.g. those of templates and comments) in which characters are not taken
+ * as table syntax
+ * @param {number} nestlevel
+ */
+var Table = function(wikitext, index, protectedRanges, nestlevel) {
+
+    var text = wikitext.slice(index.start, index.end);
+
+    // Mask the protected ranges. Line breaks in them are also masked, which means that the lines they span are taken as one line.
+    var chars = text.split('');
+    protectedRanges.forEach(function(range) {
+        for (var i = Math.max(range.start, index.start); i < Math.min(range.end, index.end); i++) {
+            chars[i - index.start] = '\x00';
+        }
+    });
+    var masked = chars.join('');
+
+    // Find the start of each element (the opening, captions, rows and cells) of the table
+    var elements = [{kind: 'open', start: 0, sepLength: 2}];
+    var lineStart = 0;
+    var lines = masked.split('\n');
+    lines.forEach(function(line, lineIdx) {
+        var pos = lineStart;
+        lineStart += line.length + 1;
+        if (lineIdx === 0 || lineIdx === lines.length - 1) return; // The opening and the closing
+        var matched = line.match(/^[ \t]*(\|\+|\|-+|!|\|)/);
+        if (!matched) return; // A continuation of the previous element
+        if (matched[1] === '|+') {
+            elements.push({kind: 'caption', start: pos, sepLength: matched[0].length});
+        } else if (matched[1].charAt(1) === '-') {
+            elements.push({kind: 'row', start: pos, sepLength: matched[0].length});
+        } else {
+            // Cells can be separated by '||' (and '!!' in header lines) in one line
+            var type = matched[1] === '!' ? 'header' : 'data';
+            elements.push({kind: type, start: pos, sepLength: matched[0].length});
+            var from = matched[0].length;
+            for (;;) {
+                var nextIdx = WPLib.prototype._indexOfTopLevel(line, '||', from);
+                if (type === 'header') {
+                    var headerIdx = WPLib.prototype._indexOfTopLevel(line, '!!', from);
+                    if (headerIdx !== -1 && (nextIdx === -1 || headerIdx < nextIdx)) nextIdx = headerIdx;
+                }
+                if (nextIdx === -1) break;
+                elements.push({kind: type, start: pos + nextIdx, sepLength: 2});
+                from = nextIdx + 2;
+            }
+        }
+    });
+    var closeStart = text.length - 2;
+
+    /**
+     * The attributes of the table (e.g. {class: 'wikitable'})
+     * @type {Object.<string, string>}
+     */
+    this.attributes = {};
+
+    /**
+     * The caption of the table, or null if there's none. Use {@link Table#setCaption} to add or remove a caption.
+     * @type {TableCell|null}
+     */
+    this.caption = null;
+
+    /**
+     * The rows of the table. Rows can be added and removed by {@link Table#addRow} and {@link Table#removeRow}, or by modifying the array itself.
+     * @type {Array<TableRow>}
+     */
+    this.rows = [];
+
+    var self = this;
+    var row = null;
+    elements.forEach(function(el, i, arr) {
+
+        var end = i < arr.length - 1 ? arr[i + 1].start : closeStart;
+        var raw = text.slice(el.start, end);
+        var sep = raw.slice(0, el.sepLength);
+        var body = raw.slice(el.sepLength);
+        var maskedBody = masked.slice(el.start + el.sepLength, end);
+        var lineEnd = body.indexOf('\n') === -1 ? body.length : body.indexOf('\n');
+
+        switch (el.kind) {
+            case 'open':
+                self.attributes = WPLib.prototype.parseAttributes(body.slice(0, lineEnd));
+                self._open = {
+                    raw: raw,
+                    attrRaw: body.slice(0, lineEnd),
+                    rest: body.slice(lineEnd),
+                    attributes: JSON.stringify(self.attributes)
+                };
+                break;
+            case 'row':
+                row = new TableRow(WPLib.prototype.parseAttributes(body.slice(0, lineEnd)));
+                row._source = {
+                    raw: raw,
+                    sep: sep,
+                    rest: body.slice(lineEnd),
+                    attributes: JSON.stringify(row.attributes)
+                };
+                row.index = {start: index.start + el.start, end: index.start + end};
+                self.rows.push(row);
+                break;
+            default: { // Captions and cells
+                // The attributes are separated from the content by a pipe in the first line
+                var attrRaw = null;
+                var pipeIdx = WPLib.prototype._indexOfTopLevel(maskedBody.slice(0, lineEnd), '|');
+                if (pipeIdx !== -1) {
+                    attrRaw = body.slice(0, pipeIdx);
+                    body = body.slice(pipeIdx + 1);
+                }
+                var lead = body.match(/^\s*/)[0];
+                var trail = body.slice(lead.length).match(/\s*$/)[0];
+                var cell = new TableCell(
+                    el.kind,
+                    body.slice(lead.length, body.length - trail.length),
+                    attrRaw !== null ? WPLib.prototype.parseAttributes(attrRaw) : {}
+                );
+                cell._source = {
+                    raw: raw,
+                    sep: sep,
+                    attrRaw: attrRaw,
+                    lead: lead,
+                    trail: trail,
+                    attributes: JSON.stringify(cell.attributes),
+                    snapshot: cell._snapshot()
+                };
+                cell.index = {start: index.start + el.start, end: index.start + end};
+                if (el.kind === 'caption') {
+                    self.caption = cell;
+                } else {
+                    if (!row) { // The first row can be implicit (without '|-')
+                        row = new TableRow({});
+                        row._source = {raw: '', sep: '', rest: '', attributes: '{}'};
+                        row.index = {start: index.start + el.start, end: index.start + el.start};
+                        self.rows.push(row);
+                    }
+                    row.cells.push(cell);
+                    row.index.end = index.start + end;
+                }
+            }
+        }
+
+    });
+
+    /**
+     * @private
+     */
+    this._close = text.slice(closeStart);
+
+    /**
+     * The text of the table as it is in the source wikitext.
+     * @private
+     */
+    this._source = text;
+
+    /**
+     * The whole text of the table. This is not updated on modifications; use {@link Table#toString} to get the modified text.
+     * @type {string}
+     */
+    this.text = text;
+
+    /**
+     * The nestlevel of the table (0 if not nested in other tables)
+     * @type {number}
+     */
+    this.nestlevel = nestlevel;
+
+    /**
+     * Indexes of the table in the input string. The end index is 'characters up to or not including', so the table can be
+     * extracted from the input string by "input.slice(index.start, index.end)".
+     * @type {{start: number, end: number}}
+     */
+    this.index = index;
+
+};
+
+Table.prototype = {
+
+    /**
+     * Get the text of the table, reflecting modifications made to it.
+     * @returns {string}
+     */
+    toString: function() {
+
+        var out = '{|';
+        if (JSON.stringify(this.attributes) === this._open.attributes) {
+            out += this._open.attrRaw;
+        } else if (Object.keys(this.attributes).length !== 0) {
+            out += ' ' + WPLib.prototype.stringifyAttributes(this.attributes);
+        }
+        out += this._open.rest;
+
+        // Elements other than inline cells must start at the beginning of a line
+        var appendLine = function(str) {
+            if (str && !/\n$/.test(out)) out += '\n';
+            out += str;
+        };
+
+        if (this.caption) appendLine(this.caption._toString(null));
+        this.rows.forEach(function(row, i) {
+            appendLine(row._toString(i === 0));
+            row.cells.forEach(function(cell, j, cells) {
+                out += cell._toString(/\n$/.test(out) ? null : cells[j - 1].type);
+            });
+        });
+        appendLine(this._close);
+
+        return out;
+
+    },
+
+    /**
+     * Set or remove the caption of the table.
+     * @param {string|null} content The content of the caption, or null to remove the caption
+     * @param {Object.<string, string>} [attributes]
+     * @returns {TableCell|null} The caption
+     */
+    setCaption: function(content, attributes) {
+        if (content === null) {
+            this.caption = null;
+        } else if (this.caption) {
+            this.caption.content = String(content).trim();
+            if (attributes) this.caption.attributes = attributes;
+        } else {
+            this.caption = new TableCell('caption', String(content).trim(), attributes || {});
+        }
+        return this.caption;
+    },
+
+    /**
+     * Add a row to the table.
+     * @param {Object.<string, string>} [attributes]
+     * @param {number} [position] The index in the rows array at which the row is inserted. The row is added to the end by default.
+     * @returns {TableRow} The added row
+     */
+    addRow: function(attributes, position) {
+        var row = new TableRow(attributes || {});
+        this.rows.splice(typeof position === 'number' ? position : this.rows.length, 0, row);
+        return row;
+    },
+
+    /**
+     * Remove a row from the table.
+     * @param {number} position The index of the row in the rows array
+     * @returns {TableRow|null} The removed row, or null if there's no row at the position
+     */
+    removeRow: function(position) {
+        return this.rows.splice(position, 1)[0] || null;
+    },
+
+    /**
+     * Get the cells of the table as a two-dimensional array, in which cells spanning multiple rows or columns (by rowspan and colspan) occupy
+     * all the positions they cover.
+     * @returns {Array<Array<TableCell|null>>} Positions not covered by any cell are null.
+     */
+    getGrid: function() {
+        var grid = this.rows.map(function() { return []; });
+        this.rows.forEach(function(row, r) {
+            var c = 0;
+            row.cells.forEach(function(cell) {
+                while (grid[r][c]) c++;
+                for (var dr = 0; dr < cell.rowspan && r + dr < grid.length; dr++) {
+                    for (var dc = 0; dc < cell.colspan; dc++) {
+                        grid[r + dr][c + dc] = cell;
+                    }
+                }
+                c += cell.colspan;
+            });
+        });
+        var width = Math.max.apply(null, [0].concat(grid.map(function(arr) { return arr.length; })));
+        return grid.map(function(arr) {
+            for (var i = 0; i < width; i++) {
+                if (!arr[i]) arr[i] = null;
+            }
+            return arr;
+        });
+    },
+
+    /**
+     * Replace the table in the wikitext it was parsed from with the modified table. See {@link Template#replaceIn} for details; note that
+     * tables nested in this table are part of the content of its cells.
+     * @param {string} wikitext The wikitext the table was parsed from
+     * @returns {string|null} Null if the table isn't found at its original position in the wikitext
+     */
+    replaceIn: function(wikitext) {
+        if (wikitext.slice(this.index.start, this.index.end) !== this._source) {
+            console.error('replaceIn: The table is not found at its original position in the wikitext.');
+            return null;
+        }
+        var text = this.toString();
+        var replaced = wikitext.slice(0, this.index.start) + text + wikitext.slice(this.index.end);
+        this._source = text;
+        this.index = {
+            start: this.index.start,
+            end: this.index.start + text.length
+        };
+        return replaced;
+    }
+
+};
+
+/**
+ * A row of a wikitable.
+ * @constructor
+ * @param {Object.<string, string>} attributes 
+ */
+var TableRow = function(attributes) {
+
+    /**
+     * The attributes of the row (those on the '|-' line)
+     * @type {Object.<string, string>}
+     */
+    this.attributes = attributes;
+
+    /**
+     * The cells of the row. Cells can be added and removed by {@link TableRow#addCell} and {@link TableRow#removeCell}, or by modifying the
+     * array itself.
+     * @type {Array<TableCell>}
+     */
+    this.cells = [];
+
+    /**
+     * Indexes of the row in the input string, or null if the row has been added after parsing
+     * @type {{start: number, end: number}|null}
+     */
+    this.index = null;
+
+    /**
+     * @private
+     */
+    this._source = null;
+
+};
+
+TableRow.prototype = {
+
+    /**
+     * Add a cell to the row.
+     * @param {string} content 
+     * @param {string} [type] 'data' (default) or 'header'
+     * @param {Object.<string, string>} [attributes]
+     * @param {number} [position] The index in the cells array at which the cell is inserted. The cell is added to the end by default.
+     * @returns {TableCell} The added cell
+     */
+    addCell: function(content, type, attributes, position) {
+        var cell = new TableCell(type === 'header' ? 'header' : 'data', String(content).trim(), attributes || {});
+        this.cells.splice(typeof position === 'number' ? position : this.cells.length, 0, cell);
+        return cell;
+    },
+
+    /**
+     * Remove a cell from the row.
+     * @param {number} position The index of the cell in the cells array
+     * @returns {TableCell|null} The removed cell, or null if there's no cell at the position
+     */
+    removeCell: function(position) {
+        return this.cells.splice(position, 1)[0] || null;
+    },
+
+    /**
+     * Get the text of the '|-' line of the row (and lines that follow it before the first cell).
+     * @private
+     * @param {boolean} first Whether the row is the first one in the table, which can be implicit
+     * @returns {string}
+     */
+    _toString: function(first) {
+        var src = this._source;
+        var hasAttributes = Object.keys(this.attributes).length !== 0;
+        var attributes = hasAttributes ? ' ' + WPLib.prototype.stringifyAttributes(this.attributes) : '';
+        if (!src) {
+            return '|-' + attributes + '\n';
+        } else if (!src.sep) { // Implicit row
+            return first && !hasAttributes ? '' : '|-' + attributes + '\n';
+        } else if (JSON.stringify(this.attributes) === src.attributes) {
+            return src.raw;
+        } else {
+            return src.sep + attributes + src.rest;
+        }
+    }
+
+};
+
+/**
+ * A cell (or the caption) of a wikitable.
+ * @constructor
+ * @param {string} type 'header', 'data' or 'caption'
+ * @param {string} content 
+ * @param {Object.<string, string>} attributes 
+ */
+var TableCell = function(type, content, attributes) {
+
+    /**
+     * 'header' (a cell starting with '!'), 'data' (a cell starting with '|') or 'caption'
+     * @type {string}
+     */
+    this.type = type;
+
+    /**
+     * The content of the cell, without the attributes and the whitespace around it
+     * @type {string}
+     */
+    this.content = content;
+
+    /**
+     * The attributes of the cell (e.g. {rowspan: '2'})
+     * @type {Object.<string, string>}
+     */
+    this.attributes = attributes;
+
+    /**
+     * Tables nested in the cell
+     * @type {Array<Table>}
+     */
+    this.tables = [];
+
+    /**
+     * Indexes of the cell in the input string, or null if the cell has been added after parsing
+     * @type {{start: number, end: number}|null}
+     */
+    this.index = null;
+
+    /**
+     * @private
+     */
+    this._source = null;
+
+};
+
+TableCell.prototype = {
+
+    /**
+     * The number of rows the cell spans (1 if the rowspan attribute is missing or invalid)
+     * @type {number}
+     */
+    get rowspan() {
+        var span = parseInt(this.attributes.rowspan, 10);
+        return span > 0 ? span : 1;
+    },
+
+    /**
+     * The number of columns the cell spans (1 if the colspan attribute is missing or invalid)
+     * @type {number}
+     */
+    get colspan() {
+        var span = parseInt(this.attributes.colspan, 10);
+        return span > 0 ? span : 1;
+    },
+
+    /**
+     * @private
+     * @returns {string}
+     */
+    _snapshot: function() {
+        return JSON.stringify([this.type, this.content, this.attributes]);
+    },
+
+    /**
+     * Get the text of the cell.
+     * @private
+     * @param {string|null} prevType The type of the previous cell in the same line, or null if the cell starts at the beginning of a line
+     * @returns {string}
+     */
+    _toString: function(prevType) {
+
+        var src = this._source;
+        var marker = {header: '!', data: '|', caption: '|+'}[this.type];
+        var sep;
+        if (this.type === 'caption') {
+            sep = src ? src.sep : marker;
+        } else if (prevType === null) {
+            sep = src && src.sep.trim() === marker ? src.sep : marker;
+        } else if (src && src.sep.trim().length === 2 && prevType === this.type) { // Can be inline only after a cell of the same type
+            sep = marker + marker;
+        } else {
+            sep = '\n' + marker;
+        }
+        if (src && sep === src.sep && this._snapshot() === src.snapshot) {
+            return src.raw;
+        }
+
+        var attributes = '';
+        if (src && JSON.stringify(this.attributes) === src.attributes && src.attrRaw !== null) {
+            attributes = src.attrRaw + '|';
+        } else if (Object.keys(this.attributes).length !== 0) {
+            attributes = ' ' + WPLib.prototype.stringifyAttributes(this.attributes) + ' |';
+        }
+        return sep + attributes + (src ? src.lead : ' ') + this.content + (src ? src.trail : '\n');
+
+    }
+
+};
+
+WPLib.Table = Table;
+
+// ============================================== TITLE ==============================================
+
+/**
+ * A page title, created by {@link WPLib#newTitle}. The title is interpreted with the namespace table of the {@link WPLib} instance that
+ * created it, and hence no API request is made. Titles are immutable: methods that convert a title return a new object.
+ * @constructor
+ * @param {{namespace: number, main: string, fragment: string|null, interwiki: string|null}} parsed The return value of WPLib#_parseTitle
+ * @param {WPLib} lib
+ */
+var Title = function(parsed, lib) {
+
+    /** @private */
+    this._namespace = parsed.namespace;
+    /** @private */
+    this._main = parsed.main;
+    /** @private */
+    this._fragment = parsed.fragment;
+    /** @private */
+    this._interwiki = parsed.interwiki;
+
+    Object.defineProperty(this, '_lib', {
+        value: lib,
+        writable: false,
+        configurable: true,
+        enumerable: false
+    });
+
+};
+
+Title.prototype = {
+
+    /**
+     * Get the prefixed title, e.g. '利用者:Foo' for 'User:foo#Bar'.
+     * @returns {string}
+     */
+    toString: function() {
+        return this.getPrefixedText();
+    },
+
+    /**
+     * Get the namespace number of the title. This is always 0 for interwiki titles.
+     * @returns {number}
+     */
+    getNamespaceId: function() {
+        return this._namespace;
+    },
+
+    /**
+     * Get the local name of the namespace followed by a colon, e.g. '利用者:' for 'User:Foo', or an empty string for the main namespace.
+     * @returns {string}
+     */
+    getNamespacePrefix: function() {
+        var name = this._lib.namespaces[this._namespace].name;
+        return name ? name + ':' : '';
+    },
+
+    /**
+     * Get the title without the namespace prefix, in which spaces are replaced with underscores, e.g. 'Foo_bar' for 'User:Foo bar'.
+     * @returns {string}
+     */
+    getMain: function() {
+        return this._main.replace(/ /g, '_');
+    },
+
+    /**
+     * Get the title without the namespace prefix, e.g. 'Foo bar' for 'User:Foo_bar'.
+     * @returns {string}
+     */
+    getMainText: function() {
+        return this._main;
+    },
+
+    /**
+     * Get the prefixed title, in which spaces are replaced with underscores, e.g. '利用者:Foo_bar' for 'User:Foo bar'.
+     * @returns {string}
+     */
+    getPrefixedDb: function() {
+        return this.getPrefixedText().replace(/ /g, '_');
+    },
+
+    /**
+     * Get the prefixed title, e.g. '利用者:Foo bar' for 'User:Foo_bar'. Interwiki titles are prefixed with the interwiki prefix, e.g.
+     * 'en:Foo' for 'EN:Foo'.
+     * @returns {string}
+     */
+    getPrefixedText: function() {
+        if (this._interwiki) return this._interwiki + ':' + this._main;
+        return this.getNamespacePrefix() + this._main;
+    },
+
+    /**
+     * Get the fragment (i.e. the part after '#') of the title.
+     * @returns {string|null} Null if the title has no fragment
+     */
+    getFragment: function() {
+        return this._fragment;
+    },
+
+    /**
+     * Get the interwiki prefix of the title in lowercase, e.g. 'en' for 'EN:Foo'.
+     * @returns {string|null} Null if the title isn't an interwiki title
+     */
+    getInterwiki: function() {
+        return this._interwiki;
+    },
+
+    /**
+     * Get the pseudo-namespace of the title, e.g. 'LTA' for 'LTA:ARAD'. Pseudo-namespaces are looked up in {@link WPLib#pseudoNamespaces},
+     * and are case-sensitive.
+     * @returns {string|null} Null if the title isn't in any pseudo-namespace
+     */
+    getPseudoNamespace: function() {
+        if (this._interwiki || this._namespace !== 0) return null;
+        var matched = this._main.match(/^([^:]+):/);
+        return matched && this._lib.pseudoNamespaces.indexOf(matched[1]) !== -1 ? matched[1] : null;
+    },
+
+    /**
+     * Check whether the title is in a talk namespace.
+     * @returns {boolean}
+     */
+    isTalkPage: function() {
+        return !this._interwiki && this._namespace > 0 && this._namespace % 2 === 1;
+    },
+
+    /**
+     * Check whether the title has an associated talk page (e.g. false for special pages).
+     * @returns {boolean}
+     */
+    canHaveTalkPage: function() {
+        return !this._interwiki && this._namespace >= 0;
+    },
+
+    /**
+     * Get the talk page of the title. If the title is already a talk page, a copy of the title is returned. The fragment is not inherited.
+     * @returns {Title|null} Null if the title can't have a talk page
+     */
+    getTalkPage: function() {
+        if (!this.canHaveTalkPage()) return null;
+        return this._convertNamespace(this.isTalkPage() ? this._namespace : this._namespace + 1);
+    },
+
+    /**
+     * Get the subject page of the title. If the title is already a subject page, a copy of the title is returned. The fragment is not
+     * inherited.
+     * @returns {Title|null} Null if the title can't have a talk page
+     */
+    getSubjectPage: function() {
+        if (!this.canHaveTalkPage()) return null;
+        return this._convertNamespace(this.isTalkPage() ? this._namespace - 1 : this._namespace);
+    },
+
+    /**
+     * Check whether the title is a subpage. This is always false in namespaces where subpages are disabled (e.g. the main namespace).
+     * @returns {boolean}
+     */
+    isSubpage: function() {
+        return !this._interwiki && this._lib.namespaces[this._namespace].subpages && this._main.indexOf('/') !== -1;
+    },
+
+    /**
+     * Get the title of the root page without the namespace prefix, e.g. 'Foo' for 'User:Foo/Bar/Baz'. This is the same as
+     * {@link Title#getMainText} if the title isn't a subpage.
+     * @returns {string}
+     */
+    getRootText: function() {
+        return this.isSubpage() ? this._main.slice(0, this._main.indexOf('/')) : this._main;
+    },
+
+    /**
+     * Get the title of the parent page without the namespace prefix, e.g. 'Foo/Bar' for 'User:Foo/Bar/Baz'. This is the same as
+     * {@link Title#getMainText} if the title isn't a subpage.
+     * @returns {string}
+     */
+    getBaseText: function() {
+        return this.isSubpage() ? this._main.slice(0, this._main.lastIndexOf('/')) : this._main;
+    },
+
+    /**
+     * Get the last part of the title, e.g. 'Baz' for 'User:Foo/Bar/Baz'. This is the same as {@link Title#getMainText} if the title isn't
+     * a subpage.
+     * @returns {string}
+     */
+    getSubpageText: function() {
+        return this.isSubpage() ? this._main.slice(this._main.lastIndexOf('/') + 1) : this._main;
+    },
+
+    /**
+     * Check whether the title refers to the same page as another title. Fragments are ignored.
+     * @param {Title|string} title 
+     * @returns {boolean}
+     */
+    equals: function(title) {
+        if (typeof title === 'string') title = this._lib.newTitle(title);
+        return title instanceof Title && title.getPrefixedText() === this.getPrefixedText();
+    },
+
+    /**
+     * Create a title with the same page name in another namespace.
+     * @private
+     * @param {number} namespace 
+     * @returns {Title|null} Null if the namespace doesn't exist
+     */
+    _convertNamespace: function(namespace) {
+        var ns = this._lib.namespaces[namespace];
+        if (!ns) return null;
+        var main = this._main;
+        if (ns.case === 'first-letter') main = this._lib._capitalizeFirstLetter(main);
+        return new Title({namespace: namespace, main: main, fragment: null, interwiki: null}, this._lib);
+    }
+
+};
+
+WPLib.Title = Title;
+
+// ============================================== ARCHIVER ==============================================
+
+/**
+ * An archiver of a talk page or a noticeboard. Threads (sections) whose latest signatures are older than a given number of days, or that have
+ * a 'resolved' template, are moved to archive pages. Pages are read and saved through an adapter, which can be replaced with one that works on
+ * an in-memory fake wiki, e.g.:
+ * ```
+ * var pages = {'Wikipedia:Foo': '...'};
+ * var adapter = {
+ *     read: function(title) { return $.Deferred().resolve(title in pages ? {content: pages[title], basetimestamp: '', curtimestamp: ''} : false); },
+ *     save: function(title, content) { pages[title] = content; return $.Deferred().resolve(); }
+ * };
+ * ```
+ * @constructor
+ * @param {WPLib} lib 
+ * @param {ArchiverOptions} options 
+ * @typedef ArchiverOptions
+ * @type {object}
+ * @property {string} page The page to archive
+ * @property {string} archive The title of archive pages, relative to the page if it starts with a slash (e.g. '/過去ログ%(counter)d' and
+ * '/%(year)d年%(month)02d月'). '%(counter)d', '%(year)d', '%(month)d' and '%(day)d' are replaced with the counter and the date of the latest
+ * signature of each thread; a number between '%(...)' and 'd' pads the value with zeros to that width.
+ * @property {number} [age] Threads whose latest signatures are older than this number of days are archived (7 by default). Threads without
+ * signatures are never archived for their age.
+ * @property {Array<string>} [resolvedTemplates] Names of templates that mark a thread as resolved (\['解決済み'\] by default). Resolved threads
+ * are archived regardless of their age.
+ * @property {number} [level] The level of headings that start threads (2 by default)
+ * @property {number} [minThreadsLeft] The number of threads to leave on the page at least (0 by default). Older threads are archived first.
+ * @property {number} [counter] The first value of '%(counter)d' to try (1 by default)
+ * @property {number} [maxArchiveSize] The maximum size of an archive page in bytes (unlimited by default). If adding a thread would make an
+ * archive page bigger than this, the counter is incremented. This only makes sense when the title has '%(counter)d'.
+ * @property {string} [header] Text to put at the top of new archive pages (e.g. '{{過去ログ}}'). Empty by default.
+ * @property {string} [pageSummary] Edit summary for the page, in which '%(count)d' and '%(archives)s' are replaced
+ * @property {string} [archiveSummary] Edit summary for archive pages, in which '%(count)d' and '%(page)s' are replaced
+ * @property {Date} [now] The current time (the time when the archiver is run by default)
+ * @property {ArchiverAdapter} [adapter] Functions to read and save pages. By default, {@link WPLib#read} and the edit API (with the
+ * timestamp of the revision read, so that edit conflicts are detected) are used.
+ * @typedef ArchiverAdapter
+ * @type {object}
+ * @property {function(string): JQueryPromise<ReadResponse|false|undefined>} read Same as {@link WPLib#read}
+ * @property {function(string, string, string, string=): JQueryPromise<any>} save Receives the title, the content, the edit summary and the
+ * timestamp of the revision that the content is based on (undefined for a new page), and rejects on failure.
+ */
+var Archiver = function(lib, options) {
+
+    /** @private */
+    this.lib = lib;
+    /** @type {ArchiverOptions} */
+    this.options = lib.merge({
+        age: 7,
+        resolvedTemplates: ['解決済み'],
+        level: 2,
+        minThreadsLeft: 0,
+        counter: 1,
+        maxArchiveSize: Infinity,
+        header: '',
+        pageSummary: '%(count)d件の節を%(archives)sへ過去ログ化',
+        archiveSummary: '[[%(page)s]]から%(count)d件の節を過去ログ化',
+        now: null,
+        adapter: null
+    }, options || {});
+
+    /** @type {ArchiverAdapter} */
+    this.adapter = this.options.adapter || {
+        read: function(title) {
+            return lib.read(title);
+        },
+        save: function(title, content, summary, basetimestamp) {
+            return lib.postWithToken('csrf', {
+                action: 'edit',
+                title: title,
+                text: content,
+                summary: summary,
+                basetimestamp: basetimestamp,
+                createonly: basetimestamp ? undefined : true,
+                nocreate: basetimestamp ? true : undefined,
+                formatversion: '2'
+            });
+        }
+    };
+
+};
+
+Archiver.prototype = {
+
+    /**
+     * Find threads to archive and work out the new contents of the page and the archive pages, without saving anything.
+     * @returns {JQueryPromise<ArchivePlan>} Rejects with an error code ('readerror' or 'missingpage') and the title of the page
+     * @typedef ArchivePlan
+     * @type {object}
+     * @property {string} page The page to archive
+     * @property {Array<ArchivedThread>} threads Threads to archive, in the order of appearance
+     * @property {Array<ArchivePage>} archives Archive pages to save
+     * @property {string} content The new content of the page
+     * @property {string} basetimestamp The timestamp of the revision of the page that the plan is based on
+     * @property {string} report A human-readable summary of the plan
+     * @typedef ArchivedThread
+     * @type {object}
+     * @property {string} title The title of the section
+     * @property {Date|null} latest The latest timestamp in the thread
+     * @property {string} reason 'age' or 'resolved'
+     * @property {string} archive The title of the archive page that the thread goes to
+     * @typedef ArchivePage
+     * @type {object}
+     * @property {string} title 
+     * @property {boolean} exists Whether the page exists
+     * @property {string} content The new content of the page
+     * @property {number} size The new size of the page in bytes
+     * @property {number} count The number of threads added to the page
+     * @property {string} [basetimestamp] The timestamp of the current revision, if the page exists
+     */
+    plan: function() {
+
+        var self = this;
+        var lib = this.lib;
+        var options = this.options;
+        var def = $.Deferred();
+
+        this._read(options.page).then(function(page) {
+
+            if (!page) return def.reject('missingpage', options.page);
+
+            var threads = self._selectThreads(page.content);
+            var archives = {};
+            var archiveTitles = [];
+            var counter = options.counter;
+
+            // Assign archive pages to the threads one by one, reading the archive pages when they're first needed
+            var assign = function(i) {
+                if (i === threads.length) return $.Deferred().resolve().promise();
+                var thread = threads[i];
+                var title = self._getArchiveTitle(thread.latest, counter);
+                var archive = archives[title];
+                var loaded = archive ? $.Deferred().resolve().promise() : self._read(title).then(function(res) {
+                    archive = archives[title] = {
+                        title: title,
+                        exists: !!res,
+                        content: res ? res.content : options.header,
+                        basetimestamp: res ? res.basetimestamp : undefined,
+                        count: 0
+                    };
+                    archiveTitles.push(title);
+                });
+                return loaded.then(function() {
+                    var content = archive.content.replace(/\s+$/, '') + (archive.content.trim() ? '\n\n' : '') + thread.section.text.trim();
+                    var isCounterTitle = /%\(counter\)\d*d/.test(options.archive);
+                    // Move on to the next archive page if this one gets too big, unless it would be empty otherwise
+                    if (isCounterTitle && lib._getByteLength(content) > options.maxArchiveSize && (archive.exists || archive.count > 0)) {
+                        counter++;
+                        return assign(i);
+                    }
+                    archive.content = content;
+                    archive.count++;
+                    thread.archive = title;
+                    return assign(i + 1);
+                });
+            };
+
+            assign(0).then(function() {
+                var content = lib._applyEdits(page.content, threads.map(function(thread) {
+                    return {index: thread.section.index, text: ''};
+                }));
+                var plan = {
+                    page: options.page,
+                    threads: threads.map(function(thread) {
+                        return {
+                            title: thread.section.title,
+                            latest: thread.latest,
+                            reason: thread.reason,
+                            archive: thread.archive
+                        };
+                    }),
+                    // Archive pages that were read but got no threads (e.g. ones that turned out to be full) aren't saved
+                    archives: archiveTitles.filter(function(title) {
+                        return archives[title].count !== 0;
+                    }).map(function(title) {
+                        var archive = archives[title];
+                        archive.content = archive.content.trim() + '\n';
+                        archive.size = lib._getByteLength(archive.content);
+                        return archive;
+                    }),
+                    content: content,
+                    basetimestamp: page.basetimestamp,
+                    report: ''
+                };
+                plan.report = self._createReport(plan);
+                def.resolve(plan);
+            }, function(code, title) {
+                def.reject(code, title);
+            });
+
+        }, function(code, title) {
+            def.reject(code, title);
+        });
+
+        return def.promise();
+
+    },
+
+    /**
+     * Archive threads. The archive pages are saved first, and then the page.
+     * @param {boolean} [dryRun] If true, only create a plan (the same as {@link Archiver#plan})
+     * @returns {JQueryPromise<ArchivePlan>} Rejects with an error code ('readerror', 'missingpage' or 'saveerror'), the title of the page
+     * in question, and the error from the adapter (for 'saveerror')
+     */
+    run: function(dryRun) {
+
+        var self = this;
+        var def = $.Deferred();
+
+        this.plan().then(function(plan) {
+            if (dryRun || plan.threads.length === 0) return def.resolve(plan);
+            var save = function(i) {
+                if (i < plan.archives.length) {
+                    var archive = plan.archives[i];
+                    var archiveSummary = self._format(self.options.archiveSummary, {count: archive.count, page: plan.page});
+                    return self._save(archive.title, archive.content, archiveSummary, archive.basetimestamp).then(function() {
+                        return save(i + 1);
+                    });
+                }
+                var pageSummary = self._format(self.options.pageSummary, {
+                    count: plan.threads.length,
+                    archives: plan.archives.map(function(archive) { return '[[' + archive.title + ']]'; }).join('、')
+                });
+                return self._save(plan.page, plan.content, pageSummary, plan.basetimestamp);
+            };
+            save(0).then(function() {
+                def.resolve(plan);
+            }, function(code, title, err) {
+                def.reject(code, title, err);
+            });
+        }, function(code, title) {
+            def.reject(code, title);
+        });
+
+        return def.promise();
+
+    },
+
+    /**
+     * Find threads to archive.
+     * @private
+     * @param {string} content 
+     * @returns {Array<{section: Section, latest: Date|null, reason: string, archive: string}>} In the order of appearance
+     */
+    _selectThreads: function(content) {
+
+        var lib = this.lib;
+        var options = this.options;
+        var now = options.now || new Date();
+        var threshold = now.getTime() - options.age * 24 * 60 * 60 * 1000;
+        var resolvedTemplates = options.resolvedTemplates.map(function(name) {
+            return lib._classifyTemplateName(name).name;
+        });
+
+        var threads = lib.parseThreads(content).filter(function(thread) {
+            return thread.section.level === options.level;
+        });
+        var candidates = threads
+            .map(function(thread) {
+                var resolved = lib.parseTemplates(thread.section.text, {
+                    namePredicate: function(name) { return resolvedTemplates.indexOf(name) !== -1; }
+                }).length !== 0;
+                var reason = resolved ? 'resolved' : thread.latest && thread.latest.getTime() < threshold ? 'age' : null;
+                return {section: thread.section, latest: thread.latest, reason: reason, archive: ''};
+            })
+            .filter(function(thread) {
+                return thread.reason !== null;
+            });
+
+        // Keep the newest threads on the page if too few would be left
+        var maxCount = Math.max(threads.length - options.minThreadsLeft, 0);
+        if (candidates.length > maxCount) {
+            var byAge = candidates.slice().sort(function(thread1, thread2) {
+                return (thread1.latest ? thread1.latest.getTime() : -Infinity) - (thread2.latest ? thread2.latest.getTime() : -Infinity);
+            });
+            var kept = byAge.slice(maxCount);
+            candidates = candidates.filter(function(thread) { return kept.indexOf(thread) === -1; });
+        }
+        return candidates;
+
+    },
+
+    /**
+     * Get the title of the archive page for a thread.
+     * @private
+     * @param {Date|null} date The latest timestamp of the thread (the current time is used if null)
+     * @param {number} counter 
+     * @returns {string}
+     */
+    _getArchiveTitle: function(date, counter) {
+        date = date || this.options.now || new Date();
+        var values = {
+            counter: counter,
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate()
+        };
+        var title = this.options.archive.replace(/%\((counter|year|month|day)\)(\d*)d/g, function(_, key, width) {
+            var value = String(values[key]);
+            while (value.length < (+width || 0)) value = '0' + value;
+            return value;
+        });
+        return title.charAt(0) === '/' ? this.options.page + title : title;
+    },
+
+    /**
+     * Replace '%(key)d' and '%(key)s' in a string.
+     * @private
+     * @param {string} str 
+     * @param {Object.<string, string|number>} values 
+     * @returns {string}
+     */
+    _format: function(str, values) {
+        return str.replace(/%\((\w+)\)[ds]/g, function(all, key) {
+            return Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : all;
+        });
+    },
+
+    /**
+     * Create a human-readable summary of a plan.
+     * @private
+     * @param {ArchivePlan} plan 
+     * @returns {string}
+     */
+    _createReport: function(plan) {
+        if (plan.threads.length === 0) return '[[' + plan.page + ']]: 過去ログ化する節はありません。';
+        return ['[[' + plan.page + ']]: ' + plan.threads.length + '件の節を過去ログ化します。']
+            .concat(plan.threads.map(function(thread) {
+                var latest = thread.latest ? thread.latest.toISOString() : '署名なし';
+                return '* ' + thread.title + '（' + (thread.reason === 'resolved' ? '解決済み' : '最終更新 ' + latest) + '） → [[' + thread.archive + ']]';
+            }))
+            .concat(plan.archives.map(function(archive) {
+                return '* [[' + archive.title + ']]' + (archive.exists ? '' : '（新規作成）') + ': ' + archive.count + '件追加、' + archive.size + 'バイト';
+            }))
+            .join('\n');
+    },
+
+    /**
+     * Read a page through the adapter.
+     * @private
+     * @param {string} title 
+     * @returns {JQueryPromise<ReadResponse|false>} Rejects with 'readerror' and the title if the page can't be read
+     */
+    _read: function(title) {
+        var def = $.Deferred();
+        this.adapter.read(title).then(function(res) {
+            if (res === undefined) {
+                def.reject('readerror', title);
+            } else {
+                def.resolve(res);
+            }
+        }, function() {
+            def.reject('readerror', title);
+        });
+        return def.promise();
+    },
+
+    /**
+     * Save a page through the adapter.
+     * @private
+     * @param {string} title 
+     * @param {string} content 
+     * @param {string} summary 
+     * @param {string} [basetimestamp] 
+     * @returns {JQueryPromise<void>} Rejects with 'saveerror', the title and the error from the adapter
+     */
+    _save: function(title, content, summary, basetimestamp) {
+        var def = $.Deferred();
+        this.adapter.save(title, content, summary, basetimestamp).then(function() {
+            def.resolve();
+        }, function(err) {
+            def.reject('saveerror', title, err);
+        });
+        return def.promise();
+    }
+
+};
+
+WPLib.Archiver = Archiver;
+
+// ============================================== API ERROR ==============================================
+
+/**
+ * An error of an API request, which {@link AsyncApi} methods reject with. This is created from the arguments that the Deferred methods
+ * of {@link WPLib} are rejected with.
+ * @constructor
+ * @param {string} [code] The error code: an API error code, 'http' if the HTTP request failed, 'ok-but-empty', or a code specific to
+ * the method (e.g. 'invalidresponse')
+ * @param {any} [err] The API response for API errors, an object with the 'xhr', 'textStatus' and 'exception' properties for HTTP errors,
+ * or else a message
+ * @param {any} [result] The API response, if any
+ * @param {any} [jqXHR] 
+ */
+var ApiError = function(code, err, result, jqXHR) {
+
+    if (!result && err && (err.error || err.errors)) result = err;
+    if (!jqXHR && err && err.xhr) jqXHR = err.xhr;
+    var apiError = result && (result.error || result.errors && result.errors[0]) || null;
+
+    /** @type {string} */
+    this.code = code || 'unknown';
+    /**
+     * The description of the error.
+     * @type {string}
+     */
+    this.info = apiError ? String(apiError.info || apiError.text || apiError.html || apiError['*'] || '') :
+        typeof err === 'string' ? err :
+        err instanceof Error ? err.message :
+        err && (err.exception || err.textStatus) ? String(err.exception || err.textStatus) :
+        '';
+    /**
+     * Warnings in the API response, keyed by module names.
+     * @type {DynamicObject|null}
+     */
+    this.warnings = result && result.warnings || null;
+    /**
+     * The URL of the API help page.
+     * @type {string|null}
+     */
+    this.docref = apiError && apiError.docref || result && result.docref || null;
+    /**
+     * The HTTP status code (0 if the request didn't get a response), or null if unknown.
+     * @type {number|null}
+     */
+    this.status = jqXHR && typeof jqXHR.status === 'number' ? jqXHR.status : null;
+    /**
+     * The status of the request given by jQuery.ajax (e.g. 'timeout', 'abort'), for HTTP errors.
+     * @type {string|null}
+     */
+    this.textStatus = err && err.textStatus || null;
+    /**
+     * The API response, if any.
+     * @type {DynamicObject|null}
+     */
+    this.response = result && typeof result === 'object' ? result : null;
+    /** @type {string} */
+    this.message = this.code + (this.info ? ': ' + this.info : '');
+
+    /**
+     * The jqXHR object of the request, if any. This property is not enumerable, so that the error can be serialized by JSON.stringify.
+     * @name ApiError#xhr
+     * @type {any}
+     */
+    Object.defineProperty(this, 'xhr', {
+        value: jqXHR || null,
+        writable: true,
+        configurable: true,
+        enumerable: false
+    });
+
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, ApiError);
+    } else {
+        this.stack = new Error(this.message).stack;
+    }
+
+};
+
+ApiError.prototype = Object.create(Error.prototype);
+ApiError.prototype.constructor = ApiError;
+ApiError.prototype.name = 'ApiError';
+
+WPLib.ApiError = ApiError;
+
+// ============================================== ASYNC API ==============================================
+
+/**
+ * Native Promise versions of the asynchronous methods of {@link WPLib}, accessible as {@link WPLib#promises}. Unlike the Deferred
+ * methods, the methods reject with an {@link ApiError} whenever a request fails, including the methods that never reject in the
+ * Deferred versions.
+ * @constructor
+ * @param {WPLib} lib 
+ */
+var AsyncApi = function(lib) {
+    Object.defineProperty(this, '_lib', {
+        value: lib,
+        writable: false,
+        configurable: true,
+        enumerable: false
+    });
+};
+
+AsyncApi.prototype = {
+
+    /**
+     * Convert a Deferred of {@link WPLib} into a native Promise.
+     * @private
+     * @param {JQueryPromise<any>} deferred 
+     * @returns {Promise<any>} Resolved with the first argument that the Deferred is resolved with
+     */
+    _toPromise: function(deferred) {
+        return new Promise(function(resolve, reject) {
+            deferred.then(function(value) {
+                resolve(value);
+            }, function(code, err, result, jqXHR) {
+                reject(new ApiError(code, err, result, jqXHR));
+            });
+        });
+    },
+
+    /**
+     * Convert a Deferred of {@link WPLib} that is resolved with a {@link QueryStatus} object into a native Promise, which rejects if any
+     * request has failed. The ApiError has the results fetched so far in the 'partial' property and the QueryStatus object in the
+     * 'queryStatus' property.
+     * @private
+     * @param {JQueryPromise<any>} deferred 
+     * @returns {Promise<any>}
+     */
+    _toQueryPromise: function(deferred) {
+        return new Promise(function(resolve, reject) {
+            deferred.then(function(value, status) {
+                if (!status || status.errors.length === 0) return resolve(value);
+                var error = new ApiError(status.errors[0].code, status.errors[0].error);
+                error.partial = value;
+                error.queryStatus = status;
+                reject(error);
+            }, function(code, err, result, jqXHR) {
+                reject(new ApiError(code, err, result, jqXHR));
+            });
+        });
+    },
+
+    /**
+     * Send an AJAX request to the API (see {@link WPLib#ajax}).
+     * @param {object} parameters 
+     * @param {object} [ajaxOptions] 
+     * @returns {Promise<DynamicObject>}
+     */
+    ajax: function(parameters, ajaxOptions) {
+        return this._toPromise(this._lib.ajax(parameters, ajaxOptions));
+    },
+
+    /**
+     * Perform API get request (see {@link WPLib#get}).
+     * @param {object} parameters 
+     * @param {object} [ajaxOptions] 
+     * @returns {Promise<DynamicObject>}
+     */
+    get: function(parameters, ajaxOptions) {
+        return this._toPromise(this._lib.get(parameters, ajaxOptions));
+    },
+
+    /**
+     * Perform API post request (see {@link WPLib#post}).
+     * @param {object} parameters 
+     * @param {object} [ajaxOptions] 
+     * @returns {Promise<DynamicObject>}
+     */
+    post: function(parameters, ajaxOptions) {
+        return this._toPromise(this._lib.post(parameters, ajaxOptions));
+    },
+
+    /**
+     * Get the latest revision of a given page (see {@link WPLib#read}).
+     * @param {string|Title} pagename 
+     * @param {object} [ajaxOptions] 
+     * @returns {Promise<ReadResponse|false>} False if the page doesn't exist
+     */
+    read: function(pagename, ajaxOptions) {
+        return this._toPromise(this._lib._read(pagename, ajaxOptions));
+    },
+
+    /**
+     * Log in with a bot password (see {@link WPLib#login}).
+     * @param {string} username 
+     * @param {string} password 
+     * @returns {Promise<UserInfo>}
+     */
+    login: function(username, password) {
+        return this._toPromise(this._lib.login(username, password));
+    },
+
+    /**
+     * Get information about the current user (see {@link WPLib#getUserInfo}).
+     * @param {boolean} [refresh] 
+     * @returns {Promise<UserInfo>}
+     */
+    getUserInfo: function(refresh) {
+        return this._toPromise(this._lib.getUserInfo(refresh));
+    },
+
+    /**
+     * Get the revision of a given page that was the latest at a given time (see {@link WPLib#readAt}).
+     * @param {string|Title} pagename 
+     * @param {string|Date} timestamp 
+     * @param {object} [ajaxOptions] 
+     * @returns {Promise<ReadResponse|false>}
+     */
+    readAt: function(pagename, timestamp, ajaxOptions) {
+        return this._toPromise(this._lib.readAt(pagename, timestamp, ajaxOptions));
+    },
+
+    /**
+     * Read pages in bulk (see {@link WPLib#readMany}).
+     * @param {Array<string|number|Title>} inputs 
+     * @param {ReadManyOptions} [options] 
+     * @returns {Promise<Array<ReadManyRecord|null>>} Rejects if any batch fails, with the records (null for the failed inputs) in the
+     * 'partial' property of the ApiError.
+     */
+    readMany: function(inputs, options) {
+        return this._toQueryPromise(this._lib.readMany(inputs, options));
+    },
+
+    /**
+     * Get a token of a given type (see {@link WPLib#getToken}).
+     * @param {string} [type] 
+     * @param {boolean} [refresh] 
+     * @returns {Promise<string>}
+     */
+    getToken: function(type, refresh) {
+        return this._toPromise(this._lib.getToken(type, refresh));
+    },
+
+    /**
+     * Perform API post request with a token (see {@link WPLib#postWithToken}).
+     * @param {string} tokenType 
+     * @param {object} parameters 
+     * @param {object} [ajaxOptions] 
+     * @returns {Promise<DynamicObject>}
+     */
+    postWithToken: function(tokenType, parameters, ajaxOptions) {
+        return this._toPromise(this._lib.postWithToken(tokenType, parameters, ajaxOptions));
+    },
+
+    /**
+     * Edit a page (see {@link WPLib#edit}). The transform function can also return a native Promise.
+     * @param {string|Title} pagename 
+     * @param {function(ReadResponse|false): any} transform 
+     * @param {EditOptions} [options] 
+     * @returns {Promise<DynamicObject|null>}
+     */
+    edit: function(pagename, transform, options) {
+        return this._toPromise(this._lib.edit(pagename, transform, options));
+    },
+
+    /**
+     * Append text to a page (see {@link WPLib#appendText}).
+     * @param {string|Title} pagename 
+     * @param {string} text 
+     * @param {EditOptions} [options] 
+     * @returns {Promise<DynamicObject|null>}
+     */
+    appendText: function(pagename, text, options) {
+        return this._toPromise(this._lib.appendText(pagename, text, options));
+    },
+
+    /**
+     * Prepend text to a page (see {@link WPLib#prependText}).
+     * @param {string|Title} pagename 
+     * @param {string} text 
+     * @param {EditOptions} [options] 
+     * @returns {Promise<DynamicObject|null>}
+     */
+    prependText: function(pagename, text, options) {
+        return this._toPromise(this._lib.prependText(pagename, text, options));
+    },
+
+    /**
+     * Follow the redirect chain of a page (see {@link WPLib#resolveRedirect}).
+     * @param {string|Title} pagename 
+     * @param {object} [ajaxOptions] 
+     * @returns {Promise<RedirectChain>}
+     */
+    resolveRedirect: function(pagename, ajaxOptions) {
+        return this._toPromise(this._lib._resolveRedirect(pagename, ajaxOptions));
+    },
+
+    /**
+     * Send API request that automatically continues until the limit is reached (see {@link WPLib#continuedQuery}).
+     * @param {object} parameters 
+     * @param {number} [limit] 
+     * @param {object} [ajaxOptions] 
+     * @returns {Promise<Array<object>>} Rejects if any request fails, with the responses fetched so far in the 'partial' property of the
+     * ApiError. Note that this is resolved without the rest of the results if the query stops at the limit.
+     */
+    continuedQuery: function(parameters, limit, ajaxOptions) {
+        return this._toQueryPromise(this._lib.continuedQuery(parameters, limit, ajaxOptions));
+    },
+
+    /**
+     * Iterate over the items of a query that continues (see {@link WPLib#iterateQuery}).
+     * @param {object} parameters 
+     * @param {QueryIteratorOptions} [options] 
+     * @returns {QueryIterator}
+     */
+    iterateQuery: function(parameters, options) {
+        return this._lib.iterateQuery(parameters, options);
+    },
+
+    /**
+     * Send API requests involving a multi-value field all at once (see {@link WPLib#massQuery}).
+     * @param {object} params 
+     * @param {string|Array<string>} batchParam 
+     * @param {number} [batchLimit] 
+     * @param {object} [ajaxOptions] 
+     * @returns {Promise<Array<object>>} Rejects if any batch fails, with the results (undefined for failed batches) in the 'partial'
+     * property of the ApiError.
+     */
+    massQuery: function(params, batchParam, batchLimit, ajaxOptions) {
+        return this._toQueryPromise(this._lib.massQuery(params, batchParam, batchLimit, ajaxOptions));
+    },
+
+    /**
+     * Look up pages or users in bulk (see {@link WPLib#bulkLookup}). This doesn't reject for failed batches, whose inputs are listed in
+     * the 'failed' property of the result.
+     * @param {string} type 
+     * @param {Array<string|number|Title>} inputs 
+     * @param {object} [parameters] 
+     * @param {BulkLookupOptions} [options] 
+     * @returns {Promise<BulkLookupResult>}
+     */
+    bulkLookup: function(type, inputs, parameters, options) {
+        return this._toPromise(this._lib.bulkLookup(type, inputs, parameters, options));
+    },
+
+    /**
+     * Get the content of interface messages (see {@link WPLib#getMessages}).
+     * @param {string|Array<string>} names 
+     * @param {MessageOptions} [options] 
+     * @returns {Promise<Object.<string, string|null>>}
+     */
+    getMessages: function(names, options) {
+        return this._toPromise(this._lib.getMessages(names, options));
+    },
+
+    /**
+     * Get a dropdown message as a tree of groups and options (see {@link WPLib#getDropdown}).
+     * @param {string} messageName 
+     * @param {DropdownOptions} [options] 
+     * @returns {Promise<Array<DropdownGroup|DropdownOption>>}
+     */
+    getDropdown: function(messageName, options) {
+        return this._toPromise(this._lib.getDropdown(messageName, options));
+    },
+
+    /**
+     * Get bullet-points-notated interface in the MediaWiki namespace (see {@link WPLib#getInterface}).
+     * @param {string} interfaceName 
+     * @param {boolean} [createOptionTags] 
+     * @param {MessageOptions} [options] 
+     * @returns {Promise<string|Array<{index: number, caption: string}>>}
+     */
+    getInterface: function(interfaceName, createOptionTags, options) {
+        return this._toPromise(this._lib.getInterface(interfaceName, createOptionTags, options));
+    },
+
+    /**
+     * Get a list of VIPs (see {@link WPLib#getVipList}).
+     * @param {boolean} [wikiLinkFormat] 
+     * @param {CacheOptions} [options] 
+     * @returns {Promise<Array<string>>}
+     */
+    getVipList: function(wikiLinkFormat, options) {
+        return this._toPromise(this._lib._getVipList(wikiLinkFormat, options));
+    },
+
+    /**
+     * Get a list of LTAs (see {@link WPLib#getLtaList}).
+     * @param {boolean} [wikiLinkFormat] 
+     * @param {CacheOptions} [options] 
+     * @returns {Promise<Array<string>>} Rejects if any request fails, with the LTAs fetched so far in the 'partial' property of the ApiError.
+     */
+    getLtaList: function(wikiLinkFormat, options) {
+        return this._toQueryPromise(this._lib.getLtaList(wikiLinkFormat, options));
+    }
+
+};
+
+WPLib.AsyncApi = AsyncApi;
+
+// ============================================== QUERY ITERATOR ==============================================
+
+/**
+ * An async iterator over the items of a continued query, created by {@link WPLib#iterateQuery}. Items are yielded as the responses arrive,
+ * and the next request is sent only when the items fetched so far have been consumed. Pages that come back in several responses because of
+ * prop continuation (e.g. with prop=revisions|categories) are merged before being yielded: arrays (e.g. 'revisions') are concatenated and
+ * the other properties are copied.
+ * ```
+ * for await (var page of lib.iterateQuery({generator: 'categorymembers', gcmtitle: 'Category:Foo', prop: 'categories'}, {limit: 100})) {
+ *     console.log(page.title, page.categories);
+ * }
+ * ```
+ * @constructor
+ * @param {WPLib} lib 
+ * @param {object} parameters 
+ * @param {QueryIteratorOptions} [options] 
+ */
+var QueryIterator = function(lib, parameters, options) {
+
+    Object.defineProperty(this, '_lib', {
+        value: lib,
+        writable: false,
+        configurable: true,
+        enumerable: false
+    });
+
+    /** @private */
+    this._params = lib.merge({}, parameters || {});
+
+    /** @type {QueryIteratorOptions} */
+    this.options = lib.merge({
+        limit: Infinity,
+        until: null,
+        key: null,
+        method: 'GET',
+        ajaxOptions: null
+    }, options || {});
+
+    var list = Array.isArray(this._params.list) ? this._params.list.join('|') : this._params.list;
+    /**
+     * The key in res.query to get the items from.
+     * @type {string}
+     */
+    this.key = this.options.key || (typeof list === 'string' && list.indexOf('|') === -1 ? list : 'pages');
+
+    /**
+     * The number of requests sent so far.
+     * @type {number}
+     */
+    this.requests = 0;
+
+    /**
+     * The 'continue' object of the last response, or null if there are no more results. Note that this doesn't take account of the items
+     * that have been fetched but not yet yielded.
+     * @type {object|null}
+     */
+    this.continue = {};
+
+    /**
+     * How the given titles have been resolved, collected from res.query of the responses. Each of the arrays has objects with the 'from' and
+     * 'to' properties (and 'tofragment' for redirects, if any), and 'interwiki' has objects with the 'title' and 'iw' properties.
+     * @type {{normalized: Array<DynamicObject>, converted: Array<DynamicObject>, redirects: Array<DynamicObject>, interwiki: Array<DynamicObject>}}
+     */
+    this.titles = {
+        normalized: [],
+        converted: [],
+        redirects: [],
+        interwiki: []
+    };
+
+    /**
+     * The 'curtimestamp' of the first response (if the 'curtimestamp' parameter is specified), i.e. the time when the query started.
+     * @type {string|null}
+     */
+    this.curtimestamp = null;
+
+    /** @private */
+    this._buffer = [];
+    /** @private */
+    this._pages = [];
+    /** @private */
+    this._count = 0;
+    /** @private */
+    this._done = false;
+    /**
+     * @type {Promise<any>}
+     * @private
+     */
+    this._chain = Promise.resolve();
+
+};
+
+QueryIterator.prototype = {
+
+    /**
+     * Get the next item. If a request fails, the promise is rejected with an {@link ApiError}, and calling this method again sends the
+     * same request again.
+     * @returns {Promise<{value: any, done: boolean}>}
+     */
+    next: function() {
+        var self = this;
+        var next = function() {
+            return self._next();
+        };
+        // Calls are handled one at a time, in case the caller doesn't wait for the previous one
+        var ret = this._chain.then(next, next);
+        this._chain = ret;
+        return ret;
+    },
+
+    /**
+     * Stop the iteration. This is called when 'for await' loops are exited with 'break'.
+     * @returns {Promise<{value: undefined, done: boolean}>}
+     */
+    return: function() {
+        this._done = true;
+        this._buffer = [];
+        return Promise.resolve({value: undefined, done: true});
+    },
+
+    /**
+     * Get all the (remaining) items.
+     * @returns {Promise<Array<any>>}
+     */
+    toArray: function() {
+        var self = this;
+        var items = [];
+        var collect = function(result) {
+            if (result.done) return items;
+            items.push(result.value);
+            return self.next().then(collect);
+        };
+        return this.next().then(collect);
+    },
+
+    /**
+     * @private
+     * @returns {Promise<{value: any, done: boolean}>}
+     */
+    _next: function() {
+        var self = this;
+        // @ts-ignore limit is never undefined
+        if (this._done || this._count >= this.options.limit) {
+            return this.return();
+        }
+        if (this._buffer.length !== 0) {
+            var item = this._buffer.shift();
+            if (this.options.until && this.options.until(item)) {
+                return this.return();
+            }
+            this._count++;
+            return Promise.resolve({value: item, done: false});
+        }
+        if (this.continue === null) {
+            return this.return();
+        }
+        return this._fetch().then(function() {
+            return self._next();
+        });
+    },
+
+    /**
+     * Send the next request.
+     * @private
+     * @returns {Promise<void>}
+     */
+    _fetch: function() {
+        var self = this;
+        var lib = this._lib;
+        var params = lib.merge({}, this._params, this.continue);
+        return new Promise(function(resolve, reject) {
+            var ajaxOptions = lib.merge({}, self.options.ajaxOptions || {});
+            var request = self.options.method === 'POST' ? lib.post(params, ajaxOptions) : lib.get(params, ajaxOptions);
+            request.then(function(res) {
+                self.requests++;
+                self._addResponse(res);
+                resolve();
+            }, function(code, err, result, jqXHR) {
+                reject(new ApiError(code, err, result, jqXHR));
+            });
+        });
+    },
+
+    /**
+     * Take the items out of a response.
+     * @private
+     * @param {DynamicObject} res 
+     */
+    _addResponse: function(res) {
+        var self = this;
+        var query = res.query || {};
+        if (this.curtimestamp === null && res.curtimestamp) this.curtimestamp = res.curtimestamp;
+        Object.keys(this.titles).forEach(function(key) {
+            (query[key] || []).forEach(function(obj) {
+                // Continued responses have the same objects again
+                var known = self.titles[key].some(function(o) {
+                    return o.from === obj.from && o.title === obj.title;
+                });
+                if (!known) self.titles[key].push(obj);
+            });
+        });
+        if (this.key === 'pages') {
+            var pages = query.pages || [];
+            if (!Array.isArray(pages)) { // formatversion=1
+                pages = Object.keys(pages).map(function(key) {
+                    return pages[key];
+                });
+            }
+            pages.forEach(function(page) {
+                var same = self._pages.filter(function(p) {
+                    return page.pageid !== undefined ? p.pageid === page.pageid : p.title === page.title;
+                })[0];
+                if (same) {
+                    self._mergePage(same, page);
+                } else {
+                    self._pages.push(self._mergePage({}, page));
+                }
+            });
+            // The pages are complete when all the props for them have been fetched
+            if (res.batchcomplete !== undefined || !res.continue) {
+                this._buffer = this._buffer.concat(this._pages);
+                this._pages = [];
+            }
+        } else {
+            this._buffer = this._buffer.concat(query[this.key] || []);
+        }
+        this.continue = res.continue || null;
+    },
+
+    /**
+     * Merge page data from a continued response into a page.
+     * @private
+     * @param {DynamicObject} target 
+     * @param {DynamicObject} page 
+     * @returns {DynamicObject} The target
+     */
+    _mergePage: function(target, page) {
+        Object.keys(page).forEach(function(key) {
+            if (Array.isArray(target[key]) && Array.isArray(page[key])) {
+                target[key] = target[key].concat(page[key]);
+            } else if (Array.isArray(page[key])) {
+                target[key] = page[key].slice();
+            } else {
+                target[key] = page[key];
+            }
+        });
+        return target;
+    }
+
+};
+
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+    QueryIterator.prototype[Symbol.asyncIterator] = function() {
+        return this;
+    };
+}
+
+WPLib.QueryIterator = QueryIterator;
+
+// ============================================== TRANSPORT ==============================================
+
+/**
+ * How requests to the API are sent. {@link WPLib#ajax} passes the options for the request to the 'request' method, which returns a promise
+ * (either a Deferred or a native Promise) of a {@link TransportResponse}, or rejects with a {@link TransportError} if the request fails.
+ * @typedef Transport
+ * @type {object}
+ * @property {function(TransportOptions): (JQueryPromise<TransportResponse>|Promise<TransportResponse>)} request
+ * @typedef TransportOptions The options of jQuery.ajax, of which the following are always set
+ * @type {object}
+ * @property {string} url
+ * @property {string} type 'GET' or 'POST'
+ * @property {Object.<string, string>} data Parameters to the API
+ * @property {number} [timeout] In milliseconds
+ * @property {string} [dataType] 'json'
+ * @property {AbortSignal} [signal] The signal to abort the request with
+ * @typedef TransportResponse
+ * @type {object}
+ * @property {any} data The parsed response
+ * @property {XhrLike} xhr
+ * @typedef TransportError
+ * @type {object}
+ * @property {XhrLike} xhr
+ * @property {string} textStatus 'timeout', 'error', 'abort' or 'parsererror'
+ * @property {any} exception
+ * @typedef XhrLike An object that has at least the following properties of jqXHR
+ * @type {object}
+ * @property {number} status The HTTP status code, or 0 if there's no response
+ * @property {function(string): (string|null)} getResponseHeader
+ */
+
+/**
+ * A {@link Transport} that sends requests with jQuery.ajax, for gadgets and user scripts.
+ * @constructor
+ */
+var JQueryTransport = function() {};
+
+JQueryTransport.prototype = {
+
+    /**
+     * @param {TransportOptions} options 
+     * @returns {JQueryPromise<TransportResponse>}
+     */
+    request: function(options) {
+        var def = $.Deferred();
+        var signal = options.signal;
+        options = jQuery.extend({}, options);
+        delete options.signal;
+        var request = jQuery.ajax(options);
+        var onAbort = function() {
+            request.abort();
+        };
+        if (signal) {
+            if (signal.aborted) {
+                request.abort();
+            } else {
+                signal.addEventListener('abort', onAbort);
+                request.always(function() {
+                    signal.removeEventListener('abort', onAbort);
+                });
+            }
+        }
+        request.then(function(data, textStatus, jqXHR) {
+            def.resolve({
+                data: data,
+                xhr: jqXHR
+            });
+        }, function(jqXHR, textStatus, exception) {
+            def.reject({
+                xhr: jqXHR,
+                textStatus: textStatus,
+                exception: exception
+            });
+        });
+        return def.promise();
+    }
+
+};
+
+WPLib.JQueryTransport = JQueryTransport;
+
+/**
+ * A {@link Transport} that sends requests with the Fetch API, for bots running on Node.js (18 or later). Cookies that the API sets are
+ * kept in the instance and sent with later requests, so that the session (e.g. after {@link WPLib#login}) is retained.
+ * @constructor
+ * @param {FetchTransportOptions} [options]
+ * @typedef FetchTransportOptions
+ * @type {object}
+ * @property {string} [userAgent] The User-Agent header, which should identify the bot and its operator on Wikimedia projects
+ * @property {function(string, object): Promise<any>} [fetch] The fetch function to use (the global fetch by default)
+ */
+var FetchTransport = function(options) {
+
+    options = options || {};
+
+    /** @type {string|null} */
+    this.userAgent = options.userAgent || null;
+
+    /**
+     * @type {function(string, object): Promise<any>|null}
+     * @private
+     */
+    this._fetch = options.fetch || (typeof fetch !== 'undefined' ? fetch : null);
+
+    /**
+     * Cookies keyed by their names.
+     * @type {Object.<string, string>}
+     */
+    this.cookies = {};
+
+};
+
+FetchTransport.prototype = {
+
+    /**
+     * @param {TransportOptions} options 
+     * @returns {JQueryPromise<TransportResponse>}
+     */
+    request: function(options) {
+
+        var self = this;
+        var def = $.Deferred();
+        var noResponse = {
+            status: 0,
+            getResponseHeader: function() {
+                return null;
+            }
+        };
+        if (!this._fetch) {
+            return def.reject({xhr: noResponse, textStatus: 'error', exception: 'The Fetch API is not available.'}).promise();
+        }
+
+        var data = options.data || {};
+        var body = Object.keys(data).map(function(key) {
+            return encodeURIComponent(key) + '=' + encodeURIComponent(data[key]);
+        }).join('&');
+        var isPost = options.type === 'POST';
+        var url = isPost || !body ? options.url : options.url + (options.url.indexOf('?') === -1 ? '?' : '&') + body;
+
+        var headers = {};
+        if (isPost) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        if (this.userAgent) headers['User-Agent'] = this.userAgent;
+        var cookie = Object.keys(this.cookies).map(function(name) {
+            return name + '=' + self.cookies[name];
+        }).join('; ');
+        if (cookie) headers.Cookie = cookie;
+        Object.keys(options.headers || {}).forEach(function(name) {
+            headers[name] = options.headers[name];
+        });
+
+        var controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        var timedOut = false;
+        var timer = controller && options.timeout ? setTimeout(function() {
+            timedOut = true;
+            controller.abort();
+        }, options.timeout) : null;
+        var signal = options.signal;
+        var onAbort = function() {
+            if (controller) controller.abort();
+        };
+        if (controller && signal) {
+            if (signal.aborted) {
+                controller.abort();
+            } else {
+                signal.addEventListener('abort', onAbort);
+            }
+        }
+        var cleanUp = function() {
+            clearTimeout(timer);
+            if (controller && signal) signal.removeEventListener('abort', onAbort);
+        };
+
+        var response, xhr;
+        this._fetch(url, {
+            method: isPost ? 'POST' : 'GET',
+            headers: headers,
+            body: isPost ? body : undefined,
+            signal: controller ? controller.signal : undefined
+        }).then(function(res) {
+            response = res;
+            xhr = {
+                status: res.status,
+                statusText: res.statusText,
+                getResponseHeader: function(name) {
+                    return res.headers.get(name);
+                }
+            };
+            self._storeCookies(res.headers);
+            return res.text();
+        }).then(function(text) {
+            cleanUp();
+            xhr.responseText = text;
+            if (!response.ok) {
+                def.reject({xhr: xhr, textStatus: 'error', exception: response.statusText});
+                return;
+            }
+            var parsed = text;
+            if (options.dataType === 'json' && text !== '') {
+                try {
+                    parsed = JSON.parse(text);
+                } catch (err) {
+                    def.reject({xhr: xhr, textStatus: 'parsererror', exception: err});
+                    return;
+                }
+            }
+            def.resolve({data: parsed, xhr: xhr});
+        }, function(err) {
+            cleanUp();
+            def.reject({xhr: xhr || noResponse, textStatus: timedOut ? 'timeout' : err && err.name === 'AbortError' ? 'abort' : 'error', exception: err});
+        });
+
+        return def.promise();
+
+    },
+
+    /**
+     * Store the cookies in the Set-Cookie headers of a response.
+     * @private
+     * @param {any} headers The Headers object of the response
+     */
+    _storeCookies: function(headers) {
+        var setCookies;
+        if (typeof headers.getSetCookie === 'function') {
+            setCookies = headers.getSetCookie();
+        } else {
+            // Multiple headers are joined with commas, which can also appear in the 'Expires' attribute
+            setCookies = (headers.get('set-cookie') || '').split(/,(?=\s*[^;,=\s]+=)/);
+        }
+        var self = this;
+        setCookies.forEach(function(setCookie) {
+            var attributes = setCookie.split(';');
+            var pair = attributes.shift().match(/^\s*([^=]+?)\s*=\s*(.*?)\s*$/);
+            if (!pair) return;
+            var expired = attributes.some(function(attr) {
+                var m = attr.match(/^\s*(max-age|expires)\s*=\s*(.*?)\s*$/i);
+                if (!m) return false;
+                return m[1].toLowerCase() === 'max-age' ? parseInt(m[2], 10) <= 0 : Date.parse(m[2]) <= Date.now();
+            });
+            if (expired || pair[2] === 'deleted') {
+                delete self.cookies[pair[1]];
+            } else {
+                self.cookies[pair[1]] = pair[2];
+            }
+        });
+    }
+
+};
+
+WPLib.FetchTransport = FetchTransport;
+
+/**
+ * A {@link Transport} that returns scripted responses instead of sending requests, so that the asynchronous methods can be run without
+ * a wiki (e.g. with responses recorded from the API). Requests are matched against the routes in the order they were added, and the
+ * first match is used.
+ * ```
+ * var mock = new WPLib.MockTransport()
+ *     .once({action: 'query', meta: 'tokens'}, {error: {code: 'maxlag', info: 'Waiting'}})
+ *     .on({action: 'query', meta: 'tokens'}, {query: {tokens: {csrftoken: '+\\'}}})
+ *     .on(function(params) { return params.action === 'edit'; }, {status: 503});
+ * var lib = new WPLib({transport: mock});
+ * ```
+ * @constructor
+ * @param {Array<MockRoute>} [routes] Routes to add, e.g. recorded pairs of parameters and responses
+ * @typedef MockRoute
+ * @type {object}
+ * @property {Object.<string, string|number|boolean|RegExp>|function(Object.<string, string>, TransportOptions): boolean} match The
+ * parameters that the request must have (compared as strings, or tested with regular expressions), or a function that tells whether the
+ * request matches
+ * @property {any} response The API response, a {@link MockResponse}, or a function that receives the parameters and the options of the
+ * request and returns either of them
+ * @property {boolean} [once] Whether to remove the route after it is used
+ * @typedef MockResponse To return a response other than "200 OK", an object with the 'status' property can be returned
+ * @type {object}
+ * @property {number} status The HTTP status code (0 for a network error)
+ * @property {any} [data] The API response
+ * @property {Object.<string, string>} [headers] Response headers (e.g. Retry-After)
+ * @property {string} [textStatus] e.g. 'timeout' (defaults to 'error' for failed requests)
+ * @property {number} [delay] How long to wait before responding in milliseconds
+ */
+var MockTransport = function(routes) {
+
+    /**
+     * @type {Array<MockRoute>}
+     * @private
+     */
+    this._routes = [];
+
+    /**
+     * The options of the requests sent so far, in order.
+     * @type {Array<TransportOptions>}
+     */
+    this.requests = [];
+
+    var self = this;
+    (routes || []).forEach(function(route) {
+        self._routes.push(route);
+    });
+
+};
+
+MockTransport.prototype = {
+
+    /**
+     * Add a route.
+     * @param {MockRoute['match']} match 
+     * @param {any} response 
+     * @returns {MockTransport}
+     */
+    on: function(match, response) {
+        this._routes.push({match: match, response: response});
+        return this;
+    },
+
+    /**
+     * Add a route that is used only once.
+     * @param {MockRoute['match']} match 
+     * @param {any} response 
+     * @returns {MockTransport}
+     */
+    once: function(match, response) {
+        this._routes.push({match: match, response: response, once: true});
+        return this;
+    },
 
-            return viplist;
+    /**
+     * @param {TransportOptions} options 
+     * @returns {JQueryPromise<TransportResponse>} Rejects with the status 404 if no route matches the request
+     */
+    request: function(options) {
 
-        }).catch(function(code, err) {
-            // @ts-ignore err.error always exists
-            console.warn('Query failed for getVipList: ' + err.error.info);
-            return [];
+        var def = $.Deferred();
+        var params = {};
+        Object.keys(options.data || {}).forEach(function(key) {
+            params[key] = String(options.data[key]);
+        });
+        this.requests.push(options);
+
+        var route = null;
+        for (var i = 0; i < this._routes.length; i++) {
+            if (this._matches(this._routes[i].match, params, options)) {
+                route = this._routes[i];
+                if (route.once) this._routes.splice(i, 1);
+                break;
+            }
+        }
+
+        var response = !route ? {status: 404, textStatus: 'error', data: 'MockTransport: No route matches ' + JSON.stringify(params)} :
+            typeof route.response === 'function' ? route.response(params, options) :
+            route.response;
+        if (!response || typeof response.status !== 'number') {
+            response = {status: 200, data: response};
+        }
+
+        var headers = {};
+        Object.keys(response.headers || {}).forEach(function(name) {
+            headers[name.toLowerCase()] = response.headers[name];
         });
+        var xhr = {
+            status: response.status,
+            getResponseHeader: function(name) {
+                return Object.prototype.hasOwnProperty.call(headers, name.toLowerCase()) ? headers[name.toLowerCase()] : null;
+            }
+        };
+
+        var respond = function() {
+            if (options.signal && options.signal.aborted) {
+                def.reject({xhr: {status: 0, getResponseHeader: xhr.getResponseHeader}, textStatus: 'abort', exception: 'abort'});
+            } else if (response.status >= 200 && response.status < 300) {
+                def.resolve({data: response.data, xhr: xhr});
+            } else {
+                def.reject({xhr: xhr, textStatus: response.textStatus || 'error', exception: response.data});
+            }
+        };
+        if (response.delay) {
+            setTimeout(respond, response.delay);
+        } else {
+            respond();
+        }
+
+        return def.promise();
+
     },
 
     /**
-     * Get a list of LTAs.
-     * @param {boolean} [wikiLinkFormat] If true, format the response as '[[LTA:****]]'
-     * @returns {JQueryPromise<Array<string>>} Array of 'LTA:****'
+     * Check whether a request matches a route.
+     * @private
+     * @param {MockRoute['match']} match 
+     * @param {Object.<string, string>} params 
+     * @param {TransportOptions} options 
+     * @returns {boolean}
      */
-    getLtaList: function(wikiLinkFormat) {
-        return this.continuedQuery({
-            list: 'allpages',
-            apprefix: 'LTA:',
-            apnamespace: '0',
-            apfilterredir: 'redirects',
-            aplimit: '200'
-        }).then(function(res) {
-            return res
-                .filter(function(obj) {
-                    return obj && obj.query && obj.query.allpages && obj.query.allpages.length !== 0;
-                })
-                .map(function(obj) {
-                    return obj.query.allpages;
-                })
-                .reduce(function(acc, arr) {
-                    return acc.concat(arr);
-                }, [])
-                .filter(function(obj) {
-                    return obj && obj.title && !/^LTA:$|\/.+$/.test(obj.title);
-                })
-                .map(function(obj) {
-                    return wikiLinkFormat ? '[[' + obj.title + ']]' : obj.title;
+    _matches: function(match, params, options) {
+        if (typeof match === 'function') return !!match(params, options);
+        return Object.keys(match || {}).every(function(key) {
+            var expected = match[key];
+            if (!Object.prototype.hasOwnProperty.call(params, key)) return expected === false || expected === undefined;
+            return expected instanceof RegExp ? expected.test(params[key]) : String(expected) === params[key];
+        });
+    }
+
+};
+
+WPLib.MockTransport = MockTransport;
+
+// ============================================== REQUEST QUEUE ==============================================
+
+/**
+ * A scheduler of API requests, through which {@link WPLib#ajax} sends every request (including retries). It limits the number of requests
+ * running at the same time, sends write requests one by one with a delay in between, and sends requests with higher priorities first (reads
+ * before writes by default). The queue in {@link WPLib.requestQueue} is shared by all instances of {@link WPLib} unless another one is given.
+ * @constructor
+ * @param {RequestQueueOptions} [options]
+ * @typedef RequestQueueOptions
+ * @type {object}
+ * @property {number} [concurrency] The maximum number of requests running at the same time (2 by default)
+ * @property {number} [writeDelay] The minimum delay in milliseconds between the end of a write request and the start of the next one
+ * (1000 by default)
+ */
+var RequestQueue = function(options) {
+
+    options = options || {};
+
+    /** @type {number} */
+    this.concurrency = typeof options.concurrency === 'number' ? options.concurrency : 2;
+
+    /** @type {number} */
+    this.writeDelay = typeof options.writeDelay === 'number' ? options.writeDelay : 1000;
+
+    /**
+     * @type {Array<QueueJob>}
+     * @private
+     * @typedef QueueJob
+     * @type {object}
+     * @property {function(): JQueryPromise<any>} task
+     * @property {any} def
+     * @property {boolean} write
+     * @property {number} priority
+     * @property {number} sequence
+     */
+    this._queue = [];
+    /** @private */
+    this._running = 0;
+    /** @private */
+    this._writing = false;
+    /** @private */
+    this._lastWriteEnd = 0;
+    /** @private */
+    this._sequence = 0;
+    /**
+     * @type {any}
+     * @private
+     */
+    this._timer = null;
+
+};
+
+RequestQueue.prototype = {
+
+    /**
+     * Schedule a request.
+     * @param {function(): JQueryPromise<any>} task A function that sends the request and returns a promise of it
+     * @param {QueueOptions} [options]
+     * @returns {JQueryPromise<any>} Settled in the same way as the promise returned by the task, or rejected with 'aborted' if the signal
+     * is aborted before the request is sent
+     * @typedef QueueOptions
+     * @type {object}
+     * @property {boolean} [write] Whether the request is a write request
+     * @property {number} [priority] Requests with higher priorities are sent first (1 for reads and 0 for writes by default)
+     * @property {AbortSignal} [signal] An AbortSignal (or any object that has the 'aborted' property and the 'addEventListener' method) to
+     * cancel the request with
+     */
+    add: function(task, options) {
+
+        options = options || {};
+        var self = this;
+        var def = $.Deferred();
+        var signal = options.signal;
+        if (signal && signal.aborted) {
+            return def.reject('aborted', 'The request has been aborted.').promise();
+        }
+
+        var job = {
+            task: task,
+            def: def,
+            write: !!options.write,
+            priority: typeof options.priority === 'number' ? options.priority : options.write ? 0 : 1,
+            sequence: this._sequence++
+        };
+        if (signal && typeof signal.addEventListener === 'function') {
+            var onAbort = function() {
+                var i = self._queue.indexOf(job);
+                if (i !== -1) {
+                    self._queue.splice(i, 1);
+                    def.reject('aborted', 'The request has been aborted.');
+                }
+            };
+            signal.addEventListener('abort', onAbort);
+            def.always(function() {
+                if (typeof signal.removeEventListener === 'function') signal.removeEventListener('abort', onAbort);
+            });
+        }
+        this._queue.push(job);
+        this._next();
+
+        return def.promise();
+
+    },
+
+    /**
+     * The number of requests that are waiting to be sent.
+     * @returns {number}
+     */
+    size: function() {
+        return this._queue.length;
+    },
+
+    /**
+     * Send as many queued requests as allowed.
+     * @private
+     */
+    _next: function() {
+
+        var self = this;
+        var now = Date.now();
+        var writeReady = !this._writing && now >= this._lastWriteEnd + this.writeDelay;
+        while (this._running < this.concurrency) {
+            // The request with the highest priority, first come first served
+            var job = this._queue.reduce(function(acc, j) {
+                if (j.write && !writeReady) return acc;
+                return !acc || j.priority > acc.priority || j.priority === acc.priority && j.sequence < acc.sequence ? j : acc;
+            }, null);
+            if (!job) break;
+            this._queue.splice(this._queue.indexOf(job), 1);
+            if (job.write) writeReady = false;
+            this._run(job);
+        }
+
+        // Wake up when the next write request can be sent
+        var wait = this._lastWriteEnd + this.writeDelay - now;
+        if (!this._timer && !this._writing && wait > 0 && this._queue.some(function(j) { return j.write; })) {
+            this._timer = setTimeout(function() {
+                self._timer = null;
+                self._next();
+            }, wait);
+        }
+
+    },
+
+    /**
+     * @private
+     * @param {QueueJob} job 
+     */
+    _run: function(job) {
+        var self = this;
+        this._running++;
+        if (job.write) this._writing = true;
+        var finish = function() {
+            self._running--;
+            if (job.write) {
+                self._writing = false;
+                self._lastWriteEnd = Date.now();
+            }
+            self._next();
+        };
+        var promise;
+        try {
+            promise = job.task();
+        } catch (err) {
+            finish();
+            job.def.reject('unknown', err);
+            return;
+        }
+        promise.then(function() {
+            finish();
+            job.def.resolve.apply(job.def, arguments);
+        }, function() {
+            finish();
+            job.def.reject.apply(job.def, arguments);
+        });
+    }
+
+};
+
+WPLib.RequestQueue = RequestQueue;
+
+/**
+ * The request queue shared by the instances of {@link WPLib}.
+ * @type {RequestQueue}
+ */
+WPLib.requestQueue = new RequestQueue();
+
+// ============================================== RESPONSE CACHE ==============================================
+
+/**
+ * A cache of API responses, which {@link WPLib#ajax} uses when a TTL is given in the 'cacheTtl' property of the AJAX options. Responses are
+ * keyed by the user, the API URL and the parameters (in a normalized order), and identical requests that are sent while one of them is in
+ * flight share its response. The cache in {@link WPLib.responseCache} is shared by all instances of {@link WPLib} unless another one is
+ * given. Expired responses are removed at most once a minute when a response is cached, and whenever responses are invalidated.
+ * ```
+ * lib.get({meta: 'allmessages', ammessages: 'Ipbreason-dropdown'}, {cacheTtl: 60 * 60 * 1000}); // Cache for an hour
+ * WPLib.responseCache.invalidate({ammessages: 'Ipbreason-dropdown'});
+ * ```
+ * @constructor
+ * @param {ResponseCacheOptions} [options]
+ * @typedef ResponseCacheOptions
+ * @type {object}
+ * @property {string|Storage} [storage] Where to store responses: 'session' (sessionStorage; the default), 'local' (localStorage), 'memory',
+ * or an object that has the same methods as Storage. Falls back to 'memory' if the web storage is not available (e.g. on Node.js).
+ * @property {string} [prefix] The prefix of the keys in the storage ('wplib-cache:' by default)
+ */
+var ResponseCache = function(options) {
+
+    options = options || {};
+
+    /** @type {string} */
+    this.prefix = options.prefix || 'wplib-cache:';
+
+    var storage = options.storage || 'session';
+    if (storage === 'session' || storage === 'local') {
+        try {
+            storage = window[storage + 'Storage'];
+            storage.getItem(this.prefix); // Throws if access is denied
+        } catch (err) {
+            storage = null;
+        }
+    }
+
+    /**
+     * The web storage to store responses in, or null if they are stored in memory.
+     * @type {Storage|null}
+     */
+    this.storage = storage && typeof storage === 'object' ? storage : null;
+
+    /**
+     * Serialized entries keyed by cache keys, if the responses are stored in memory.
+     * @type {Object.<string, string>}
+     * @private
+     */
+    this._memory = Object.create(null);
+
+    /**
+     * Promises of the requests in flight, keyed by cache keys.
+     * @type {Object.<string, JQueryPromise<any>>}
+     * @private
+     */
+    this._pending = Object.create(null);
+
+    /**
+     * When expired responses were last removed.
+     * @type {number}
+     * @private
+     */
+    this._lastSweep = 0;
+
+};
+
+ResponseCache.prototype = {
+
+    /**
+     * Get the cache key of a request.
+     * @param {string} url 
+     * @param {object} parameters 
+     * @param {string} [user] The user that the request is sent as, whose rights and preferences may change the response
+     * @returns {string}
+     */
+    getKey: function(url, parameters, user) {
+        return (user ? encodeURIComponent(user) + '@' : '') + url + '?' + Object.keys(parameters).sort().map(function(key) {
+            return encodeURIComponent(key) + '=' + encodeURIComponent(String(parameters[key]));
+        }).join('&');
+    },
+
+    /**
+     * Get a cached response.
+     * @param {string} key 
+     * @returns {any} Undefined if the response is not cached or has expired
+     */
+    get: function(key) {
+        var serialized = this.storage ? this.storage.getItem(this.prefix + key) : this._memory[key];
+        if (typeof serialized !== 'string') return undefined;
+        var entry;
+        try {
+            entry = JSON.parse(serialized);
+        } catch (err) {
+            entry = null;
+        }
+        if (!entry || entry.expires <= Date.now()) {
+            this._remove(key);
+            return undefined;
+        }
+        return entry.value;
+    },
+
+    /**
+     * Cache a response.
+     * @param {string} key 
+     * @param {any} value A JSON-serializable value
+     * @param {number} ttl How long to keep the value in milliseconds
+     */
+    set: function(key, value, ttl) {
+        var serialized = JSON.stringify({expires: Date.now() + ttl, value: value});
+        // Expired entries are otherwise only removed when they're read, and stay in the web storage across page loads
+        if (this._lastSweep < Date.now() - 60 * 1000) this._sweep();
+        if (this.storage) {
+            try {
+                this.storage.setItem(this.prefix + key, serialized);
+            } catch (err) {
+                // The storage is full: the response just isn't cached
+            }
+        } else {
+            this._memory[key] = serialized;
+        }
+    },
+
+    /**
+     * Get a response from the cache, or send a request and cache the response. If an identical request is in flight, its response is used.
+     * @param {string} key 
+     * @param {number} ttl How long to keep the response in milliseconds (0 not to cache it)
+     * @param {function(): JQueryPromise<any>} request A function that sends the request
+     * @returns {JQueryPromise<any>}
+     */
+    fetch: function(key, ttl, request) {
+        var self = this;
+        var cached = this.get(key);
+        if (cached !== undefined) return $.Deferred().resolve(cached).promise();
+        if (this._pending[key]) return this._pending[key];
+        var def = $.Deferred();
+        this._pending[key] = def.promise();
+        request().then(function(result, jqXHR) {
+            delete self._pending[key];
+            if (ttl > 0) self.set(key, result, ttl);
+            def.resolve(result, jqXHR);
+        }, function() {
+            delete self._pending[key];
+            def.reject.apply(def, arguments);
+        });
+        return def.promise();
+    },
+
+    /**
+     * Remove cached responses.
+     * @param {string|object|function(string): boolean} [filter] A cache key, parameters that the requests must have (e.g. \{titles: 'Foo'\}),
+     * or a function that receives cache keys and returns true to remove them. All the responses are removed if this is omitted.
+     * @returns {number} The number of responses removed
+     */
+    invalidate: function(filter) {
+        var self = this;
+        this._sweep();
+        var match;
+        if (filter === undefined) {
+            match = function() {
+                return true;
+            };
+        } else if (typeof filter === 'string') {
+            match = function(key) {
+                return key === filter;
+            };
+        } else if (typeof filter === 'function') {
+            match = filter;
+        } else {
+            match = function(key) {
+                var params = {};
+                key.slice(key.indexOf('?') + 1).split('&').forEach(function(pair) {
+                    var i = pair.indexOf('=');
+                    params[decodeURIComponent(pair.slice(0, i))] = decodeURIComponent(pair.slice(i + 1));
+                });
+                return Object.keys(filter).every(function(name) {
+                    var value = Array.isArray(filter[name]) ? filter[name].join('|') : String(filter[name]);
+                    return Object.prototype.hasOwnProperty.call(params, name) && params[name] === value;
                 });
+            };
+        }
+        var removed = this._keys().filter(function(key) {
+            return match(key);
+        });
+        removed.forEach(function(key) {
+            self._remove(key);
+        });
+        return removed.length;
+    },
+
+    /**
+     * Remove expired responses.
+     * @private
+     */
+    _sweep: function() {
+        var self = this;
+        this._lastSweep = Date.now();
+        this._keys().forEach(function(key) {
+            self.get(key); // Removes the response if it has expired
         });
+    },
+
+    /**
+     * Get the keys of the cached responses.
+     * @private
+     * @returns {Array<string>}
+     */
+    _keys: function() {
+        if (!this.storage) return Object.keys(this._memory);
+        var keys = [];
+        for (var i = 0; i < this.storage.length; i++) {
+            var key = this.storage.key(i);
+            if (key && key.indexOf(this.prefix) === 0) keys.push(key.slice(this.prefix.length));
+        }
+        return keys;
+    },
+
+    /**
+     * @private
+     * @param {string} key 
+     */
+    _remove: function(key) {
+        if (this.storage) {
+            this.storage.removeItem(this.prefix + key);
+        } else {
+            delete this._memory[key];
+        }
     }
 
 };
 
+WPLib.ResponseCache = ResponseCache;
+
+/**
+ * The response cache shared by the instances of {@link WPLib}.
+ * @type {ResponseCache}
+ */
+WPLib.responseCache = new ResponseCache();
+
+// ============================================== DEFERRED ==============================================
+
+/**
+ * A minimal substitute for jQuery.Deferred and jQuery.when, which is used in environments without jQuery (e.g. Node.js). Only the features
+ * that this library uses are implemented: like jQuery 3, 'then' callbacks are called asynchronously, and multiple arguments are passed on.
+ * @private
+ */
+var DeferredFallback = (function() {
+
+    var slice = Array.prototype.slice;
+
+    var isThenable = function(obj) {
+        return !!obj && (typeof obj === 'object' || typeof obj === 'function') && typeof obj.then === 'function';
+    };
+
+    var Deferred = function() {
+
+        var state = 'pending';
+        var args = [];
+        var callbacks = [];
+        var settle = function(newState, newArgs) {
+            if (state !== 'pending') return;
+            state = newState;
+            args = slice.call(newArgs);
+            callbacks.splice(0).forEach(function(callback) {
+                callback();
+            });
+        };
+        var on = function(callback) {
+            if (state === 'pending') {
+                callbacks.push(callback);
+            } else {
+                callback();
+            }
+        };
+
+        var promise = {
+            state: function() {
+                return state;
+            },
+            done: function(fn) {
+                on(function() {
+                    if (state === 'resolved') fn.apply(null, args);
+                });
+                return this;
+            },
+            fail: function(fn) {
+                on(function() {
+                    if (state === 'rejected') fn.apply(null, args);
+                });
+                return this;
+            },
+            always: function(fn) {
+                on(function() {
+                    fn.apply(null, args);
+                });
+                return this;
+            },
+            then: function(onResolved, onRejected) {
+                var next = Deferred();
+                on(function() {
+                    setTimeout(function() {
+                        var fn = state === 'resolved' ? onResolved : onRejected;
+                        if (typeof fn !== 'function') {
+                            return (state === 'resolved' ? next.resolve : next.reject).apply(null, args);
+                        }
+                        var ret;
+                        try {
+                            ret = fn.apply(null, args);
+                        } catch (err) {
+                            return next.reject(err);
+                        }
+                        if (isThenable(ret)) {
+                            ret.then(function() {
+                                next.resolve.apply(null, arguments);
+                            }, function() {
+                                next.reject.apply(null, arguments);
+                            });
+                        } else {
+                            next.resolve(ret);
+                        }
+                    }, 0);
+                });
+                return next.promise();
+            },
+            catch: function(fn) {
+                return this.then(null, fn);
+            },
+            promise: function() {
+                return promise;
+            }
+        };
+
+        var deferred = Object.create(promise);
+        deferred.resolve = function() {
+            settle('resolved', arguments);
+            return deferred;
+        };
+        deferred.reject = function() {
+            settle('rejected', arguments);
+            return deferred;
+        };
+        return deferred;
+
+    };
+
+    var when = function() {
+        var subordinates = slice.call(arguments);
+        var def = Deferred();
+        var remaining = subordinates.length;
+        var values = [];
+        if (remaining === 1 && isThenable(subordinates[0])) {
+            subordinates[0].then(function() {
+                def.resolve.apply(null, arguments);
+            }, function() {
+                def.reject.apply(null, arguments);
+            });
+            return def.promise();
+        }
+        if (remaining === 0) return def.resolve().promise();
+        subordinates.forEach(function(subordinate, i) {
+            var fulfil = function() {
+                values[i] = arguments.length > 1 ? slice.call(arguments) : arguments[0];
+                if (--remaining === 0) def.resolve.apply(null, values);
+            };
+            if (isThenable(subordinate)) {
+                subordinate.then(fulfil, function() {
+                    def.reject.apply(null, arguments);
+                });
+            } else {
+                fulfil(subordinate);
+            }
+        });
+        return def.promise();
+    };
+
+    return {
+        Deferred: Deferred,
+        when: when
+    };
+
+})();
+
+// jQuery, or the substitute for it
+// eslint-disable-next-line no-redeclare
+var $ = typeof $ !== 'undefined' ? $ : typeof jQuery !== 'undefined' ? jQuery : DeferredFallback;
+
 // For when this library is used as a module of a gadget
 try {
     module.exports = WPLib;
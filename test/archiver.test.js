@@ -0,0 +1,113 @@
+/* global describe, it */
+var assert = require('assert');
+var helpers = require('./helpers.js');
+var WPLib = helpers.WPLib;
+
+describe('Archiver', function() {
+
+    var page = [
+        '{{告知}}',
+        '== 古い節 ==',
+        '本文 --[[利用者:A|A]]（[[利用者‐会話:A|会話]]） 2023年1月1日 (日) 00:00 (UTC)',
+        '== 解決済みの節 ==',
+        '{{解決済み}} --[[利用者:B|B]]（[[利用者‐会話:B|会話]]） 2023年1月19日 (木) 00:00 (UTC)',
+        '== 新しい節 ==',
+        '本文 --[[利用者:C|C]]（[[利用者‐会話:C|会話]]） 2023年1月18日 (水) 00:00 (UTC)',
+        '== 署名のない節 ==',
+        '本文',
+        ''
+    ].join('\n');
+
+    /**
+     * Create an adapter that reads and saves pages in memory.
+     * @param {Object.<string, string>} pages Contents keyed by titles
+     */
+    var createWiki = function(pages) {
+        var wiki = {pages: pages, saved: []};
+        wiki.adapter = {
+            read: function(title) {
+                var exists = Object.prototype.hasOwnProperty.call(wiki.pages, title);
+                return Promise.resolve(exists ? {content: wiki.pages[title], basetimestamp: '2023-01-19T00:00:00Z', curtimestamp: '2023-01-20T00:00:00Z'} : false);
+            },
+            save: function(title, content, summary, basetimestamp) {
+                wiki.saved.push({title: title, summary: summary, basetimestamp: basetimestamp});
+                wiki.pages[title] = content;
+                return Promise.resolve();
+            }
+        };
+        return wiki;
+    };
+
+    var createArchiver = function(wiki, options) {
+        var lib = helpers.createLib();
+        return new WPLib.Archiver(lib, lib.merge({
+            page: 'Wikipedia:Foo',
+            archive: '/過去ログ%(counter)d',
+            now: new Date('2023-01-20T00:00:00Z'),
+            adapter: wiki.adapter
+        }, options || {}));
+    };
+
+    var getTitles = function(items) {
+        return items.map(function(item) { return item.title; });
+    };
+
+    it('archives old threads and resolved threads', function() {
+        var wiki = createWiki({'Wikipedia:Foo': page});
+        return helpers.settle(createArchiver(wiki).plan()).then(function(args) {
+            var plan = args[0];
+            assert.deepStrictEqual(getTitles(plan.threads), ['古い節', '解決済みの節']);
+            assert.deepStrictEqual(plan.threads.map(function(thread) { return thread.reason; }), ['age', 'resolved']);
+            assert.deepStrictEqual(plan.threads.map(function(thread) { return thread.archive; }), ['Wikipedia:Foo/過去ログ1', 'Wikipedia:Foo/過去ログ1']);
+            assert.ok(plan.content.indexOf('== 新しい節 ==') !== -1);
+            assert.ok(plan.content.indexOf('== 署名のない節 ==') !== -1);
+            assert.strictEqual(plan.content.indexOf('== 古い節 =='), -1);
+            assert.strictEqual(plan.archives.length, 1);
+            assert.strictEqual(plan.archives[0].exists, false);
+            assert.strictEqual(plan.archives[0].count, 2);
+        });
+    });
+
+    it('keeps the given number of threads on the page, archiving older threads first', function() {
+        var wiki = createWiki({'Wikipedia:Foo': page});
+        return helpers.settle(createArchiver(wiki, {minThreadsLeft: 3}).plan()).then(function(args) {
+            assert.deepStrictEqual(getTitles(args[0].threads), ['古い節']);
+        });
+    });
+
+    it('moves on to the next counter when an archive page is full, without saving the full page', function() {
+        var full = '{{過去ログ}}\n' + new Array(291).join('x') + '\n';
+        var wiki = createWiki({'Wikipedia:Foo': page, 'Wikipedia:Foo/過去ログ1': full});
+        return helpers.settle(createArchiver(wiki, {maxArchiveSize: 300, header: '{{過去ログ}}'}).run()).then(function(args) {
+            var plan = args[0];
+            assert.deepStrictEqual(getTitles(plan.archives), ['Wikipedia:Foo/過去ログ2']);
+            assert.ok(plan.report.indexOf('過去ログ1') === -1);
+            assert.deepStrictEqual(getTitles(wiki.saved), ['Wikipedia:Foo/過去ログ2', 'Wikipedia:Foo']);
+            assert.strictEqual(wiki.pages['Wikipedia:Foo/過去ログ1'], full);
+            assert.strictEqual(wiki.pages['Wikipedia:Foo/過去ログ2'].indexOf('{{過去ログ}}\n\n== 古い節 =='), 0);
+            assert.strictEqual(wiki.saved[0].summary, '[[Wikipedia:Foo]]から2件の節を過去ログ化');
+            assert.strictEqual(wiki.saved[1].summary, '2件の節を[[Wikipedia:Foo/過去ログ2]]へ過去ログ化');
+            assert.strictEqual(wiki.saved[1].basetimestamp, '2023-01-19T00:00:00Z');
+        });
+    });
+
+    it('saves nothing in a dry run', function() {
+        var wiki = createWiki({'Wikipedia:Foo': page});
+        return helpers.settle(createArchiver(wiki).run(true)).then(function(args) {
+            assert.strictEqual(args[0].threads.length, 2);
+            assert.ok(args[0].report.indexOf('2件の節を過去ログ化します。') !== -1);
+            assert.deepStrictEqual(wiki.saved, []);
+            assert.strictEqual(wiki.pages['Wikipedia:Foo'], page);
+        });
+    });
+
+    it('rejects if the page is missing', function() {
+        var wiki = createWiki({});
+        return helpers.settle(createArchiver(wiki).run()).then(function() {
+            assert.fail('Should have been rejected');
+        }, function(args) {
+            assert.deepStrictEqual(args, ['missingpage', 'Wikipedia:Foo']);
+        });
+    });
+
+});
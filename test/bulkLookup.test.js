@@ -0,0 +1,116 @@
+/* global describe, it */
+var assert = require('assert');
+var helpers = require('./helpers.js');
+var WPLib = helpers.WPLib;
+
+describe('bulkLookup()', function() {
+
+    helpers.muteConsole();
+
+    var pages = {
+        batchcomplete: true,
+        query: {
+            normalized: [
+                {fromencoded: false, from: 'wp:荒らし_対応', to: 'Wikipedia:荒らし 対応'}
+            ],
+            redirects: [
+                {from: 'Wikipedia:荒らし 対応', to: 'Wikipedia:荒らし'},
+                {from: 'Wikipedia:荒らし', to: 'Wikipedia:荒らし行為', tofragment: '対処'}
+            ],
+            pages: [
+                {pageid: 1001, ns: 4, title: 'Wikipedia:荒らし行為'},
+                {ns: 0, title: '存在しないページ', missing: true},
+                {title: 'Foo<Bar>', invalidreason: 'The requested page title contains invalid characters: "<".', invalid: true}
+            ]
+        }
+    };
+
+    it('sends the batches by POST without modifying the parameters', function() {
+        var mock = new WPLib.MockTransport().on({}, pages);
+        var lib = helpers.createLib(mock);
+        var params = {prop: 'info'};
+        return helpers.settle(lib.bulkLookup('titles', ['wp:荒らし_対応', '存在しないページ'], params, {batchLimit: 1})).then(function() {
+            assert.deepStrictEqual(mock.requests.map(function(options) { return options.type; }), ['POST', 'POST']);
+            assert.deepStrictEqual(helpers.sent(mock, 'titles'), ['wp:荒らし_対応', '存在しないページ']);
+            assert.deepStrictEqual(helpers.sent(mock, 'prop'), ['info', 'info']);
+            assert.deepStrictEqual(params, {prop: 'info'});
+        });
+    });
+
+    it('follows the inputs through normalization and redirects to the final pages', function() {
+        var mock = new WPLib.MockTransport().on({}, pages);
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.bulkLookup('titles', ['wp:荒らし_対応'], {}, {redirects: true, batchLimit: 50})).then(function(args) {
+            var entry = args[0].results['wp:荒らし_対応'];
+            assert.strictEqual(helpers.sent(mock, 'redirects')[0], true);
+            assert.strictEqual(entry.title, 'Wikipedia:荒らし行為');
+            assert.strictEqual(entry.normalized, 'Wikipedia:荒らし 対応');
+            assert.deepStrictEqual(entry.redirects, ['Wikipedia:荒らし 対応', 'Wikipedia:荒らし']);
+            assert.strictEqual(entry.fragment, '対処');
+            assert.strictEqual(entry.record.pageid, 1001);
+            assert.strictEqual(entry.missing, false);
+            assert.strictEqual(entry.invalid, false);
+        });
+    });
+
+    it('flags missing and invalid titles', function() {
+        var mock = new WPLib.MockTransport().on({}, pages);
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.bulkLookup('titles', ['存在しないページ', 'Foo<Bar>'], {}, {batchLimit: 50})).then(function(args) {
+            var results = args[0].results;
+            assert.strictEqual(results['存在しないページ'].missing, true);
+            assert.strictEqual(results['存在しないページ'].invalid, false);
+            assert.strictEqual(results['Foo<Bar>'].missing, false);
+            assert.strictEqual(results['Foo<Bar>'].invalid, true);
+        });
+    });
+
+    it('reports the inputs of failed batches', function() {
+        var mock = new WPLib.MockTransport()
+            .on({titles: 'B'}, {error: {code: 'internal_api_error_DBQueryError', info: 'A database query error has occurred.'}})
+            .on({}, {batchcomplete: true, query: {pages: [{ns: 0, title: 'A', missing: true}]}});
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.bulkLookup('titles', ['A', 'B'], {}, {batchLimit: 1})).then(function(args) {
+            assert.deepStrictEqual(Object.keys(args[0].results), ['A']);
+            assert.deepStrictEqual(args[0].failed, ['B']);
+            assert.strictEqual(args[0].errors.length, 1);
+            assert.strictEqual(args[0].errors[0].code, 'internal_api_error_DBQueryError');
+            assert.deepStrictEqual(args[0].errors[0].inputs, ['B']);
+        });
+    });
+
+    it('looks up usernames with list=users', function() {
+        var mock = new WPLib.MockTransport().on({list: 'users'}, {
+            batchcomplete: true,
+            query: {
+                users: [
+                    {userid: 1234, name: 'Dragoniez'},
+                    {name: 'Nobody here', missing: true},
+                    {name: 'Foo#Bar', invalid: true}
+                ]
+            }
+        });
+        var lib = helpers.createLib(mock);
+        var inputs = ['dragoniez', 'Nobody_here', 'Foo#Bar'];
+        return helpers.settle(lib.bulkLookup('usernames', inputs, {usprop: 'groups'}, {batchLimit: 50})).then(function(args) {
+            var results = args[0].results;
+            assert.strictEqual(mock.requests[0].type, 'POST');
+            assert.strictEqual(helpers.sent(mock, 'ususers')[0], 'dragoniez|Nobody_here|Foo#Bar');
+            assert.strictEqual(results.dragoniez.title, 'Dragoniez');
+            assert.strictEqual(results.dragoniez.normalized, 'Dragoniez');
+            assert.strictEqual(results.dragoniez.record.userid, 1234);
+            assert.strictEqual(results.Nobody_here.missing, true);
+            assert.strictEqual(results['Foo#Bar'].invalid, true);
+        });
+    });
+
+    it('rejects for an unknown type', function() {
+        var lib = helpers.createLib();
+        return helpers.settle(lib.bulkLookup('categories', ['Foo'])).then(function() {
+            assert.fail('Should have been rejected');
+        }, function(args) {
+            assert.strictEqual(args[0], 'badparams');
+        });
+    });
+
+});
@@ -0,0 +1,66 @@
+/* global describe, it */
+var assert = require('assert');
+var helpers = require('./helpers.js');
+var WPLib = helpers.WPLib;
+
+describe('ResponseCache', function() {
+
+    var createStorage = function() {
+        var items = {};
+        return {
+            items: items,
+            getItem: function(key) { return Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null; },
+            setItem: function(key, value) { items[key] = String(value); },
+            removeItem: function(key) { delete items[key]; },
+            key: function(i) { return Object.keys(items)[i]; },
+            get length() { return Object.keys(items).length; }
+        };
+    };
+
+    it('caches responses for the time given in cacheTtl, and passes cache to the transport', function() {
+        var mock = new WPLib.MockTransport().on({meta: 'siteinfo'}, helpers.fixture('siteinfo-general'));
+        var lib = helpers.createLib(mock);
+        var params = {meta: 'siteinfo', siprop: 'general'};
+        return helpers.settle(lib.get(params, {cacheTtl: 1000, cache: false})).then(function() {
+            return helpers.settle(lib.get(params, {cacheTtl: 1000}));
+        }).then(function(args) {
+            assert.strictEqual(args[0].query.general.lang, 'ja');
+            assert.strictEqual(mock.requests.length, 1);
+            assert.strictEqual(mock.requests[0].cache, false);
+            assert.ok(!('cacheTtl' in mock.requests[0]));
+        });
+    });
+
+    it("doesn't share responses between users", function() {
+        var createMock = function(name) {
+            return new WPLib.MockTransport()
+                .on({meta: 'tokens'}, {batchcomplete: true, query: {tokens: {logintoken: '5a0b6c2d+\\'}}})
+                .on({action: 'login'}, {login: {result: 'Success', lguserid: 1, lgusername: name}})
+                .on({meta: 'userinfo'}, {batchcomplete: true, query: {userinfo: {id: 1, name: name, groups: ['*', 'user'], rights: ['read']}}})
+                .on({list: 'watchlistraw'}, {batchcomplete: true, watchlistraw: [{ns: 2, title: '利用者:' + name}]});
+        };
+        var cache = new WPLib.ResponseCache({storage: 'memory'});
+        var libs = ['Foo', 'Bar'].map(function(name) {
+            return new WPLib({transport: createMock(name), queue: new WPLib.RequestQueue({writeDelay: 0}), cache: cache});
+        });
+        return Promise.all([libs[0].promises.login('Foo@bot', 'password'), libs[1].promises.login('Bar@bot', 'password')]).then(function() {
+            return libs[0].promises.get({list: 'watchlistraw'}, {cacheTtl: 1000});
+        }).then(function() {
+            return libs[1].promises.get({list: 'watchlistraw'}, {cacheTtl: 1000});
+        }).then(function(res) {
+            assert.strictEqual(res.watchlistraw[0].title, '利用者:Bar');
+        });
+    });
+
+    it('removes expired responses from the storage', function() {
+        var storage = createStorage();
+        var cache = new WPLib.ResponseCache({storage: storage});
+        storage.setItem('wplib-cache:expired', JSON.stringify({expires: Date.now() - 1, value: {}}));
+        cache.set('fresh', {}, 1000);
+        assert.deepStrictEqual(Object.keys(storage.items), ['wplib-cache:fresh']);
+        storage.setItem('wplib-cache:expired', JSON.stringify({expires: Date.now() - 1, value: {}}));
+        assert.strictEqual(cache.invalidate('fresh'), 1);
+        assert.deepStrictEqual(Object.keys(storage.items), []);
+    });
+
+});
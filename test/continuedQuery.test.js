@@ -0,0 +1,75 @@
+/* global describe, it */
+var assert = require('assert');
+var helpers = require('./helpers.js');
+var WPLib = helpers.WPLib;
+
+describe('continuedQuery()', function() {
+
+    helpers.muteConsole();
+
+    var ltaParams = function() {
+        return {
+            list: 'allpages',
+            apprefix: 'LTA:',
+            apnamespace: '0',
+            apfilterredir: 'redirects',
+            aplimit: '200'
+        };
+    };
+
+    it('follows the continuation until the query is complete', function() {
+        var mock = new WPLib.MockTransport()
+            .on({apcontinue: 'LTA:HEADLINE', continue: '-||'}, helpers.fixture('allpages-lta-2'))
+            .on({list: 'allpages'}, helpers.fixture('allpages-lta-1'));
+        var lib = helpers.createLib(mock);
+        var params = ltaParams();
+        return helpers.settle(lib.continuedQuery(params)).then(function(args) {
+            assert.strictEqual(args[0].length, 2);
+            assert.strictEqual(args[0][1].query.allpages[0].title, 'LTA:HEADLINE');
+            assert.deepStrictEqual(args[1], {complete: true, errors: [], continue: null});
+            assert.deepStrictEqual(helpers.sent(mock, 'apcontinue'), [undefined, 'LTA:HEADLINE']);
+            assert.deepStrictEqual(params, ltaParams(), 'The parameters should not be modified');
+        });
+    });
+
+    it('stops at the limit and returns the continuation', function() {
+        var mock = new WPLib.MockTransport().on({list: 'allpages'}, function() {
+            return helpers.fixture('allpages-lta-1');
+        });
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.continuedQuery(ltaParams(), 3)).then(function(args) {
+            assert.strictEqual(args[0].length, 3);
+            assert.strictEqual(mock.requests.length, 3);
+            assert.deepStrictEqual(args[1], {complete: false, errors: [], continue: {apcontinue: 'LTA:HEADLINE', continue: '-||'}});
+        });
+    });
+
+    it('resolves with the responses fetched so far if a request fails', function() {
+        var mock = new WPLib.MockTransport()
+            .on({apcontinue: 'LTA:HEADLINE'}, {status: 503, textStatus: 'error'})
+            .on({list: 'allpages'}, helpers.fixture('allpages-lta-1'));
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.continuedQuery(ltaParams(), 10, {retry: false})).then(function(args) {
+            assert.strictEqual(args[0].length, 1);
+            assert.strictEqual(args[1].complete, false);
+            assert.strictEqual(args[1].errors[0].code, 'http');
+            assert.deepStrictEqual(args[1].continue, {apcontinue: 'LTA:HEADLINE', continue: '-||'});
+        });
+    });
+
+    it('rejects with the partial result when called through the promises', function() {
+        var mock = new WPLib.MockTransport()
+            .on({apcontinue: 'LTA:HEADLINE'}, helpers.fixture('error-maxlag'))
+            .on({list: 'allpages'}, helpers.fixture('allpages-lta-1'));
+        var lib = helpers.createLib(mock);
+        return lib.promises.continuedQuery(ltaParams(), 10, {retry: false}).then(function() {
+            assert.fail('Should have been rejected');
+        }, function(err) {
+            assert.strictEqual(err.code, 'maxlag');
+            assert.strictEqual(err.info, 'Waiting for 10.64.16.79: 1.27 seconds lagged.');
+            assert.strictEqual(err.partial.length, 1);
+            assert.strictEqual(err.queryStatus.complete, false);
+        });
+    });
+
+});
@@ -0,0 +1,56 @@
+/* global describe, it */
+var assert = require('assert');
+var helpers = require('./helpers.js');
+var WPLib = helpers.WPLib;
+
+describe('edit()', function() {
+
+    helpers.muteConsole();
+
+    var createMock = function() {
+        return new WPLib.MockTransport()
+            .on({titles: 'Wikipedia:サンドボックス'}, helpers.fixture('read-page'))
+            .on({meta: 'tokens'}, {batchcomplete: true, query: {tokens: {csrftoken: 'd41d8cd98f00b204e9800998ecf8427e+\\'}}})
+            .on({action: 'edit'}, {edit: {result: 'Success', pageid: 213931, title: 'Wikipedia:サンドボックス', newrevid: 93512400}});
+    };
+
+    it('saves the transformed content with conflict detection', function() {
+        var mock = createMock();
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.edit('Wikipedia:サンドボックス', function(rev) {
+            return rev.content + 'テスト';
+        }, {summary: 'test'})).then(function(args) {
+            assert.strictEqual(args[0].newrevid, 93512400);
+            var params = mock.requests[mock.requests.length - 1].data;
+            assert.strictEqual(params.action, 'edit');
+            assert.strictEqual(params.basetimestamp, '2023-01-10T12:01:43Z');
+            assert.strictEqual(params.starttimestamp, '2023-01-10T12:34:56Z');
+            assert.strictEqual(params.nocreate, true);
+            assert.ok(/テスト$/.test(params.text));
+        });
+    });
+
+    it('resolves with null without editing if the transform function cancels the edit', function() {
+        var mock = createMock();
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.edit('Wikipedia:サンドボックス', function() {
+            return null;
+        })).then(function(args) {
+            assert.strictEqual(args[0], null);
+            assert.strictEqual(helpers.sent(mock, 'action').indexOf('edit'), -1);
+        });
+    });
+
+    it('rejects if the transform function throws', function() {
+        var lib = helpers.createLib(createMock());
+        return lib.promises.edit('Wikipedia:サンドボックス', function() {
+            throw new Error('Failed to transform');
+        }).then(function() {
+            assert.fail('Should have been rejected');
+        }, function(err) {
+            assert.strictEqual(err.code, 'transformerror');
+            assert.strictEqual(err.info, 'Failed to transform');
+        });
+    });
+
+});
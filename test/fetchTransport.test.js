@@ -0,0 +1,182 @@
+/* global describe, it */
+var assert = require('assert');
+var helpers = require('./helpers.js');
+var WPLib = helpers.WPLib;
+
+describe('FetchTransport', function() {
+
+    helpers.muteConsole();
+
+    var apiUrl = 'https://ja.wikipedia.org/w/api.php';
+
+    /**
+     * Create a fetch function that passes the requests to a handler.
+     * @param {function(object, object): {status?: number, body?: any, setCookies?: Array<string>}} handler Receives the parameters and
+     * the request (url, method and headers), and returns the response
+     * @param {boolean} [joinSetCookies] Whether to return the Set-Cookie headers joined with commas, as Headers objects do in environments
+     * without getSetCookie()
+     */
+    var createFetch = function(handler, joinSetCookies) {
+        var fetch = function(url, init) {
+            var query = url.indexOf('?') !== -1 ? url.slice(url.indexOf('?') + 1) : '';
+            var params = {};
+            new URLSearchParams(init.method === 'POST' ? init.body : query).forEach(function(value, key) {
+                params[key] = value;
+            });
+            var request = {url: url, method: init.method, headers: init.headers, params: params};
+            fetch.requests.push(request);
+            var res = handler(params, request);
+            var headers = new Headers({'Content-Type': 'application/json'});
+            (res.setCookies || []).forEach(function(setCookie) {
+                headers.append('Set-Cookie', setCookie);
+            });
+            var status = res.status || 200;
+            return Promise.resolve({
+                ok: status >= 200 && status < 300,
+                status: status,
+                statusText: status === 200 ? 'OK' : 'Error',
+                headers: joinSetCookies ? {get: function(name) { return headers.get(name); }} : headers,
+                text: function() {
+                    return Promise.resolve(typeof res.body === 'string' ? res.body : JSON.stringify(res.body));
+                }
+            });
+        };
+        fetch.requests = [];
+        return fetch;
+    };
+
+    var createLib = function(transport) {
+        return new WPLib({
+            apiUrl: apiUrl,
+            transport: transport,
+            queue: new WPLib.RequestQueue({writeDelay: 0}),
+            cache: new WPLib.ResponseCache({storage: 'memory'})
+        });
+    };
+
+    it('sends GET parameters in the URL and POST parameters in the body', function() {
+        var fetch = createFetch(function() {
+            return {body: {batchcomplete: true}};
+        });
+        var lib = createLib(new WPLib.FetchTransport({fetch: fetch, userAgent: 'TestBot/1.0 (User:Foo)'}));
+        return lib.promises.get({meta: 'siteinfo', siprop: ['general', 'namespaces']}).then(function(res) {
+            assert.deepStrictEqual(res, {batchcomplete: true});
+            return lib.promises.post({list: 'users', ususers: 'Foo'});
+        }).then(function() {
+            var get = fetch.requests[0];
+            var post = fetch.requests[1];
+            assert.strictEqual(get.method, 'GET');
+            assert.strictEqual(get.url.indexOf(apiUrl + '?'), 0);
+            assert.strictEqual(get.params.siprop, 'general|namespaces');
+            assert.strictEqual(get.headers['User-Agent'], 'TestBot/1.0 (User:Foo)');
+            assert.strictEqual(post.method, 'POST');
+            assert.strictEqual(post.url, apiUrl);
+            assert.strictEqual(post.headers['Content-Type'], 'application/x-www-form-urlencoded');
+            assert.strictEqual(post.params.list, 'users');
+        });
+    });
+
+    [false, true].forEach(function(joinSetCookies) {
+
+        it('keeps cookies and deletes them with expires or max-age' + (joinSetCookies ? ' (joined Set-Cookie headers)' : ''), function() {
+            var responses = [
+                ['session=abc; path=/; secure; HttpOnly', 'user=Foo; expires=Fri, 01 Jan 2100 00:00:00 GMT; path=/', 'token=1; Max-Age=3600'],
+                ['user=deleted; expires=Thu, 01 Jan 1970 00:00:01 GMT; Max-Age=0; path=/', 'token=2; max-age=0'],
+                ['session=def; path=/', 'old=1; expires=Sat, 01 Jan 2000 00:00:00 GMT']
+            ];
+            var fetch = createFetch(function() {
+                return {body: {batchcomplete: true}, setCookies: responses.shift()};
+            }, joinSetCookies);
+            var transport = new WPLib.FetchTransport({fetch: fetch});
+            var lib = createLib(transport);
+            return lib.promises.get({meta: 'siteinfo'}).then(function() {
+                assert.deepStrictEqual(transport.cookies, {session: 'abc', user: 'Foo', token: '1'});
+                return lib.promises.get({meta: 'userinfo'});
+            }).then(function() {
+                assert.strictEqual(fetch.requests[1].headers.Cookie, 'session=abc; user=Foo; token=1');
+                assert.deepStrictEqual(transport.cookies, {session: 'abc'});
+                return lib.promises.get({meta: 'tokens'});
+            }).then(function() {
+                assert.strictEqual(fetch.requests[2].headers.Cookie, 'session=abc');
+                assert.deepStrictEqual(transport.cookies, {session: 'def'});
+            });
+        });
+
+    });
+
+    it('rejects with the HTTP status, and removes the abort listener', function() {
+        var fetch = createFetch(function() {
+            return {status: 503, body: 'Service Unavailable'};
+        });
+        var lib = createLib(new WPLib.FetchTransport({fetch: fetch}));
+        var listeners = 0;
+        var signal = {
+            aborted: false,
+            addEventListener: function() { listeners++; },
+            removeEventListener: function() { listeners--; }
+        };
+        return lib.promises.get({meta: 'siteinfo'}, {retry: false, signal: signal}).then(function() {
+            assert.fail('Should have been rejected');
+        }, function(err) {
+            assert.strictEqual(err.code, 'http');
+            assert.strictEqual(err.status, 503);
+            assert.strictEqual(listeners, 0);
+        });
+    });
+
+    describe('login()', function() {
+
+        // A wiki that starts a session on the login token request, and renews it on login
+        var createWiki = function() {
+            return createFetch(function(params, request) {
+                var cookie = request.headers.Cookie || '';
+                if (params.meta === 'tokens' && params.type === 'login') {
+                    return {
+                        body: {batchcomplete: true, query: {tokens: {logintoken: '5a0b6c2d+\\'}}},
+                        setCookies: ['jawikiSession=anon; path=/; secure; HttpOnly']
+                    };
+                } else if (params.action === 'login') {
+                    if (cookie !== 'jawikiSession=anon' || params.lgtoken !== '5a0b6c2d+\\') {
+                        return {body: {login: {result: 'Failed', reason: 'Unable to continue login. Your session most likely timed out.'}}};
+                    } else if (params.lgpassword !== 'password') {
+                        return {body: {login: {result: 'Failed', reason: 'Incorrect username or password entered. Please try again.'}}};
+                    }
+                    return {
+                        body: {login: {result: 'Success', lguserid: 1234567, lgusername: 'Foo'}},
+                        setCookies: ['jawikiSession=user; path=/; secure; HttpOnly', 'jawikiUserName=Foo; expires=Fri, 01 Jan 2100 00:00:00 GMT; path=/']
+                    };
+                } else if (params.meta === 'userinfo') {
+                    var loggedIn = cookie.indexOf('jawikiSession=user') !== -1;
+                    return {body: helpers.fixture(loggedIn ? 'userinfo-eliminator' : 'userinfo-anon')};
+                }
+                return {status: 400, body: ''};
+            });
+        };
+
+        it('logs in with the session cookie of the login token request, and keeps the new session', function() {
+            var fetch = createWiki();
+            var transport = new WPLib.FetchTransport({fetch: fetch});
+            var lib = createLib(transport);
+            return lib.promises.login('Foo@bot', 'password').then(function(info) {
+                assert.strictEqual(info.name, 'Foo');
+                assert.strictEqual(lib.apiHighLimits, true);
+                assert.deepStrictEqual(fetch.requests.map(function(req) { return req.method; }), ['GET', 'POST', 'GET']);
+                assert.strictEqual(fetch.requests[1].params.lgname, 'Foo@bot');
+                assert.strictEqual(fetch.requests[2].headers.Cookie, 'jawikiSession=user; jawikiUserName=Foo');
+                assert.deepStrictEqual(transport.cookies, {jawikiSession: 'user', jawikiUserName: 'Foo'});
+            });
+        });
+
+        it('rejects with loginfailed and the reason', function() {
+            var lib = createLib(new WPLib.FetchTransport({fetch: createWiki()}));
+            return lib.promises.login('Foo@bot', 'wrong').then(function() {
+                assert.fail('Should have been rejected');
+            }, function(err) {
+                assert.strictEqual(err.code, 'loginfailed');
+                assert.strictEqual(err.info, 'Incorrect username or password entered. Please try again.');
+            });
+        });
+
+    });
+
+});
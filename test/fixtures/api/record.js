@@ -0,0 +1,56 @@
+/**
+ * Record the API fixtures from ja.wikipedia.org.
+ *
+ * Usage:
+ *   node test/fixtures/api/record.js [name...]
+ *
+ * Sends the request of each fixture in requests.json (all of them if no name is given) and saves the response as 'NAME.json' in this
+ * directory, pretty-printed with 4 spaces. Fixtures that need a logged-in user (see 'loggedIn' below) are skipped unless the environment
+ * variable WPLIB_COOKIE has the Cookie header of such a session. WPLIB_USER_AGENT should identify the person who runs the script (as
+ * required on Wikimedia projects), and API_URL changes the endpoint.
+ */
+var fs = require('fs');
+var path = require('path');
+
+var apiUrl = process.env.API_URL || 'https://ja.wikipedia.org/w/api.php';
+var requests = require('./requests.json');
+
+// Fixtures of responses for users with the 'eliminator' group
+var loggedIn = ['userinfo-eliminator'];
+
+var record = function(name) {
+    var params = new URLSearchParams({format: 'json', formatversion: '2'});
+    Object.keys(requests[name]).forEach(function(key) {
+        params.set(key, String(requests[name][key]));
+    });
+    var headers = {'User-Agent': process.env.WPLIB_USER_AGENT || 'wplib-fixtures'};
+    if (process.env.WPLIB_COOKIE) headers.Cookie = process.env.WPLIB_COOKIE;
+    return fetch(apiUrl + '?' + params.toString(), {headers: headers}).then(function(res) {
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        return res.json();
+    }).then(function(json) {
+        fs.writeFileSync(path.join(__dirname, name + '.json'), JSON.stringify(json, null, 4) + '\n');
+        console.log('Recorded ' + name);
+    });
+};
+
+var names = process.argv.slice(2);
+if (names.length === 0) names = Object.keys(requests);
+var unknown = names.filter(function(name) { return !Object.prototype.hasOwnProperty.call(requests, name); });
+if (unknown.length !== 0) {
+    console.error('Unknown fixtures: ' + unknown.join(', '));
+    process.exit(1);
+}
+
+names.reduce(function(prev, name) {
+    return prev.then(function() {
+        if (loggedIn.indexOf(name) !== -1 && !process.env.WPLIB_COOKIE) {
+            console.warn('Skipped ' + name + ' (WPLIB_COOKIE is not set)');
+            return;
+        }
+        return record(name);
+    });
+}, Promise.resolve()).catch(function(err) {
+    console.error(err);
+    process.exitCode = 1;
+});
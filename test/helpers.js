@@ -0,0 +1,83 @@
+/* global beforeEach, afterEach */
+var fs = require('fs');
+var path = require('path');
+var WPLib = require('../src/wplib.js');
+
+/**
+ * Get a fixture of an API response in test/fixtures/api.
+ * @param {string} name The file name without '.json'
+ * @returns {object} A new copy of the response, which the test may modify
+ */
+var fixture = function(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/api', name + '.json'), 'utf8'));
+};
+
+/**
+ * Create an instance of WPLib for the Japanese Wikipedia with a mock transport. The instance has its own queue and cache, so that tests
+ * don't share responses or wait for each other's write requests.
+ * @param {WPLib.MockTransport} [transport]
+ * @returns {WPLib}
+ */
+var createLib = function(transport) {
+    return new WPLib({
+        apiUrl: 'https://ja.wikipedia.org/w/api.php',
+        transport: transport || new WPLib.MockTransport(),
+        queue: new WPLib.RequestQueue({writeDelay: 0}),
+        cache: new WPLib.ResponseCache({storage: 'memory'})
+    });
+};
+
+/**
+ * Convert a JQueryPromise into a native Promise that is resolved with the array of its arguments (e.g. the responses and the QueryStatus
+ * of continuedQuery), or rejected with that array.
+ * @param {JQueryPromise<any>} deferred
+ * @returns {Promise<Array<any>>}
+ */
+var settle = function(deferred) {
+    return new Promise(function(resolve, reject) {
+        deferred.then(function() {
+            resolve(Array.prototype.slice.call(arguments));
+        }, function() {
+            reject(Array.prototype.slice.call(arguments));
+        });
+    });
+};
+
+/**
+ * Mute console.warn and console.error in the tests of the current block, where the library reports the failures that the tests cause.
+ */
+var muteConsole = function() {
+    var original = {};
+    beforeEach(function() {
+        ['warn', 'error'].forEach(function(method) {
+            original[method] = console[method];
+            console[method] = function() {};
+        });
+    });
+    afterEach(function() {
+        Object.keys(original).forEach(function(method) {
+            console[method] = original[method];
+        });
+    });
+};
+
+/**
+ * Get the values of a parameter in the requests that a mock transport has received.
+ * @param {WPLib.MockTransport} transport
+ * @param {string} name
+ * @returns {Array<string>}
+ */
+var sent = function(transport, name) {
+    return transport.requests.map(function(options) {
+        return options.data[name];
+    });
+};
+
+module.exports = {
+    WPLib: WPLib,
+    fixture: fixture,
+    createLib: createLib,
+    settle: settle,
+    muteConsole: muteConsole,
+    sent: sent
+};
@@ -0,0 +1,103 @@
+/* global describe, it */
+var assert = require('assert');
+var helpers = require('./helpers.js');
+var WPLib = helpers.WPLib;
+
+describe('getInterface()', function() {
+
+    helpers.muteConsole();
+
+    var createMock = function() {
+        return new WPLib.MockTransport()
+            .on({meta: 'siteinfo'}, helpers.fixture('siteinfo-general'))
+            .on({meta: 'allmessages', ammessages: 'Ipbreason-dropdown'}, helpers.fixture('allmessages-ipbreason-dropdown'));
+    };
+
+    it('parses the bullet points of the interface', function() {
+        var mock = createMock();
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.getInterface('block')).then(function(args) {
+            var reasons = args[0];
+            assert.strictEqual(reasons.length, 9);
+            assert.deepStrictEqual(reasons[0], {index: 1, caption: 'よく使われるブロック理由'});
+            assert.deepStrictEqual(reasons[1], {index: 2, caption: '[[Wikipedia:荒らし|荒らし]]'});
+            assert.deepStrictEqual(reasons[8], {index: 1, caption: '[[Wikipedia:投稿ブロックの方針#個人攻撃|個人攻撃]]'});
+        });
+    });
+
+    it('gets the message in the content language', function() {
+        var mock = createMock();
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.getInterface('block')).then(function() {
+            assert.deepStrictEqual(helpers.sent(mock, 'meta'), ['siteinfo', 'allmessages']);
+            assert.strictEqual(mock.requests[1].data.amlang, 'ja');
+        });
+    });
+
+    it('creates option tags, keeping first-level entries without sub-items', function() {
+        var lib = helpers.createLib(createMock());
+        return helpers.settle(lib.getInterface('block', true)).then(function(args) {
+            var html = args[0];
+            assert.strictEqual(html.indexOf('<optgroup label="よく使われるブロック理由"><option value="[[Wikipedia:荒らし|荒らし]]">'), 0);
+            assert.ok(html.indexOf('</optgroup><optgroup label="オープンプロキシ">') !== -1);
+            assert.ok(/<\/optgroup><option value="\[\[Wikipedia:投稿ブロックの方針#個人攻撃\|個人攻撃\]\]">[^<]+<\/option>$/.test(html));
+        });
+    });
+
+    it('rejects for an unknown interface name', function() {
+        var lib = helpers.createLib(createMock());
+        return helpers.settle(lib.getInterface('foo')).then(function() {
+            assert.fail('Should have been rejected');
+        }, function(args) {
+            assert.strictEqual(args[0], 'badparams');
+        });
+    });
+
+    it('rejects if the message has no bullet points', function() {
+        var mock = new WPLib.MockTransport().on({meta: 'allmessages'}, {
+            batchcomplete: true,
+            query: {allmessages: [{name: 'deletereason-dropdown', normalizedname: 'deletereason-dropdown', content: '-'}]}
+        });
+        var lib = helpers.createLib(mock);
+        return lib.promises.getInterface('delete', false, {lang: 'ja'}).then(function() {
+            assert.fail('Should have been rejected');
+        }, function(err) {
+            assert.strictEqual(err.code, 'nooptions');
+            assert.strictEqual(mock.requests.length, 1);
+        });
+    });
+
+});
+
+describe('parseDropdown()', function() {
+
+    it('creates a tree of groups and options', function() {
+        var lib = helpers.createLib();
+        var content = helpers.fixture('allmessages-ipbreason-dropdown').query.allmessages[0].content;
+        var tree = lib.parseDropdown(content);
+        assert.deepStrictEqual(tree.map(function(item) { return item.type + ':' + item.label; }), [
+            'group:よく使われるブロック理由',
+            'group:オープンプロキシ',
+            'option:[[Wikipedia:投稿ブロックの方針#個人攻撃|個人攻撃]]'
+        ]);
+        assert.strictEqual(tree[0].options.length, 4);
+        assert.deepStrictEqual(tree[1].options[1], {type: 'option', label: '[[m:NOP|オープンプロキシ（グローバル）]]', value: '[[m:NOP|オープンプロキシ（グローバル）]]'});
+    });
+
+});
+
+describe('parseExpiryOptions()', function() {
+
+    it('reads label:value pairs', function() {
+        var lib = helpers.createLib();
+        var options = lib.parseExpiryOptions('2時間:2 hours,1日:1 day,1週間:1 week,無期限:infinite,other');
+        assert.deepStrictEqual(options.map(function(opt) { return opt.label + '=' + opt.value; }), [
+            '2時間=2 hours',
+            '1日=1 day',
+            '1週間=1 week',
+            '無期限=infinite',
+            'other=other'
+        ]);
+    });
+
+});
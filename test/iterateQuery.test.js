@@ -0,0 +1,132 @@
+/* global describe, it */
+var assert = require('assert');
+var helpers = require('./helpers.js');
+var WPLib = helpers.WPLib;
+
+describe('iterateQuery()', function() {
+
+    helpers.muteConsole();
+
+    var ltaParams = function() {
+        return {
+            list: 'allpages',
+            apprefix: 'LTA:',
+            apnamespace: '0',
+            apfilterredir: 'redirects',
+            aplimit: '200'
+        };
+    };
+
+    var createLtaMock = function() {
+        return new WPLib.MockTransport()
+            .on({apcontinue: 'LTA:HEADLINE', continue: '-||'}, helpers.fixture('allpages-lta-2'))
+            .on({list: 'allpages'}, helpers.fixture('allpages-lta-1'));
+    };
+
+    var getTitles = function(items) {
+        return items.map(function(item) { return item.title; });
+    };
+
+    it('yields the items of all the responses', function() {
+        var mock = createLtaMock();
+        var lib = helpers.createLib(mock);
+        var params = ltaParams();
+        var iterator = lib.iterateQuery(params);
+        assert.strictEqual(iterator.key, 'allpages');
+        return iterator.toArray().then(function(items) {
+            assert.strictEqual(items.length, 7);
+            assert.strictEqual(items[4].title, 'LTA:HEADLINE');
+            assert.strictEqual(iterator.requests, 2);
+            assert.deepStrictEqual(helpers.sent(mock, 'apcontinue'), [undefined, 'LTA:HEADLINE']);
+            assert.deepStrictEqual(params, ltaParams(), 'The parameters should not be modified');
+        });
+    });
+
+    it('merges pages across prop continuation before yielding them', function() {
+        var mock = new WPLib.MockTransport()
+            .on({clcontinue: '101|荒らし'}, {
+                batchcomplete: true,
+                continue: {gapcontinue: 'C', continue: 'gapcontinue||'},
+                query: {
+                    pages: [
+                        {pageid: 101, ns: 0, title: 'A', categories: [{ns: 14, title: 'Category:荒らし'}]},
+                        {pageid: 102, ns: 0, title: 'B'}
+                    ]
+                }
+            })
+            .on({gapcontinue: 'C'}, {
+                batchcomplete: true,
+                query: {pages: [{pageid: 103, ns: 0, title: 'C', categories: [{ns: 14, title: 'Category:Foo'}]}]}
+            })
+            .on({generator: 'allpages'}, {
+                continue: {clcontinue: '101|荒らし', continue: '||'},
+                query: {
+                    pages: [
+                        {pageid: 101, ns: 0, title: 'A', categories: [{ns: 14, title: 'Category:LTA'}]},
+                        {pageid: 102, ns: 0, title: 'B', categories: [{ns: 14, title: 'Category:Bar'}]}
+                    ]
+                }
+            });
+        var lib = helpers.createLib(mock);
+        var params = {generator: 'allpages', gaplimit: 2, prop: ['categories'], cllimit: 'max'};
+        var iterator = lib.iterateQuery(params);
+        return iterator.next().then(function(result) {
+            // The first page isn't yielded until the rest of its categories have been fetched
+            assert.strictEqual(iterator.requests, 2);
+            assert.deepStrictEqual(result.value.categories.map(function(cat) { return cat.title; }), ['Category:LTA', 'Category:荒らし']);
+            return iterator.toArray();
+        }).then(function(items) {
+            assert.deepStrictEqual(getTitles(items), ['B', 'C']);
+            assert.deepStrictEqual(items[0].categories, [{ns: 14, title: 'Category:Bar'}]);
+            assert.strictEqual(iterator.requests, 3);
+            assert.deepStrictEqual(helpers.sent(mock, 'clcontinue'), [undefined, '101|荒らし', undefined]);
+            assert.deepStrictEqual(helpers.sent(mock, 'prop'), ['categories', 'categories', 'categories']);
+            assert.deepStrictEqual(params, {generator: 'allpages', gaplimit: 2, prop: ['categories'], cllimit: 'max'});
+        });
+    });
+
+    it('stops at the limit without sending more requests', function() {
+        var mock = createLtaMock();
+        var lib = helpers.createLib(mock);
+        var iterator = lib.iterateQuery(ltaParams(), {limit: 3});
+        return iterator.toArray().then(function(items) {
+            assert.deepStrictEqual(getTitles(items), ['LTA:', 'LTA:ARAD', 'LTA:ARAD/IP']);
+            assert.strictEqual(mock.requests.length, 1);
+            return iterator.next();
+        }).then(function(result) {
+            assert.deepStrictEqual(result, {value: undefined, done: true});
+        });
+    });
+
+    it('stops before the first item for which until() returns true', function() {
+        var mock = createLtaMock();
+        var lib = helpers.createLib(mock);
+        var iterator = lib.iterateQuery(ltaParams(), {
+            until: function(page) { return page.title === 'LTA:HEADLINE'; }
+        });
+        return iterator.toArray().then(function(items) {
+            assert.deepStrictEqual(getTitles(items), ['LTA:', 'LTA:ARAD', 'LTA:ARAD/IP', 'LTA:BCX']);
+            assert.strictEqual(mock.requests.length, 2);
+        });
+    });
+
+    it('rejects with an ApiError and sends the same request again on the next call', function() {
+        var mock = new WPLib.MockTransport()
+            .once({apcontinue: 'LTA:HEADLINE'}, {error: {code: 'internal_api_error_DBQueryError', info: 'A database query error has occurred.'}})
+            .on({apcontinue: 'LTA:HEADLINE'}, helpers.fixture('allpages-lta-2'))
+            .on({list: 'allpages'}, helpers.fixture('allpages-lta-1'));
+        var lib = helpers.createLib(mock);
+        var iterator = lib.iterateQuery(ltaParams(), {limit: 5});
+        return iterator.toArray().then(function() {
+            assert.fail('Should have been rejected');
+        }, function(err) {
+            assert.ok(err instanceof WPLib.ApiError);
+            assert.strictEqual(err.code, 'internal_api_error_DBQueryError');
+            return iterator.toArray();
+        }).then(function(items) {
+            assert.deepStrictEqual(getTitles(items), ['LTA:HEADLINE']);
+            assert.deepStrictEqual(helpers.sent(mock, 'apcontinue'), [undefined, 'LTA:HEADLINE', 'LTA:HEADLINE']);
+        });
+    });
+
+});
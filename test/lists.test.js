@@ -0,0 +1,92 @@
+/* global describe, it */
+var assert = require('assert');
+var helpers = require('./helpers.js');
+var WPLib = helpers.WPLib;
+
+describe('getVipList()', function() {
+
+    helpers.muteConsole();
+
+    it('returns the level-3 sections that are reports', function() {
+        var mock = new WPLib.MockTransport().on({action: 'parse'}, helpers.fixture('parse-vip-sections'));
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.getVipList()).then(function(args) {
+            assert.deepStrictEqual(args[0], ['日本の市町村の人口密度を机上で更新し続けるIP', '天皇陛下']);
+            assert.strictEqual(mock.requests[0].data.page, 'Wikipedia:進行中の荒らし行為');
+        });
+    });
+
+    it('formats the list as wikilinks', function() {
+        var lib = helpers.createLib(new WPLib.MockTransport().on({action: 'parse'}, helpers.fixture('parse-vip-sections')));
+        return helpers.settle(lib.getVipList(true)).then(function(args) {
+            assert.deepStrictEqual(args[0], ['[[WP:VIP#日本の市町村の人口密度を机上で更新し続けるIP]]', '[[WP:VIP#天皇陛下]]']);
+        });
+    });
+
+    it('caches the list', function() {
+        var mock = new WPLib.MockTransport().on({action: 'parse'}, helpers.fixture('parse-vip-sections'));
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.getVipList()).then(function() {
+            return helpers.settle(lib.getVipList(true));
+        }).then(function(args) {
+            assert.strictEqual(args[0].length, 2);
+            assert.strictEqual(mock.requests.length, 1);
+        });
+    });
+
+    it('resolves with an empty array for an invalid response or a failed request', function() {
+        var lib1 = helpers.createLib(new WPLib.MockTransport().on({action: 'parse'}, {parse: {title: 'Wikipedia:進行中の荒らし行為', sections: []}}));
+        var lib2 = helpers.createLib(new WPLib.MockTransport().on({action: 'parse'}, {
+            error: {code: 'missingtitle', info: "The page you specified doesn't exist."}
+        }));
+        return Promise.all([helpers.settle(lib1.getVipList()), helpers.settle(lib2.getVipList())]).then(function(results) {
+            assert.deepStrictEqual(results[0][0], []);
+            assert.deepStrictEqual(results[1][0], []);
+        });
+    });
+
+});
+
+describe('getLtaList()', function() {
+
+    helpers.muteConsole();
+
+    var createMock = function() {
+        return new WPLib.MockTransport()
+            .on({apcontinue: 'LTA:HEADLINE'}, helpers.fixture('allpages-lta-2'))
+            .on({list: 'allpages'}, helpers.fixture('allpages-lta-1'));
+    };
+
+    it('returns the LTA redirects except subpages', function() {
+        var mock = createMock();
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.getLtaList()).then(function(args) {
+            assert.deepStrictEqual(args[0], ['LTA:ARAD', 'LTA:BCX', 'LTA:HEADLINE', 'LTA:KAGE']);
+            assert.strictEqual(args[1].complete, true);
+            var params = mock.requests[0].data;
+            assert.strictEqual(params.apprefix, 'LTA:');
+            assert.strictEqual(params.apfilterredir, 'redirects');
+        });
+    });
+
+    it('formats the list as wikilinks', function() {
+        var lib = helpers.createLib(createMock());
+        return helpers.settle(lib.getLtaList(true)).then(function(args) {
+            assert.deepStrictEqual(args[0], ['[[LTA:ARAD]]', '[[LTA:BCX]]', '[[LTA:HEADLINE]]', '[[LTA:KAGE]]']);
+        });
+    });
+
+    it('resolves with the LTAs fetched so far if a request fails', function() {
+        var mock = new WPLib.MockTransport()
+            .on({apcontinue: 'LTA:HEADLINE'}, {status: 502, textStatus: 'error'})
+            .on({list: 'allpages'}, helpers.fixture('allpages-lta-1'));
+        var lib = helpers.createLib(mock);
+        lib.defaultOptions = lib.merge({}, lib.defaultOptions, {retry: {attempts: 1}});
+        return helpers.settle(lib.getLtaList()).then(function(args) {
+            assert.deepStrictEqual(args[0], ['LTA:ARAD', 'LTA:BCX']);
+            assert.strictEqual(args[1].complete, false);
+            assert.strictEqual(args[1].errors[0].code, 'http');
+        });
+    });
+
+});
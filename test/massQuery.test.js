@@ -0,0 +1,139 @@
+/* global describe, it */
+var assert = require('assert');
+var helpers = require('./helpers.js');
+var WPLib = helpers.WPLib;
+
+describe('massQuery()', function() {
+
+    helpers.muteConsole();
+
+    var createTitles = function(count) {
+        var titles = [];
+        for (var i = 0; i < count; i++) {
+            titles.push('T' + i);
+        }
+        return titles;
+    };
+
+    // Respond with the pages of the titles in the request
+    var respondWithPages = function(params) {
+        return {
+            batchcomplete: true,
+            query: {
+                pages: params.titles.split('|').map(function(title) {
+                    return {ns: 0, title: title, missing: true};
+                })
+            }
+        };
+    };
+
+    var getTitles = function(res) {
+        return res.query.pages.map(function(page) {
+            return page.title;
+        }).join('|');
+    };
+
+    it('sends each batch once, even beyond the concurrency of the queue', function() {
+        var mock = new WPLib.MockTransport().on({}, function(params) {
+            return {status: 200, data: respondWithPages(params), delay: 5};
+        });
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.massQuery({titles: createTitles(12)}, 'titles', 2)).then(function(args) {
+            var expected = ['T0|T1', 'T2|T3', 'T4|T5', 'T6|T7', 'T8|T9', 'T10|T11'];
+            assert.deepStrictEqual(helpers.sent(mock, 'titles'), expected);
+            assert.deepStrictEqual(args[0].map(getTitles), expected);
+            assert.deepStrictEqual(args[1], {complete: true, errors: [], continue: null});
+        });
+    });
+
+    it('keeps the parameters of a batch that is retried', function() {
+        var mock = new WPLib.MockTransport()
+            .once({titles: 'T0|T1'}, helpers.fixture('error-maxlag'))
+            .on({}, respondWithPages);
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.massQuery({titles: createTitles(4)}, 'titles', 2, {retry: {baseDelay: 1}})).then(function(args) {
+            assert.deepStrictEqual(helpers.sent(mock, 'titles').sort(), ['T0|T1', 'T0|T1', 'T2|T3']);
+            assert.deepStrictEqual(args[0].map(getTitles), ['T0|T1', 'T2|T3']);
+            assert.strictEqual(args[1].complete, true);
+        });
+    });
+
+    it('retries batches on server errors although they are sent by POST', function() {
+        var mock = new WPLib.MockTransport()
+            .once({titles: 'T2|T3'}, {status: 503, textStatus: 'error'})
+            .on({}, respondWithPages);
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.massQuery({titles: createTitles(4)}, 'titles', 2, {retry: {baseDelay: 1}})).then(function(args) {
+            assert.strictEqual(mock.requests[0].type, 'POST');
+            assert.deepStrictEqual(args[0].map(getTitles), ['T0|T1', 'T2|T3']);
+            assert.deepStrictEqual(args[1], {complete: true, errors: [], continue: null});
+        });
+    });
+
+    it("doesn't retry write requests on server errors", function() {
+        var mock = new WPLib.MockTransport().on({action: 'edit'}, {status: 503, textStatus: 'error'});
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.post({action: 'edit', title: 'Foo', text: 'Bar', token: '+\\'}, {retry: {baseDelay: 1}})).then(function() {
+            assert.fail('Should have been rejected');
+        }, function(args) {
+            assert.strictEqual(args[0], 'http');
+            assert.strictEqual(mock.requests.length, 1);
+        });
+    });
+
+    it('reports failed batches', function() {
+        var mock = new WPLib.MockTransport()
+            .on({titles: 'T2|T3'}, {error: {code: 'internal_api_error_DBQueryError', info: 'A database query error has occurred.'}})
+            .on({}, respondWithPages);
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.massQuery({titles: createTitles(6)}, 'titles', 2)).then(function(args) {
+            assert.strictEqual(args[0].length, 3);
+            assert.strictEqual(args[0][1], undefined);
+            assert.strictEqual(getTitles(args[0][2]), 'T4|T5');
+            assert.strictEqual(args[1].complete, false);
+            assert.strictEqual(args[1].errors.length, 1);
+            assert.strictEqual(args[1].errors[0].code, 'internal_api_error_DBQueryError');
+            assert.strictEqual(args[1].errors[0].batch, 1);
+        });
+    });
+
+    it('splits the titles by 500 for users with apihighlimits', function() {
+        var mock = new WPLib.MockTransport()
+            .on({meta: 'userinfo'}, helpers.fixture('userinfo-eliminator'))
+            .on({}, respondWithPages);
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.massQuery({titles: createTitles(600)}, 'titles')).then(function(args) {
+            assert.strictEqual(lib.apiHighLimits, true);
+            assert.deepStrictEqual(args[0].map(function(res) { return res.query.pages.length; }), [500, 100]);
+        });
+    });
+
+    it('splits the titles by 50 for other users', function() {
+        var mock = new WPLib.MockTransport()
+            .on({meta: 'userinfo'}, helpers.fixture('userinfo-anon'))
+            .on({}, respondWithPages);
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.massQuery({titles: createTitles(120)}, 'titles')).then(function(args) {
+            assert.strictEqual(lib.apiHighLimits, false);
+            assert.deepStrictEqual(args[0].map(function(res) { return res.query.pages.length; }), [50, 50, 20]);
+        });
+    });
+
+    it('resolves with an empty array for an empty batch field', function() {
+        var lib = helpers.createLib();
+        return helpers.settle(lib.massQuery({titles: []}, 'titles', 2)).then(function(args) {
+            assert.deepStrictEqual(args[0], []);
+            assert.strictEqual(args[1].complete, true);
+        });
+    });
+
+    it('rejects if the batch field is not an array', function() {
+        var lib = helpers.createLib();
+        return helpers.settle(lib.massQuery({titles: 'T0|T1'}, 'titles', 2)).then(function() {
+            assert.fail('Should have been rejected');
+        }, function(args) {
+            assert.strictEqual(args[0], 'badparams');
+        });
+    });
+
+});
@@ -0,0 +1,131 @@
+/* global describe, it */
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var helpers = require('./helpers.js');
+
+/**
+ * Regression tests for the wikitext parsers. Each 'NAME.wikitext' in test/fixtures/parser has the expected results of the parsers in
+ * 'NAME.json', which were generated by the scanners that the shared tokenizer replaced (`git show ae0395b:src/wplib.js`), so that the
+ * tests show that the tokenizer gives the same results. Only the properties in the expected results are compared, so properties that were
+ * added to the results later (e.g. the attributes of Html objects) are not covered here. Results that have changed on purpose since then
+ * are left out of the fixtures and tested in 'Differences from the baseline' below.
+ *
+ * To regenerate the JSON files, run the tests with the environment variable UPDATE_FIXTURES set to the path of the version of wplib.js
+ * to take the results from, e.g. `git show ae0395b:src/wplib.js > /tmp/wplib.js && UPDATE_FIXTURES=/tmp/wplib.js npm test`.
+ */
+var dir = path.join(__dirname, 'fixtures/parser');
+
+// Drop the internal state of Template objects
+var toJson = function(results) {
+    return JSON.parse(JSON.stringify(results, function(key, value) {
+        return key.charAt(0) === '_' ? undefined : value;
+    }));
+};
+
+var parsers = {
+    parseTemplates: function(lib, wikitext) {
+        return toJson(lib.parseTemplates(wikitext));
+    },
+    parseHtml: function(lib, wikitext) {
+        return toJson(lib.parseHtml(wikitext));
+    }
+};
+
+/**
+ * Take the properties of the expected results out of the actual results.
+ * @param {Array<object>} results
+ * @param {Array<object>} expected
+ * @returns {Array<object>}
+ */
+var pick = function(results, expected) {
+    return results.map(function(obj, i) {
+        if (!expected[i]) return obj;
+        var picked = {};
+        Object.keys(expected[i]).forEach(function(key) {
+            picked[key] = obj[key];
+        });
+        return picked;
+    });
+};
+
+var loadBaseline = function(file) {
+    // Older versions of the library read the user groups on load
+    // @ts-ignore
+    global.mw = global.mw || {config: {get: function() { return []; }}};
+    var WPLib = require(path.resolve(file));
+    return new WPLib();
+};
+
+describe('Parser fixtures', function() {
+
+    var lib = helpers.createLib();
+    var baseline = process.env.UPDATE_FIXTURES ? loadBaseline(process.env.UPDATE_FIXTURES) : null;
+
+    fs.readdirSync(dir).filter(function(file) {
+        return /\.wikitext$/.test(file);
+    }).forEach(function(file) {
+
+        var wikitext = fs.readFileSync(path.join(dir, file), 'utf8');
+        var expectedPath = path.join(dir, file.replace(/\.wikitext$/, '.json'));
+
+        if (baseline) {
+            var results = {};
+            Object.keys(parsers).forEach(function(name) {
+                results[name] = parsers[name](baseline, wikitext);
+            });
+            fs.writeFileSync(expectedPath, JSON.stringify(results, null, 4) + '\n');
+        }
+        var expected = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+
+        Object.keys(parsers).forEach(function(name) {
+            it(name + '() on ' + file, function() {
+                assert.deepStrictEqual(pick(parsers[name](lib, wikitext), expected[name]), expected[name]);
+            });
+        });
+
+    });
+
+});
+
+describe('Differences from the baseline', function() {
+
+    var lib = helpers.createLib();
+
+    var getNames = function(objects) {
+        return objects.map(function(obj) { return obj.name; });
+    };
+
+    // The baseline skipped 'syntaxhighlist' (sic) instead, and hence parsed templates in syntaxhighlight tags
+    it("parseTemplates() doesn't parse templates in <syntaxhighlight>", function() {
+        var wikitext = '<pre>{{A}}</pre><syntaxhighlight lang="text">{{B}}</syntaxhighlight>{{C|<syntaxhighlight>{{D}}</syntaxhighlight>}}';
+        assert.deepStrictEqual(getNames(lib.parseTemplates(wikitext)), ['C']);
+    });
+
+    // The content of these tags is now taken as text rather than wikitext
+    it("parseHtml() doesn't parse tags in comments, nowiki and pre", function() {
+        var wikitext = '<!-- <div>中のタグ</div> --><nowiki><b>太字ではない</b></nowiki><pre><i>斜体ではない</i></pre>';
+        assert.deepStrictEqual(getNames(lib.parseHtml(wikitext)), ['comment', 'nowiki', 'pre']);
+    });
+
+    it("parseHtml() marks unclosed tags as 'unclosed' rather than 'selfclosing'", function() {
+        var tags = lib.parseHtml('<div>\n<p>閉じられていない段落\n<span>閉じられていない span\n</div>');
+        assert.deepStrictEqual(tags.map(function(Html) {
+            return [Html.text, Html.nestlevel, Html.selfclosing, Html.unclosed];
+        }), [
+            ['<div>\n<p>閉じられていない段落\n<span>閉じられていない span\n</div>', 0, false, false],
+            ['<p>', 1, false, true],
+            ['<span>', 1, false, true]
+        ]);
+    });
+
+    it('parseHtml() takes an unclosed comment as running to the end of the wikitext', function() {
+        var wikitext = '<b>太字</b>\n<!-- 閉じられていないコメント\n';
+        var comment = lib.parseHtml(wikitext)[1];
+        assert.strictEqual(comment.name, 'comment');
+        assert.strictEqual(comment.text, '<!-- 閉じられていないコメント\n');
+        assert.strictEqual(comment.unclosed, true);
+        assert.deepStrictEqual(comment.index, {start: 10, end: wikitext.length});
+    });
+
+});
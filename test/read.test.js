@@ -0,0 +1,117 @@
+/* global describe, it */
+var assert = require('assert');
+var helpers = require('./helpers.js');
+var WPLib = helpers.WPLib;
+
+describe('read()', function() {
+
+    helpers.muteConsole();
+
+    it('resolves with the latest revision of a page', function() {
+        var mock = new WPLib.MockTransport().on({titles: 'Wikipedia:サンドボックス'}, helpers.fixture('read-page'));
+        var lib = helpers.createLib(mock);
+        return helpers.settle(lib.read('Wikipedia:サンドボックス')).then(function(args) {
+            var rev = args[0];
+            assert.strictEqual(rev.title, 'Wikipedia:サンドボックス');
+            assert.strictEqual(rev.pageid, 213931);
+            assert.strictEqual(rev.ns, 4);
+            assert.strictEqual(rev.revid, '93512345');
+            assert.strictEqual(rev.basetimestamp, '2023-01-10T12:01:43Z');
+            assert.strictEqual(rev.curtimestamp, '2023-01-10T12:34:56Z');
+            assert.strictEqual(rev.starttimestamp, '2023-01-10T12:34:56Z');
+            assert.strictEqual(rev.isRedirect, false);
+            assert.strictEqual(rev.contentmodel, 'wikitext');
+            assert.deepStrictEqual(rev.protection, [{type: 'move', level: 'sysop', expiry: 'infinity'}]);
+            assert.ok(rev.content.indexOf('{{Vandal|Foo}}') !== -1);
+            var params = mock.requests[0].data;
+            assert.strictEqual(params.prop, 'info|revisions');
+            assert.strictEqual(params.rvslots, 'main');
+            assert.strictEqual(params.curtimestamp, true);
+        });
+    });
+
+    it('resolves with false for a missing page', function() {
+        var lib = helpers.createLib(new WPLib.MockTransport().on({}, helpers.fixture('read-missing')));
+        return helpers.settle(lib.read('存在しないページ')).then(function(args) {
+            assert.strictEqual(args[0], false);
+        });
+    });
+
+    it('reads a redirect without following it', function() {
+        var lib = helpers.createLib(new WPLib.MockTransport().on({titles: 'WP:VIP'}, helpers.fixture('read-redirect')));
+        return helpers.settle(lib.read('WP:VIP')).then(function(args) {
+            assert.strictEqual(args[0].isRedirect, true);
+            assert.strictEqual(args[0].title, 'Wikipedia:VIP');
+            assert.strictEqual(args[0].content, '#REDIRECT [[Wikipedia:進行中の荒らし行為]]');
+        });
+    });
+
+    it('resolves with undefined for an invalid title', function() {
+        var lib = helpers.createLib(new WPLib.MockTransport().on({}, helpers.fixture('read-invalid')));
+        return helpers.settle(lib.read('Foo<Bar>')).then(function(args) {
+            assert.strictEqual(args[0], undefined);
+        });
+    });
+
+    it('resolves with undefined for an invalid response or a failed request', function() {
+        var mock = new WPLib.MockTransport()
+            .on({titles: 'Foo'}, {batchcomplete: true, query: {}})
+            .on({titles: 'Bar'}, {status: 404, textStatus: 'error'});
+        var lib = helpers.createLib(mock);
+        return Promise.all([
+            helpers.settle(lib.read('Foo')),
+            helpers.settle(lib.read('Bar'))
+        ]).then(function(results) {
+            assert.strictEqual(results[0][0], undefined);
+            assert.strictEqual(results[1][0], undefined);
+        });
+    });
+
+    it('rejects with the reason when called through the promises', function() {
+        var lib = helpers.createLib(new WPLib.MockTransport().on({}, helpers.fixture('read-invalid')));
+        return lib.promises.read('Foo<Bar>').then(function() {
+            assert.fail('Should have been rejected');
+        }, function(err) {
+            assert.ok(err instanceof WPLib.ApiError);
+            assert.strictEqual(err.code, 'invalidresponse');
+        });
+    });
+
+});
+
+describe('readMany()', function() {
+
+    helpers.muteConsole();
+
+    it('sends the batches by POST and returns the records in the order of the inputs', function() {
+        var res = helpers.fixture('read-page');
+        res.query.pages.push({ns: 0, title: '存在しないページ', missing: true});
+        var mock = new WPLib.MockTransport().on({}, res);
+        var lib = helpers.createLib(mock);
+        var inputs = ['存在しないページ', 'Wikipedia:サンドボックス'];
+        return helpers.settle(lib.readMany(inputs, {redirects: true, batchLimit: 50})).then(function(args) {
+            assert.strictEqual(mock.requests.length, 1);
+            assert.strictEqual(mock.requests[0].type, 'POST');
+            assert.deepStrictEqual(mock.requests[0].data, {
+                action: 'query',
+                format: 'json',
+                formatversion: '2',
+                titles: '存在しないページ|Wikipedia:サンドボックス',
+                prop: 'info|revisions',
+                inprop: 'protection',
+                rvprop: 'ids|timestamp|content',
+                rvslots: 'main',
+                curtimestamp: true,
+                redirects: true
+            });
+            var records = args[0];
+            assert.strictEqual(records[0].missing, true);
+            assert.strictEqual(records[0].content, null);
+            assert.strictEqual(records[1].title, 'Wikipedia:サンドボックス');
+            assert.strictEqual(records[1].revid, '93512345');
+            assert.ok(records[1].content.indexOf('{{Vandal|Foo}}') !== -1);
+            assert.deepStrictEqual(args[1].failed, []);
+        });
+    });
+
+});
@@ -0,0 +1,122 @@
+/* global describe, it */
+var assert = require('assert');
+var helpers = require('./helpers.js');
+
+describe('References', function() {
+
+    var lib = helpers.createLib();
+
+    describe('parseRefs()', function() {
+
+        it('parses named, unnamed, reused and list-defined references', function() {
+            var wikitext = [
+                '本文<ref name="a">出典A</ref>、<ref>出典B</ref>、<ref name=a />、<ref group="注">注釈</ref>',
+                '<!-- <ref>コメント内</ref> -->',
+                '{{Reflist|refs=',
+                '<ref name="c">出典C</ref>',
+                '}}',
+                '<references group="注">',
+                '<ref name="d">注釈D</ref>',
+                '</references>'
+            ].join('\n');
+            var refs = lib.parseRefs(wikitext);
+            assert.deepStrictEqual(refs.map(function(ref) {
+                return [ref.name, ref.group, ref.content, ref.reuse, ref.listDefined];
+            }), [
+                ['a', '', '出典A', false, false],
+                [null, '', '出典B', false, false],
+                ['a', '', null, true, false],
+                [null, '注', '注釈', false, false],
+                ['c', '', '出典C', false, true],
+                ['d', '注', '注釈D', false, true]
+            ]);
+            assert.strictEqual(wikitext.slice(refs[0].index.start, refs[0].index.end), '<ref name="a">出典A</ref>');
+        });
+
+    });
+
+    describe('mergeDuplicateRefs()', function() {
+
+        it('keeps the first reference as the definition and replaces the others with reuses', function() {
+            var wikitext = 'A<ref>出典</ref>B<ref name="x">出典</ref>C<ref name="x" />D<ref>出典</ref>';
+            assert.strictEqual(
+                lib.mergeDuplicateRefs(wikitext),
+                'A<ref name="x">出典</ref>B<ref name="x" />C<ref name="x" />D<ref name="x" />'
+            );
+        });
+
+        it('generates names for unnamed duplicates, skipping names in use', function() {
+            var wikitext = '<ref name=":0">別の出典</ref>A<ref>出典</ref>B<ref> 出典 </ref>';
+            assert.strictEqual(
+                lib.mergeDuplicateRefs(wikitext),
+                '<ref name=":0">別の出典</ref>A<ref name=":1">出典</ref>B<ref name=":1" />'
+            );
+        });
+
+        it('renames the reuses of the merged names and removes list-defined duplicates', function() {
+            var wikitext = [
+                'A<ref name="a">出典</ref>B<ref name="b">出典</ref>C<ref name="b" />',
+                '{{Reflist|refs=',
+                '<ref name="c">別の出典</ref>',
+                '}}',
+                'D<ref>別の出典</ref>'
+            ].join('\n');
+            assert.strictEqual(lib.mergeDuplicateRefs(wikitext), [
+                'A<ref name="a">出典</ref>B<ref name="a" />C<ref name="a" />',
+                '{{Reflist|refs=',
+                '<ref name="c">別の出典</ref>',
+                '}}',
+                'D<ref name="c" />'
+            ].join('\n'));
+        });
+
+    });
+
+    describe('renameRef()', function() {
+
+        it('renames the definition and the reuses in the group', function() {
+            var wikitext = '<ref name=a>出典</ref><ref name=\'a\' /><ref name="a" group="注">注釈</ref>';
+            assert.strictEqual(
+                lib.renameRef(wikitext, 'a', 'b'),
+                '<ref name="b">出典</ref><ref name="b" /><ref name="a" group="注">注釈</ref>'
+            );
+            assert.strictEqual(
+                lib.renameRef(wikitext, 'a', 'b', '注'),
+                '<ref name=a>出典</ref><ref name=\'a\' /><ref name="b" group="注">注釈</ref>'
+            );
+        });
+
+        it("doesn't expand '$' patterns in the name", function() {
+            var wikitext = '<ref name="a">出典</ref><ref name="a" />';
+            assert.strictEqual(lib.renameRef(wikitext, 'a', "$1$&$'$$"), '<ref name="$1$&$\'$$">出典</ref><ref name="$1$&$\'$$" />');
+            assert.strictEqual(
+                lib.mergeDuplicateRefs('<ref group="注">注釈</ref><ref group="注">注釈</ref>', {namePrefix: '$&'}),
+                '<ref name="$&0" group="注">注釈</ref><ref name="$&0" group="注" />'
+            );
+        });
+
+        it('escapes double quotes in the name', function() {
+            var wikitext = '<ref name="a">出典</ref><ref name="a" />';
+            var renamed = lib.renameRef(wikitext, 'a', 'b"c');
+            assert.strictEqual(renamed, '<ref name="b&quot;c">出典</ref><ref name="b&quot;c" />');
+            assert.deepStrictEqual(lib.parseRefs(renamed).map(function(ref) { return ref.content; }), ['出典', null]);
+        });
+
+    });
+
+    describe('getOrphanedRefs()', function() {
+
+        it('returns reuses of names that are never defined in the group', function() {
+            var wikitext = '<ref name="a">出典</ref><ref name="a" /><ref name="b" /><ref name="a" group="注" /><ref name="c"></ref>';
+            assert.deepStrictEqual(lib.getOrphanedRefs(wikitext).map(function(ref) {
+                return [ref.name, ref.group];
+            }), [
+                ['b', ''],
+                ['a', '注'],
+                ['c', '']
+            ]);
+        });
+
+    });
+
+});
@@ -0,0 +1,172 @@
+/* global describe, it */
+var assert = require('assert');
+var helpers = require('./helpers.js');
+var WPLib = helpers.WPLib;
+
+describe('RequestQueue', function() {
+
+    helpers.muteConsole();
+
+    /**
+     * Create a task whose promise is settled by the test.
+     * @param {Array<string>} log The array to push the name to when the task starts
+     * @param {string} name
+     */
+    var createTask = function(log, name) {
+        var task = function() {
+            log.push(name);
+            return new Promise(function(resolve) {
+                task.resolve = resolve;
+            });
+        };
+        return task;
+    };
+
+    // An AbortSignal that counts its listeners
+    var createSignal = function() {
+        var signal = {
+            aborted: false,
+            listeners: [],
+            addEventListener: function(type, listener) {
+                signal.listeners.push(listener);
+            },
+            removeEventListener: function(type, listener) {
+                var i = signal.listeners.indexOf(listener);
+                if (i !== -1) signal.listeners.splice(i, 1);
+            },
+            abort: function() {
+                signal.aborted = true;
+                signal.listeners.slice().forEach(function(listener) { listener(); });
+            }
+        };
+        return signal;
+    };
+
+    var wait = function(ms) {
+        return new Promise(function(resolve) { setTimeout(resolve, ms); });
+    };
+
+    it('runs no more requests at the same time than the concurrency', function() {
+        var queue = new WPLib.RequestQueue({concurrency: 2});
+        var log = [];
+        var tasks = ['a', 'b', 'c', 'd'].map(function(name) { return createTask(log, name); });
+        var promises = tasks.map(function(task) { return helpers.settle(queue.add(task)); });
+        assert.deepStrictEqual(log, ['a', 'b']);
+        assert.strictEqual(queue.size(), 2);
+        tasks[1].resolve('b');
+        return wait(0).then(function() {
+            assert.deepStrictEqual(log, ['a', 'b', 'c']);
+            tasks[0].resolve('a');
+            tasks[2].resolve('c');
+            return wait(0);
+        }).then(function() {
+            assert.deepStrictEqual(log, ['a', 'b', 'c', 'd']);
+            tasks[3].resolve('d');
+            return Promise.all(promises);
+        }).then(function(results) {
+            assert.deepStrictEqual(results, [['a'], ['b'], ['c'], ['d']]);
+        });
+    });
+
+    it('sends read requests before write requests', function() {
+        var queue = new WPLib.RequestQueue({concurrency: 1, writeDelay: 0});
+        var log = [];
+        var blocker = createTask(log, 'blocker');
+        queue.add(blocker);
+        ['w1', 'r1', 'w2', 'r2'].forEach(function(name) {
+            queue.add(function() {
+                log.push(name);
+                return Promise.resolve();
+            }, {write: name.charAt(0) === 'w'});
+        });
+        blocker.resolve();
+        return wait(20).then(function() {
+            assert.deepStrictEqual(log, ['blocker', 'r1', 'r2', 'w1', 'w2']);
+        });
+    });
+
+    it('waits for writeDelay between write requests', function() {
+        var queue = new WPLib.RequestQueue({writeDelay: 50});
+        var times = [];
+        var write = function() {
+            times.push(Date.now());
+            return Promise.resolve();
+        };
+        return Promise.all([
+            helpers.settle(queue.add(write, {write: true})),
+            helpers.settle(queue.add(write, {write: true}))
+        ]).then(function() {
+            assert.strictEqual(times.length, 2);
+            assert.ok(times[1] - times[0] >= 49, 'The second write started ' + (times[1] - times[0]) + 'ms after the first one');
+        });
+    });
+
+    it('rejects a queued request when its signal is aborted, without sending it', function() {
+        var queue = new WPLib.RequestQueue({concurrency: 1});
+        var log = [];
+        var blocker = createTask(log, 'blocker');
+        queue.add(blocker);
+        var signal = createSignal();
+        var promise = helpers.settle(queue.add(createTask(log, 'aborted'), {signal: signal}));
+        assert.strictEqual(signal.listeners.length, 1);
+        signal.abort();
+        return promise.then(function() {
+            assert.fail('Should have been rejected');
+        }, function(args) {
+            assert.strictEqual(args[0], 'aborted');
+            assert.strictEqual(queue.size(), 0);
+            assert.strictEqual(signal.listeners.length, 0);
+            blocker.resolve();
+            return wait(0);
+        }).then(function() {
+            assert.deepStrictEqual(log, ['blocker']);
+        });
+    });
+
+    it('removes the abort listener when a request settles', function() {
+        var queue = new WPLib.RequestQueue();
+        var signal = createSignal();
+        return helpers.settle(queue.add(function() { return Promise.resolve('done'); }, {signal: signal})).then(function(args) {
+            assert.deepStrictEqual(args, ['done']);
+            assert.strictEqual(signal.listeners.length, 0);
+        });
+    });
+
+    it('aborts a running request through the transport', function() {
+        var mock = new WPLib.MockTransport().on({}, {status: 200, data: {batchcomplete: true}, delay: 50});
+        var lib = helpers.createLib(mock);
+        var signal = createSignal();
+        var promise = helpers.settle(lib.get({meta: 'siteinfo'}, {signal: signal}));
+        return wait(10).then(function() {
+            assert.strictEqual(mock.requests.length, 1);
+            signal.abort();
+            return promise;
+        }).then(function() {
+            assert.fail('Should have been rejected');
+        }, function(args) {
+            assert.strictEqual(args[0], 'aborted');
+            assert.strictEqual(signal.listeners.length, 0);
+        });
+    });
+
+    it('stops waiting to retry as soon as the signal is aborted', function() {
+        var mock = new WPLib.MockTransport().on({}, {status: 503, textStatus: 'error'});
+        var lib = helpers.createLib(mock);
+        var signal = createSignal();
+        var start = Date.now();
+        var promise = helpers.settle(lib.get({meta: 'siteinfo'}, {signal: signal, retry: {baseDelay: 10000}}));
+        return wait(10).then(function() {
+            assert.strictEqual(mock.requests.length, 1);
+            signal.abort();
+            return promise;
+        }).then(function() {
+            assert.fail('Should have been rejected');
+        }, function(args) {
+            assert.strictEqual(args[0], 'aborted');
+            assert.ok(Date.now() - start < 1000);
+            assert.strictEqual(mock.requests.length, 1);
+            assert.strictEqual(signal.listeners.length, 0);
+        });
+    });
+
+});
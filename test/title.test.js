@@ -0,0 +1,114 @@
+/* global describe, it */
+var assert = require('assert');
+var helpers = require('./helpers.js');
+var WPLib = helpers.WPLib;
+
+describe('Title', function() {
+
+    helpers.muteConsole();
+
+    var lib = helpers.createLib();
+
+    var prefixed = function(title) {
+        var Title = lib.newTitle(title);
+        return Title && Title.getPrefixedText();
+    };
+
+    it('resolves local names, canonical names and aliases of namespaces', function() {
+        assert.strictEqual(prefixed('利用者:Foo'), '利用者:Foo');
+        assert.strictEqual(prefixed('User:Foo'), '利用者:Foo');
+        assert.strictEqual(prefixed('user talk:Foo'), '利用者‐会話:Foo');
+        assert.strictEqual(prefixed('利用者・トーク:Foo'), '利用者‐会話:Foo');
+        assert.strictEqual(prefixed('WP:荒らし'), 'Wikipedia:荒らし');
+        assert.strictEqual(prefixed('wp:荒らし'), 'Wikipedia:荒らし');
+        assert.strictEqual(prefixed('Project:荒らし'), 'Wikipedia:荒らし');
+        assert.strictEqual(prefixed('トーク:Foo'), 'ノート:Foo');
+        assert.strictEqual(lib.newTitle('User:Foo').getNamespaceId(), 2);
+        assert.strictEqual(lib.newTitle('User:Foo').getNamespacePrefix(), '利用者:');
+    });
+
+    it('takes pseudo-namespaces as part of the page name in the main namespace', function() {
+        var Title = lib.newTitle('LTA:ARAD');
+        assert.strictEqual(Title.getNamespaceId(), 0);
+        assert.strictEqual(Title.getPrefixedText(), 'LTA:ARAD');
+        assert.strictEqual(Title.getPseudoNamespace(), 'LTA');
+        assert.strictEqual(lib.newTitle('lta:ARAD').getPseudoNamespace(), null);
+        assert.strictEqual(lib.newTitle('Wikipedia:LTA:ARAD').getPseudoNamespace(), null);
+    });
+
+    it('uses the default namespace unless the title has a prefix or a leading colon', function() {
+        assert.strictEqual(lib.newTitle('Foo', 10).getPrefixedText(), 'Template:Foo');
+        assert.strictEqual(lib.newTitle('User:Foo', 10).getPrefixedText(), '利用者:Foo');
+        assert.strictEqual(lib.newTitle(':Foo', 10).getPrefixedText(), 'Foo');
+        assert.strictEqual(lib.newTitle(':利用者:Foo').getPrefixedText(), '利用者:Foo');
+    });
+
+    it('capitalizes the first letter and normalizes underscores', function() {
+        var Title = lib.newTitle('user:foo_bar');
+        assert.strictEqual(Title.getMainText(), 'Foo bar');
+        assert.strictEqual(Title.getMain(), 'Foo_bar');
+        assert.strictEqual(Title.getPrefixedDb(), '利用者:Foo_bar');
+        assert.strictEqual(prefixed('利用者:iPad'), '利用者:IPad');
+        // Case-sensitive namespace
+        assert.strictEqual(prefixed('Gadget:foo'), 'Gadget:foo');
+    });
+
+    it('splits off the fragment', function() {
+        var Title = lib.newTitle('WP:VIP#利用者:Foo');
+        assert.strictEqual(Title.getPrefixedText(), 'Wikipedia:VIP');
+        assert.strictEqual(Title.getFragment(), '利用者:Foo');
+        assert.strictEqual(lib.newTitle('Foo').getFragment(), null);
+        assert.strictEqual(lib.newTitle('Foo#').getFragment(), '');
+        assert.ok(Title.equals('Wikipedia:VIP#別の節'));
+    });
+
+    it('recognizes interwiki prefixes', function() {
+        var Title = lib.newTitle('EN:foo');
+        assert.strictEqual(Title.getInterwiki(), 'en');
+        assert.strictEqual(Title.getNamespaceId(), 0);
+        assert.strictEqual(Title.getMainText(), 'foo');
+        assert.strictEqual(Title.getPrefixedText(), 'en:foo');
+        assert.strictEqual(Title.canHaveTalkPage(), false);
+        assert.strictEqual(Title.getTalkPage(), null);
+        assert.strictEqual(lib.newTitle('commons:File:Foo.jpg').getInterwiki(), 'commons');
+        assert.strictEqual(lib.newTitle('Foo').getInterwiki(), null);
+    });
+
+    it('returns null for invalid titles', function() {
+        ['', 'Foo<Bar>', 'Foo[Bar]', 'Foo|Bar', 'Foo{Bar}', '利用者:', '../Foo', 'Foo~~~', '#Foo'].forEach(function(title) {
+            assert.strictEqual(lib.newTitle(title), null, title);
+        });
+        assert.strictEqual(lib.newTitle(new Array(257).join('a')), null);
+        assert.strictEqual(lib.newTitle(null), null);
+    });
+
+    it('converts between talk pages and subject pages', function() {
+        var Title = lib.newTitle('利用者:Foo#節');
+        assert.strictEqual(Title.isTalkPage(), false);
+        var talk = Title.getTalkPage();
+        assert.strictEqual(talk.getPrefixedText(), '利用者‐会話:Foo');
+        assert.strictEqual(talk.isTalkPage(), true);
+        assert.strictEqual(talk.getFragment(), null);
+        assert.strictEqual(talk.getTalkPage().getPrefixedText(), '利用者‐会話:Foo');
+        assert.strictEqual(talk.getSubjectPage().getPrefixedText(), '利用者:Foo');
+        assert.strictEqual(lib.newTitle('Foo').getTalkPage().getPrefixedText(), 'ノート:Foo');
+        assert.strictEqual(lib.newTitle('ノート:Foo').getSubjectPage().getPrefixedText(), 'Foo');
+        assert.strictEqual(lib.newTitle('特別:投稿記録/Foo').getTalkPage(), null);
+        assert.ok(talk instanceof WPLib.Title);
+    });
+
+    it('gets the root, base and subpage names of subpages', function() {
+        var Title = lib.newTitle('利用者:Foo/Bar/Baz');
+        assert.strictEqual(Title.isSubpage(), true);
+        assert.strictEqual(Title.getRootText(), 'Foo');
+        assert.strictEqual(Title.getBaseText(), 'Foo/Bar');
+        assert.strictEqual(Title.getSubpageText(), 'Baz');
+        // Subpages are disabled in the main namespace
+        var main = lib.newTitle('AC/DC');
+        assert.strictEqual(main.isSubpage(), false);
+        assert.strictEqual(main.getRootText(), 'AC/DC');
+        assert.strictEqual(main.getBaseText(), 'AC/DC');
+        assert.strictEqual(main.getSubpageText(), 'AC/DC');
+    });
+
+});